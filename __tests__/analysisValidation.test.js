@@ -0,0 +1,45 @@
+const { normalizeCard } = require('../src/utils/cards');
+const { parseAndValidateAnalysis } = require('../src/utils/analysisValidation');
+
+describe('normalizeCard', () => {
+  test('accepts the notations models return', () => {
+    expect(['10h', 'as', 'A♠', 'Td', 'kc'].map(normalizeCard)).toEqual(['T♥', 'A♠', 'A♠', 'T♦', 'K♣']);
+  });
+
+  test('rejects unknown cards', () => {
+    expect(() => normalizeCard('1x')).toThrow('Invalid card: 1x');
+  });
+});
+
+describe('parseAndValidateAnalysis', () => {
+  test('strips code fences and fills defaults', () => {
+    const { value, errors } = parseAndValidateAnalysis('```json\n{"hero_card":["10h","as"],"board_card":["Kd","7c","2s"],"recommended_action":"RAISE","confidence":80}\n```');
+    expect(errors).toEqual([]);
+    expect(value).toMatchObject({
+      hero_card: ['T♥', 'A♠'],
+      board_card: ['K♦', '7♣', '2♠'],
+      stacks: {},
+      actions: [],
+      analysis_notes: ''
+    });
+  });
+
+  test('finds the object in surrounding text and reports impossible boards', () => {
+    const { value, errors } = parseAndValidateAnalysis('Sure: {"hero_card":["Ah","Ah"],"board_card":["Kd"],"recommended_action":"CALL","confidence":80} hope this helps');
+    expect(value).toBeNull();
+    expect(errors).toEqual([
+      '"board_card" has 1 cards; a board must have 0, 3, 4 or 5 cards',
+      'A♥ appears more than once across hero and board cards'
+    ]);
+  });
+
+  test('lists every schema problem', () => {
+    const { errors } = parseAndValidateAnalysis('{"hero_card":["Zz","Ah"],"recommended_action":"","confidence":120}');
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch(/"Zz" is not a valid card/);
+  });
+
+  test('rejects empty output', () => {
+    expect(parseAndValidateAnalysis('').errors).toEqual(['Response was empty']);
+  });
+});
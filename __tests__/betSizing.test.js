@@ -0,0 +1,27 @@
+const { buildHandState } = require('../src/utils/handState');
+const { calculateBetSizing } = require('../src/utils/betSizing');
+
+function facingFlopBet() {
+  return buildHandState({
+    hero_card: ['Ah', 'Kh'],
+    board_card: ['Qh', '7c', '2d'],
+    hero_position: 'BTN',
+    pot: 10,
+    big_blind: 1,
+    stacks: { BTN: 90, BB: 50 },
+    actions: [{ street: 'flop', seat: 'BB', action: 'bet', amount: 5 }]
+  });
+}
+
+describe('calculateBetSizing', () => {
+  test('sizes a raise against a flop bet', () => {
+    const sizing = calculateBetSizing(facingFlopBet(), 'RAISE 3x');
+    expect(sizing).toMatchObject({ toCall: 5, potOdds: 33.3, spr: 5, mdf: 50, effectiveStack: 50 });
+    expect(sizing.recommended).toMatchObject({ label: 'RAISE 3x', amount: 15, fractionOfPot: 1.5, bluffBreakEven: 60, opponentMdf: 40 });
+  });
+
+  test('lists the raise sizes up to all-in', () => {
+    const options = calculateBetSizing(facingFlopBet(), 'RAISE 3x').options;
+    expect(options.map(option => option.amount)).toEqual([10, 12.5, 15, 17.5, 20, 90]);
+  });
+});
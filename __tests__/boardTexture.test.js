@@ -0,0 +1,25 @@
+const { classifyBoard, classifyHolding } = require('../src/utils/boardTexture');
+
+describe('classifyBoard', () => {
+  test('describes a dry rainbow board', () => {
+    const texture = classifyBoard(['Qh', '7c', '2d']);
+    expect(texture.highCard).toBe('Q');
+    expect(texture.labels).toEqual(['rainbow', 'unpaired', 'disconnected', 'Q-high', 'high-board', 'dry']);
+  });
+
+  test('returns null before the flop', () => {
+    expect(classifyBoard([])).toBeNull();
+  });
+});
+
+describe('classifyHolding', () => {
+  test('finds combo draws', () => {
+    const holding = classifyHolding(['Ah', 'Kh'], ['Qh', 'Jh', '2d']);
+    expect(holding.holding).toBe('combo-draw');
+    expect(holding.draws).toEqual(['nut-flush-draw', 'gutshot']);
+  });
+
+  test('finds sets', () => {
+    expect(classifyHolding(['Qs', 'Qd'], ['Qh', '7c', '2d']).madeHand).toBe('set');
+  });
+});
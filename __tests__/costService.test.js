@@ -0,0 +1,51 @@
+const { DEFAULT_PRICE_TABLE, validatePriceTable, priceProviderCalls } = require('../src/services/costService');
+
+describe('priceProviderCalls', () => {
+  test('prices models by the longest matching prefix', () => {
+    const { calls } = priceProviderCalls([
+      { provider: 'openai', model: 'gpt-4o-mini-2024-07-18', inputTokens: 1000000, outputTokens: 1000000 },
+      { provider: 'openai', model: 'gpt-4o-2024-08-06', inputTokens: 1000000, outputTokens: 0 }
+    ], DEFAULT_PRICE_TABLE);
+    expect(calls[0].costUsd).toBeCloseTo(0.75);
+    expect(calls[1].costUsd).toBeCloseTo(2.5);
+  });
+
+  test('prices providers without tokens per call', () => {
+    const result = priceProviderCalls([
+      { provider: 'google', model: null, inputTokens: null, outputTokens: null },
+      { provider: 'tesseract', model: null, inputTokens: null, outputTokens: null }
+    ], DEFAULT_PRICE_TABLE);
+    expect(result.calls.map(call => call.costUsd)).toEqual([0.0015, 0]);
+    expect(result.totalUsd).toBeCloseTo(0.0015);
+    expect(result.unpriced).toBe(0);
+  });
+
+  test('leaves unknown models and calls without token counts out of the total', () => {
+    const result = priceProviderCalls([
+      { provider: 'openai', model: 'o3', inputTokens: 1000, outputTokens: 100 },
+      { provider: 'openai', model: 'gpt-4o', inputTokens: null, outputTokens: null, failed: true },
+      { provider: 'openai', model: 'gpt-4.1-mini', inputTokens: 500000, outputTokens: 0 }
+    ], DEFAULT_PRICE_TABLE);
+    expect(result.calls.map(call => call.costUsd)).toEqual([null, null, 0.2]);
+    expect(result.totalUsd).toBeCloseTo(0.2);
+    expect(result.unpriced).toBe(2);
+  });
+
+  test('handles analyses without calls', () => {
+    expect(priceProviderCalls(undefined, DEFAULT_PRICE_TABLE)).toEqual({ totalUsd: 0, calls: [], unpriced: 0 });
+  });
+});
+
+describe('validatePriceTable', () => {
+  test('accepts the default table', () => {
+    expect(validatePriceTable(DEFAULT_PRICE_TABLE)).toBeNull();
+  });
+
+  test('rejects missing and negative prices', () => {
+    expect(validatePriceTable([])).toBe('priceTable must be an object');
+    expect(validatePriceTable({ models: { 'gpt-4o': { inputPer1M: 2.5 } } }))
+      .toBe('Model gpt-4o: inputPer1M and outputPer1M must be non-negative numbers');
+    expect(validatePriceTable({ providers: { google: { perCall: -1 } } }))
+      .toBe('Provider google: perCall must be a non-negative number');
+  });
+});
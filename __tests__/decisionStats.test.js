@@ -0,0 +1,55 @@
+const { summarizeDecisionStats } = require('../src/services/decisionStats');
+
+function analysis(gameFormat, recommendedAction, confidence, handState) {
+  return { gameFormat, recommendedAction, confidence, handState };
+}
+
+const ANALYSES = [
+  analysis('cash', 'RAISE 3x', 80, { heroPosition: 'BTN', street: 'preflop', heroAction: { action: 'raise' }, result: { netBb: 10 } }),
+  analysis('cash', 'CALL', 60, { heroPosition: 'BTN', street: 'flop', heroAction: { action: 'fold' }, result: { netBb: -4 } }),
+  analysis('cash', 'FOLD', 70, { heroPosition: 'BB', street: 'flop' }),
+  analysis('tournament', 'SHOVE', null, { heroPosition: 'SEAT7', street: 'preflop', heroAction: { action: 'allin' } }),
+  analysis('cash', 'CHECK', 50, {})
+];
+
+describe('summarizeDecisionStats', () => {
+  const stats = summarizeDecisionStats(ANALYSES);
+
+  test('measures accuracy over decisions with a recorded hero action', () => {
+    expect(stats.decisionsRecorded).toBe(3);
+    expect(stats.decisionAccuracy).toBe(67);
+  });
+
+  test('groups seats in table order with unknown seats last', () => {
+    expect(stats.positionStats.map(row => [row.code, row.hands, row.decisions, row.accuracy, row.avgConfidence])).toEqual([
+      ['BTN', 2, 2, 50, 70],
+      ['BB', 1, 0, null, 70],
+      ['SEAT7', 1, 1, 100, null]
+    ]);
+    expect(stats.positionStats[2].color).toBe('#6b7280');
+    expect(stats.handsWithoutPosition).toBe(1);
+  });
+
+  test('groups streets and recommended actions', () => {
+    expect(stats.streetStats.map(row => [row.street, row.hands, row.accuracy])).toEqual([
+      ['preflop', 2, 100],
+      ['flop', 2, 0]
+    ]);
+    const raise = stats.actionStats.find(row => row.action === 'raise');
+    expect(raise).toMatchObject({ hands: 1, decisions: 1, accuracy: 100 });
+    expect(stats.actionStats.find(row => row.action === 'allin').hands).toBe(1);
+  });
+
+  test('measures the cash win rate from recorded results only', () => {
+    expect(stats.winRate).toEqual({ bbPer100: 300, hands: 2 });
+  });
+
+  test('reports nothing measured without analyses', () => {
+    expect(summarizeDecisionStats([])).toMatchObject({
+      decisionAccuracy: null,
+      decisionsRecorded: 0,
+      positionStats: [],
+      winRate: { bbPer100: null, hands: 0 }
+    });
+  });
+});
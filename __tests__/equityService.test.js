@@ -0,0 +1,85 @@
+const { parseCards } = require('../src/utils/cards');
+const { parseRange } = require('../src/utils/ranges');
+const { calculateEquity, calculateRangeEquity, analyzeHand } = require('../src/services/equityService');
+
+describe('calculateEquity', () => {
+  test('samples preflop equity of aces against one random hand', () => {
+    const result = calculateEquity({ heroCards: parseCards(['Ah', 'As']), iterations: 20000, seed: 1 });
+    expect(result.method).toBe('monte_carlo');
+    expect(result.equity).toBeCloseTo(0.852, 1);
+  });
+
+  test('enumerates every runout on the turn', () => {
+    const result = calculateEquity({ heroCards: parseCards(['Ah', 'Kh']), boardCards: parseCards(['Qh', 'Jh', '2c', '3d']), seed: 1 });
+    expect(result.method).toBe('exhaustive');
+    expect(result.samples).toBe(45540);
+    expect(result.equity).toBeCloseTo(0.631, 2);
+  });
+
+  test('rejects duplicate cards', () => {
+    expect(() => calculateEquity({ heroCards: parseCards(['Ah', 'Kh']), boardCards: parseCards(['Ah', 'Jh', '2c']) }))
+      .toThrow('Duplicate cards in hand, board or dead cards');
+  });
+});
+
+describe('calculateRangeEquity', () => {
+  test('gives AA about 82% against KK preflop', () => {
+    const result = calculateRangeEquity({ heroRange: parseRange('AA'), villainRange: parseRange('KK'), seed: 7 });
+    expect(result.method).toBe('monte_carlo');
+    expect(Math.abs(result.hero.equity - 82)).toBeLessThan(1.5);
+  });
+
+  test('enumerates AA against KK on a dry flop', () => {
+    const result = calculateRangeEquity({
+      heroRange: parseRange('AA'),
+      villainRange: parseRange('KK'),
+      boardCards: parseCards(['2c', '7d', '9h'])
+    });
+    expect(result.method).toBe('exhaustive');
+    expect(result.samples).toBe(35640);
+    expect(result.hero.equity).toBe(91.6);
+  });
+
+  test('samples full ranges on the river without listing every matchup', () => {
+    const anyTwo = parseRange('22+,A2s+,K2s+,Q2s+,J2s+,T2s+,92s+,82s+,72s+,62s+,52s+,42s+,32s,A2o+,K2o+,Q2o+,J2o+,T2o+,92o+,82o+,72o+,62o+,52o+,42o+,32o');
+    const result = calculateRangeEquity({
+      heroRange: anyTwo,
+      villainRange: anyTwo,
+      boardCards: parseCards(['2c', '7d', '9h', 'Ts', 'Kc']),
+      iterations: 2000,
+      seed: 1
+    });
+    expect(result.method).toBe('monte_carlo');
+    // 47 * 46 / 2 hero combos, each against the 45 * 44 / 2 left for villain
+    expect(result.matchups).toBe(1081 * 990);
+    expect(Math.abs(result.hero.equity - 50)).toBeLessThan(3);
+  });
+
+  test('counts matchups of overlapping ranges', () => {
+    const result = calculateRangeEquity({ heroRange: parseRange('AA,KK'), villainRange: parseRange('AA,AKs'), iterations: 100, seed: 1 });
+    // AA vs AA: 6 * 1; AA vs AKs: 6 * 2 (suits hero does not hold); KK vs AA: 36; KK vs AKs: 6 * 2
+    expect(result.matchups).toBe(6 + 12 + 36 + 12);
+  });
+});
+
+describe('analyzeHand', () => {
+  test('prices a call against a 3-bet from what hero already put in', () => {
+    const result = analyzeHand({
+      hero_card: ['Q♠', 'J♠'],
+      hero_position: 'CO',
+      board_card: [],
+      pot: '13.5',
+      big_blind: '1',
+      stacks: { CO: '97', BTN: '91', SB: '99.5', BB: '99' },
+      actions: [
+        { seat: 'CO', action: 'raise', amount: '3' },
+        { seat: 'BTN', action: '3-bet', amount: '9' },
+        { seat: 'SB', action: 'fold', amount: null },
+        { seat: 'BB', action: 'fold', amount: null }
+      ]
+    }, { seed: 3, iterations: 2000 });
+    // 6 more to win 19.5, not the full 9 to win 22.5
+    expect(result.potOdds).toBe(30.8);
+    expect(result.opponents).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+const { explanationPreferences, explainDecision } = require('../src/services/explanationService');
+
+const FLOP_BET = {
+  recommendedAction: 'BET',
+  equity: 71,
+  localAnalysis: { opponents: 1, potOdds: null },
+  handState: { street: 'flop', heroPosition: 'BTN', heroCards: ['A♠', 'K♦'] },
+  betSizing: {
+    toCall: 0,
+    potOdds: null,
+    mdf: null,
+    spr: 4.5,
+    effectiveStack: 90,
+    effectiveStackBb: 90,
+    recommended: { label: '2/3 pot', amount: 8, amountBb: 8, fractionOfPot: 0.67, bluffBreakEven: 40, opponentMdf: 60 }
+  },
+  boardTexture: { wetness: 'dry', suits: 'rainbow', nuts: 'Set of kings', labels: ['K-high', 'dry', 'rainbow'] },
+  heroHolding: { holding: 'top-pair', madeHand: 'top-pair', kicker: 'A', labels: ['top pair', 'top kicker'] }
+};
+
+describe('explanationPreferences', () => {
+  test('reads the level and known focus areas from the user', () => {
+    expect(explanationPreferences({ preferences: { difficultyLevel: 'beginner', focusAreas: ['river', 'tells'] } }))
+      .toEqual({ level: 'beginner', focusAreas: ['river'] });
+  });
+
+  test('uses the defaults for anonymous users and unknown levels', () => {
+    expect(explanationPreferences(null)).toEqual({ level: 'advanced', focusAreas: [] });
+    expect(explanationPreferences({ preferences: { difficultyLevel: 'pro' } }).level).toBe('advanced');
+  });
+});
+
+describe('explainDecision', () => {
+  test('writes plain sentences and a glossary for beginners', () => {
+    const explanation = explainDecision(FLOP_BET, { level: 'beginner' });
+    expect(explanation.text).toMatch(/^The recommended play is BET\. You hold A♠K♦ on the button \(BTN\) on the flop\./);
+    expect(explanation.text).toContain('You have top pair with a A kicker (one of your cards matches the highest board card).');
+    expect(explanation.glossary.map(entry => entry.term)).toEqual([
+      'position', 'equity', 'range', 'board texture', 'kicker', 'minimum defence frequency (MDF)'
+    ]);
+    expect(explanation.glossary.every(entry => entry.definition)).toBe(true);
+  });
+
+  test('keeps the glossary to beginners', () => {
+    expect(explainDecision(FLOP_BET, { level: 'intermediate' }).glossary).toEqual([]);
+  });
+
+  test('writes terse notes for experts', () => {
+    const explanation = explainDecision(FLOP_BET, { level: 'expert' });
+    expect(explanation.points.map(point => point.text)).toEqual([
+      'BTN A♠K♦ flop: BET.',
+      'EQ 71%.',
+      'top pair, top kicker on K-high, dry, rainbow.',
+      '2/3 pot 8bb (67% pot): bluff BE 40%, villain MDF 60%.'
+    ]);
+  });
+
+  test('adds focus-only points after the decision', () => {
+    const explanation = explainDecision(FLOP_BET, { level: 'advanced', focusAreas: ['value_betting', 'stack_sizes'] });
+    expect(explanation.points.map(point => point.topic)).toEqual([
+      'decision', 'sizing', 'value_betting', 'stack_sizes', 'equity', 'holding'
+    ]);
+    expect(explanation.points.find(point => point.topic === 'stack_sizes').text).toBe('Effective stack 90bb, SPR 4.5.');
+  });
+
+  test('explains nothing without a recommendation', () => {
+    expect(explainDecision({ ...FLOP_BET, recommendedAction: null }, { level: 'beginner' })).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const { validateFeedback } = require('../src/services/feedbackService');
+
+describe('validateFeedback', () => {
+  test('normalizes the corrected read', () => {
+    const { feedback, error } = validateFeedback({
+      verdict: 'incorrect',
+      correctAction: ' call ',
+      corrections: {
+        hero_card: ['ah', 'Kd'],
+        board_card: ['Qh', '7c', '2d'],
+        hero_position: 'button',
+        pot: '$12.50',
+        stacks: { btn: '90', BB: 0 }
+      },
+      comment: ' wrong pot '
+    });
+    expect(error).toBeNull();
+    expect(feedback).toEqual({
+      verdict: 'incorrect',
+      correctAction: 'CALL',
+      corrections: {
+        hero_card: ['A♥', 'K♦'],
+        board_card: ['Q♥', '7♣', '2♦'],
+        hero_position: 'BTN',
+        pot: 12.5,
+        stacks: { BTN: 90, BB: 0 }
+      },
+      comment: 'wrong pot'
+    });
+  });
+
+  test('needs a verdict or corrections', () => {
+    expect(validateFeedback({}).error).toBe('Feedback needs a verdict, corrections, or both');
+    expect(validateFeedback({ verdict: 'maybe' }).error).toBe('verdict must be one of: correct, incorrect');
+  });
+
+  test('only takes a correct action with an incorrect verdict', () => {
+    expect(validateFeedback({ verdict: 'correct', correctAction: 'CALL' }).error)
+      .toBe('correctAction is only accepted with verdict "incorrect"');
+    expect(validateFeedback({ verdict: 'incorrect', correctAction: 'dance' }).error)
+      .toMatch(/correctAction must be an action/);
+  });
+
+  test('rejects corrections that cannot be a read', () => {
+    expect(validateFeedback({ corrections: { board_card: ['Qh', '7c'] } }).error).toBe('board_card must be 0, 3, 4 or 5 cards');
+    expect(validateFeedback({ corrections: { rake: 1 } }).error).toMatch(/^Unknown correction fields: rake/);
+    expect(validateFeedback({ corrections: { pot: 0 } }).error).toBe('pot must be a positive amount');
+    expect(validateFeedback({ corrections: {} }).error).toBe('corrections must change at least one field');
+  });
+});
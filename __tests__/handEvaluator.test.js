@@ -0,0 +1,22 @@
+const { parseCards } = require('../src/utils/cards');
+const { evaluateHand, describeScore } = require('../src/utils/handEvaluator');
+
+function score(cards) {
+  return evaluateHand(parseCards(cards));
+}
+
+describe('evaluateHand', () => {
+  test('names the best five-card hand out of seven', () => {
+    expect(describeScore(score(['Ah', 'Kh', 'Qh', 'Jh', 'Th', '2c', '3d']))).toBe('Straight Flush');
+    expect(describeScore(score(['5h', '4c', '3d', '2s', 'Ah']))).toBe('Straight');
+  });
+
+  test('ranks hands of the same category by their cards', () => {
+    expect(score(['Ah', 'Ad', 'Kc', 'Ks', '2h'])).toBeGreaterThan(score(['Ah', 'Ad', 'Qc', 'Qs', 'Kh']));
+    expect(score(['5h', '4c', '3d', '2s', 'Ah'])).toBeLessThan(score(['6h', '5c', '4d', '3s', '2h']));
+  });
+
+  test('splits identical hands', () => {
+    expect(score(['Ah', 'Kd', 'Qc', 'Js', '9h'])).toBe(score(['Ac', 'Ks', 'Qd', 'Jh', '9c']));
+  });
+});
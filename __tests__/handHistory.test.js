@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { parseHandHistories, toDecisionRead, heroResult } = require('../src/services/handHistory');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('PokerStars hand histories', () => {
+  const { site, hands, errors } = parseHandHistories(fixture('pokerstars-cash.txt'));
+  const hand = hands[0];
+
+  test('parses the hand', () => {
+    expect(site).toBe('PokerStars');
+    expect(errors).toEqual([]);
+    expect(hands).toHaveLength(1);
+  });
+
+  test('reads the spot before hero folds the turn', () => {
+    const { read, heroAction } = toDecisionRead(hand);
+    expect(read.hero_position).toBe('BTN');
+    expect(read.hero_card).toEqual(['Kh', 'Qh']);
+    expect(read.pot).toBe('3.95');
+    expect(heroAction).toMatchObject({ street: 'turn', action: 'fold' });
+  });
+
+  test('rounds summed amounts to cents', () => {
+    const { read } = toDecisionRead(hand);
+    expect(read.stacks.CO).toBe('8.2');
+    expect(read.actions.find(action => action.seat === 'BB' && action.action === 'call').amount).toBe(0.3);
+  });
+
+  test('nets hero the calls they lost', () => {
+    expect(heroResult(hand)).toBe(-1.15);
+  });
+});
+
+describe('GGPoker hand histories', () => {
+  const { site, hands, errors } = parseHandHistories(fixture('ggpoker-cash.txt'));
+  const hand = hands[0];
+
+  test('parses the hand', () => {
+    expect(site).toBe('GGPoker');
+    expect(errors).toEqual([]);
+    expect(hand.handId).toBe('HD1234567');
+  });
+
+  test('reads the spot before hero bets the river', () => {
+    const { read, heroAction } = toDecisionRead(hand);
+    expect(read.hero_position).toBe('SB');
+    expect(read.board_card).toEqual(['Kc', '8h', '3s', '2d', '7c']);
+    expect(read.pot).toBe('2.35');
+    expect(heroAction).toEqual({ street: 'river', action: 'bet', amount: 1.2 });
+  });
+
+  test('nets hero the pot after rake', () => {
+    expect(heroResult(hand)).toBe(2.23);
+  });
+});
@@ -0,0 +1,11 @@
+const { calculateIcm } = require('../src/utils/icm');
+
+describe('calculateIcm', () => {
+  test('splits the prize pool by finishing chances', () => {
+    const equities = calculateIcm([50, 30, 20], [0.5, 0.3, 0.2]);
+    expect(equities[0]).toBeCloseTo(0.38393, 4);
+    expect(equities[1]).toBeCloseTo(0.3275, 4);
+    expect(equities[2]).toBeCloseTo(0.28857, 4);
+    expect(equities.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1, 6);
+  });
+});
@@ -0,0 +1,62 @@
+const { Jimp } = require('jimp');
+const { TABLE_LAYOUTS } = require('../src/config/tableLayouts');
+const { fingerprintImage, hashDistance, cropRegions, compareRegions } = require('../src/utils/imageHash');
+
+const LAYOUT = TABLE_LAYOUTS.find(profile => profile.id === 'pokerstars-6max');
+const WIDTH = 548;
+const HEIGHT = 400;
+
+function fill(image, x, y, w, h, value) {
+  image.scan(x, y, w, h, function(px, py, idx) {
+    this.bitmap.data[idx] = value;
+    this.bitmap.data[idx + 1] = value;
+    this.bitmap.data[idx + 2] = value;
+  });
+}
+
+/**
+ * Felt with a dark pot label showing five digit-like glyphs; only the last one changes
+ */
+function drawTable(lastDigit) {
+  const image = new Jimp({ width: WIDTH, height: HEIGHT, color: 0x235f37ff });
+  const potX = Math.floor(LAYOUT.regions.pot.x * WIDTH);
+  const potY = Math.floor(LAYOUT.regions.pot.y * HEIGHT);
+  fill(image, potX, potY, Math.floor(LAYOUT.regions.pot.w * WIDTH), Math.floor(LAYOUT.regions.pot.h * HEIGHT), 20);
+  [1, 2, 3, 4, lastDigit].forEach((digit, index) => {
+    for (let stroke = 0; stroke < 4; stroke++) {
+      if ((digit >> stroke) & 1) {
+        fill(image, potX + 15 + index * 15 + (stroke % 2) * 3, potY + 5 + Math.floor(stroke / 2) * 6, 2, 6, 250);
+      }
+    }
+  });
+  return image;
+}
+
+describe('image fingerprints', () => {
+  let original;
+  beforeAll(async () => {
+    original = await drawTable(5).getBuffer('image/png');
+  });
+
+  test('gives a different pot digit the same perceptual hash', async () => {
+    const [a, b] = await Promise.all([original, await drawTable(6).getBuffer('image/png')].map(fingerprintImage));
+    expect(a.sha256).not.toBe(b.sha256);
+    expect(hashDistance(a.pHash, b.pHash)).toBeLessThanOrEqual(4);
+  });
+
+  test('matches the regions of a resized, re-encoded copy', async () => {
+    const copy = await drawTable(5).resize({ w: 411, h: 300 }).getBuffer('image/jpeg', { quality: 75 });
+    expect(compareRegions(await cropRegions(original, LAYOUT), await cropRegions(copy, LAYOUT))).toBe(true);
+  });
+
+  test('does not match a screenshot with one different pot digit', async () => {
+    const other = await drawTable(6).getBuffer('image/png');
+    expect(compareRegions(await cropRegions(original, LAYOUT), await cropRegions(other, LAYOUT))).toBe(false);
+  });
+
+  test('keeps the exact hash when the image cannot be decoded', async () => {
+    const fingerprint = await fingerprintImage(Buffer.from('not an image'));
+    expect(fingerprint.sha256).toHaveLength(64);
+    expect(fingerprint.pHash).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../src/models/AppSetting', () => ({ getValue: jest.fn() }));
+
+const AppSetting = require('../src/models/AppSetting');
+const { renderPrompt, resolvePrompt, validateExperiment, pickArm, assignPrompt } = require('../src/services/promptRegistry');
+
+const EXPERIMENT = {
+  name: 'read-first',
+  gameFormats: ['tournament'],
+  arms: [
+    { name: 'control', prompt: 'table-read', version: 'v1', model: null, maxOutputTokens: null, temperature: null, weight: 3 },
+    { name: 'read-first', prompt: 'table-read', version: 'v2', model: 'gpt-4.1', maxOutputTokens: null, temperature: 0, weight: 1 }
+  ]
+};
+
+describe('renderPrompt', () => {
+  test('uses the game format override when a version has one', () => {
+    expect(renderPrompt({ name: 'table-read', version: 'v2' }, 'tournament')).toMatch(/^You are reading a tournament/);
+    expect(renderPrompt({ name: 'table-read', version: 'v2' }, 'cash')).toMatch(/^You are reading a cash/);
+    expect(renderPrompt({ name: 'table-read', version: 'v1' }, 'tournament', { layoutHint: ' Hero is BTN.' }))
+      .toMatch(/Return ONLY JSON\. Hero is BTN\.$/);
+  });
+
+  test('rejects unknown versions', () => {
+    expect(() => renderPrompt({ name: 'table-read', version: 'v9' }, 'cash')).toThrow('Unknown prompt table-read@v9');
+  });
+});
+
+describe('validateExperiment', () => {
+  test('accepts arms on registered versions', () => {
+    expect(validateExperiment(EXPERIMENT)).toBeNull();
+  });
+
+  test('rejects arms on unregistered versions', () => {
+    const experiment = { ...EXPERIMENT, arms: [EXPERIMENT.arms[0], { ...EXPERIMENT.arms[1], version: 'v9' }] };
+    expect(validateExperiment(experiment)).toBe('Arm read-first: unknown prompt table-read@v9');
+  });
+});
+
+describe('pickArm', () => {
+  test('keeps a user in the same arm', () => {
+    const arm = pickArm(EXPERIMENT, 'user-1');
+    for (let i = 0; i < 5; i++) {
+      expect(pickArm(EXPERIMENT, 'user-1')).toBe(arm);
+    }
+  });
+
+  test('splits users by arm weight', () => {
+    let control = 0;
+    for (let i = 0; i < 4000; i++) {
+      if (pickArm(EXPERIMENT, `user-${i}`).name === 'control') control++;
+    }
+    expect(control / 4000).toBeGreaterThan(0.72);
+    expect(control / 4000).toBeLessThan(0.78);
+  });
+});
+
+describe('assignPrompt', () => {
+  afterEach(() => AppSetting.getValue.mockReset());
+
+  test('uses the default prompt without an experiment', async () => {
+    AppSetting.getValue.mockResolvedValue(null);
+    await expect(assignPrompt('cash', 'user-1')).resolves.toEqual({
+      ...resolvePrompt(),
+      experiment: null,
+      arm: null
+    });
+  });
+
+  test('leaves game formats outside the experiment on the default prompt', async () => {
+    AppSetting.getValue.mockResolvedValue(EXPERIMENT);
+    expect((await assignPrompt('cash', 'user-1')).arm).toBeNull();
+  });
+
+  test('applies the arm overrides', async () => {
+    AppSetting.getValue.mockResolvedValue(EXPERIMENT);
+    let key = 0;
+    while (pickArm(EXPERIMENT, `user-${key}`).name !== 'read-first') key++;
+    await expect(assignPrompt('tournament', `user-${key}`)).resolves.toMatchObject({
+      name: 'table-read',
+      version: 'v2',
+      model: 'gpt-4.1',
+      maxOutputTokens: 600,
+      temperature: 0,
+      experiment: 'read-first',
+      arm: 'read-first'
+    });
+  });
+});
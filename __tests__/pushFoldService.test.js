@@ -0,0 +1,11 @@
+const { solvePushFold, describeRanges } = require('../src/services/pushFoldService');
+
+describe('solvePushFold', () => {
+  test('matches the heads-up Nash ranges at 10bb', () => {
+    const ranges = describeRanges(solvePushFold({ stacks: [10, 10] }));
+    const byNode = Object.fromEntries(ranges.map(range => [range.node, range]));
+    expect(byNode['SB shove'].percentage).toBeCloseTo(57.8, 0);
+    expect(byNode['BB call vs SB'].percentage).toBeCloseTo(38.2, 0);
+    expect(byNode['SB shove'].range).toContain('K2o');
+  });
+});
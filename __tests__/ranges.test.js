@@ -0,0 +1,18 @@
+const { parseRange, comboCount } = require('../src/utils/ranges');
+
+describe('parseRange', () => {
+  test('expands plus notation', () => {
+    expect(parseRange('QQ+, AKs')).toEqual(['QQ', 'KK', 'AA', 'AKs']);
+    expect(parseRange('AJo+')).toHaveLength(3);
+  });
+
+  test('expands dash notation', () => {
+    expect(parseRange('T9s-76s')).toEqual(['T9s', '98s', '87s', '76s']);
+  });
+
+  test('counts combos per hand class', () => {
+    expect(comboCount('AA')).toBe(6);
+    expect(comboCount('AKs')).toBe(4);
+    expect(comboCount('AKo')).toBe(12);
+  });
+});
@@ -0,0 +1,64 @@
+const { buildHandState } = require('../src/utils/handState');
+const { writeStarsHand } = require('../src/services/handHistory/starsWriter');
+const { parseHandHistories, toDecisionRead } = require('../src/services/handHistory');
+
+function flopRaise(handId = null) {
+  const handState = buildHandState({
+    hero_card: ['Ah', 'Kh'],
+    board_card: ['Qh', '7c', '2d'],
+    hero_position: 'BTN',
+    pot: 8.5,
+    big_blind: 1,
+    stacks: { BTN: 97, SB: 100, BB: 97 },
+    actions: [
+      { street: 'preflop', seat: 'BTN', action: 'raise', amount: 2.5 },
+      { street: 'preflop', seat: 'SB', action: 'fold' },
+      { street: 'preflop', seat: 'BB', action: 'call', amount: 2.5 },
+      { street: 'flop', seat: 'BB', action: 'bet', amount: 3 }
+    ]
+  }, { heroAction: { action: 'raise', amount: 9 } });
+  return { analysisId: 'analysis-1', createdAt: '2024-05-02T18:40:11Z', handState: { ...handState, handId } };
+}
+
+describe('writeStarsHand', () => {
+  test('writes a hand the PokerStars parser reads back', () => {
+    const { site, hands, errors } = parseHandHistories(writeStarsHand(flopRaise()));
+    expect(site).toBe('PokerStars');
+    expect(errors).toEqual([]);
+
+    const { read, heroAction } = toDecisionRead(hands[0]);
+    expect(read.hero_card).toEqual(['Ah', 'Kh']);
+    expect(read.hero_position).toBe('BTN');
+    expect(read.board_card).toEqual(['Qh', '7c', '2d']);
+    expect(read.actions.map(action => `${action.seat} ${action.action} ${action.amount}`)).toEqual([
+      'SB post 0.5',
+      'BB post 1',
+      'BTN raise 2.5',
+      'SB fold null',
+      'BB call 2.5',
+      'BB bet 3'
+    ]);
+    expect(heroAction).toEqual({ street: 'flop', action: 'raise', amount: 9 });
+  });
+
+  test('writes raises as the amount added and the new total', () => {
+    const text = writeStarsHand(flopRaise());
+    expect(text).toContain('Hero: raises 1.5 to 2.5');
+    expect(text).toContain('BB: calls 1.5');
+    expect(text).toContain('Hero: raises 6 to 9');
+  });
+
+  test('keeps the digits of an imported hand number', () => {
+    expect(writeStarsHand(flopRaise('HD1234567'))).toMatch(/^PokerStars Hand #1234567:/);
+  });
+
+  test('derives a stable hand number from the analysis ID', () => {
+    const first = writeStarsHand(flopRaise()).split(':')[0];
+    expect(first).toMatch(/^PokerStars Hand #\d+$/);
+    expect(writeStarsHand(flopRaise()).split(':')[0]).toBe(first);
+  });
+
+  test('skips analyses without hero cards', () => {
+    expect(writeStarsHand({ analysisId: 'analysis-2', handState: { heroCards: [], players: [] } })).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Preflop range charts for 6-max cash games, keyed by effective stack depth
+ * (matching User.preferences.stackSize) and hero position.
+ *
+ * Each position has:
+ *   - open:     raise-first-in range when folded to hero
+ *   - threeBet: re-raise range when facing a single open
+ *   - call:     flat range when facing a single open
+ * and each depth has a vsThreeBet block used when hero's open gets 3-bet.
+ *
+ * Hands listed in both threeBet and call are 3-bet (threeBet is checked first).
+ */
+
+const POSITIONS = ['UTG', 'HJ', 'CO', 'BTN', 'SB', 'BB'];
+
+const STACK_DEPTHS = ['50bb', '100bb', '200bb', '300bb+'];
+
+const PREFLOP_CHARTS = {
+  '50bb': {
+    positions: {
+      UTG: {
+        open: '33+, A2s+, KTs+, QTs+, JTs, T9s, ATo+, KJo+',
+        threeBet: 'QQ+, AKs, AKo',
+        call: ''
+      },
+      HJ: {
+        open: '22+, A2s+, K9s+, Q9s+, J9s+, T9s, 98s, ATo+, KJo+, QJo',
+        threeBet: 'JJ+, AQs+, AKo, A5s',
+        call: 'TT-88, AJs, KQs'
+      },
+      CO: {
+        open: '22+, A2s+, K7s+, Q9s+, J9s+, T8s+, 98s, 87s, A9o+, KTo+, QJo',
+        threeBet: 'TT+, AJs+, AQo+, KQs, A5s-A4s',
+        call: '99-77, ATs, KJs, QJs, JTs'
+      },
+      BTN: {
+        open: '22+, A2s+, K4s+, Q7s+, J8s+, T8s+, 97s+, 87s, 76s, A5o+, K9o+, QTo+, JTo',
+        threeBet: '99+, ATs+, KQs, AJo+, A5s-A3s, KJs',
+        call: '88-55, A9s-A7s, KTs, QTs+, JTs, T9s, KQo'
+      },
+      SB: {
+        open: '22+, A2s+, K6s+, Q8s+, J8s+, T8s+, 98s, A7o+, KTo+, QJo',
+        threeBet: '99+, ATs+, KJs+, AJo+, A5s-A4s',
+        call: '88-66, QJs'
+      },
+      BB: {
+        open: '',
+        threeBet: '99+, ATs+, KQs, AJo+, A5s-A4s',
+        call: '88-22, A9s-A2s, K8s+, Q9s+, J9s+, T8s+, 98s, 87s, 76s, ATo-A8o, KTo+, QTo+, JTo'
+      }
+    },
+    vsThreeBet: {
+      fourBet: 'QQ+, AKs, AKo, A5s',
+      call: 'JJ-TT, AQs, AJs, KQs'
+    }
+  },
+  '100bb': {
+    positions: {
+      UTG: {
+        open: '22+, A2s+, K9s+, Q9s+, J9s+, T9s, 98s, 87s, 76s, 65s, AJo+, KQo',
+        threeBet: 'QQ+, AKs, AKo',
+        call: ''
+      },
+      HJ: {
+        open: '22+, A2s+, K7s+, Q9s+, J9s+, T8s+, 97s+, 87s, 76s, 65s, 54s, ATo+, KJo+, QJo',
+        threeBet: 'QQ+, AKs, AKo, A5s-A4s, KQs',
+        call: 'JJ-88, AQs-ATs, KJs, QJs, JTs, AQo'
+      },
+      CO: {
+        open: '22+, A2s+, K5s+, Q8s+, J8s+, T8s+, 97s+, 86s+, 75s+, 65s, 54s, A8o+, KTo+, QTo+, JTo',
+        threeBet: 'JJ+, AQs+, AKo, A5s-A4s, KQs, 76s',
+        call: 'TT-66, AJs-ATs, KJs, QJs, JTs, T9s, 98s, AQo, AJo, KQo'
+      },
+      BTN: {
+        open: '22+, A2s+, K2s+, Q4s+, J6s+, T6s+, 96s+, 85s+, 74s+, 64s+, 53s+, 43s, A2o+, K8o+, Q9o+, J9o+, T9o, 98o',
+        threeBet: 'TT+, AJs+, KQs, AQo+, A5s-A3s, K9s, 65s',
+        call: '99-22, ATs-A6s, KJs-KTs, QTs+, J9s+, T8s+, 97s+, 87s, 76s, AJo, KQo, KJo'
+      },
+      SB: {
+        open: '22+, A2s+, K4s+, Q7s+, J7s+, T7s+, 97s+, 86s+, 75s+, 64s+, 54s, A5o+, K9o+, QTo+, JTo',
+        threeBet: 'TT+, ATs+, KJs+, QJs, AQo+, A5s-A2s, 76s',
+        call: '99-66, AJs, KQs, JTs'
+      },
+      BB: {
+        open: '',
+        threeBet: 'TT+, AJs+, KQs, AQo+, A5s-A3s, 87s, 76s, 65s',
+        call: '99-22, A9s-A2s, K2s+, Q5s+, J7s+, T7s+, 96s+, 85s+, 75s+, 64s+, 53s+, 43s, AJo-A7o, KTo+, QTo+, JTo, T9o'
+      }
+    },
+    vsThreeBet: {
+      fourBet: 'KK+, AKs, AKo, A5s-A4s',
+      call: 'QQ-88, AQs-AJs, KQs, KJs, QJs, JTs, T9s, AQo'
+    }
+  },
+  '200bb': {
+    positions: {
+      UTG: {
+        open: '22+, A2s+, K9s+, Q9s+, J9s+, T9s, 98s, 87s, 76s, 65s, 54s, AJo+, KQo',
+        threeBet: 'KK+, AKs',
+        call: ''
+      },
+      HJ: {
+        open: '22+, A2s+, K7s+, Q9s+, J9s+, T8s+, 97s+, 86s+, 75s+, 65s, 54s, ATo+, KJo+, QJo',
+        threeBet: 'KK+, AKs, A5s-A4s, 76s',
+        call: 'QQ-22, AQs-ATs, KQs, KJs, QJs, JTs, T9s, AKo, AQo'
+      },
+      CO: {
+        open: '22+, A2s+, K5s+, Q8s+, J8s+, T7s+, 96s+, 86s+, 75s+, 64s+, 54s, A8o+, KTo+, QTo+, JTo',
+        threeBet: 'KK+, AKs, AKo, A5s-A3s, 76s, 65s',
+        call: 'QQ-22, AQs-ATs, KQs-KTs, QJs, JTs, T9s, 98s, 87s, AQo, AJo, KQo'
+      },
+      BTN: {
+        open: '22+, A2s+, K2s+, Q4s+, J6s+, T6s+, 96s+, 85s+, 74s+, 63s+, 53s+, 43s, A2o+, K8o+, Q9o+, J9o+, T9o, 98o',
+        threeBet: 'QQ+, AKs, AKo, A5s-A2s, K9s, 65s, 54s',
+        call: 'JJ-22, AQs-A6s, KQs-KTs, QTs+, J9s+, T8s+, 97s+, 86s+, 75s+, 64s+, AQo, AJo, KQo, KJo'
+      },
+      SB: {
+        open: '22+, A2s+, K4s+, Q7s+, J7s+, T7s+, 97s+, 86s+, 75s+, 64s+, 54s, A5o+, K9o+, QTo+, JTo',
+        threeBet: 'QQ+, AKs, AKo, A5s-A2s, 76s, 65s',
+        call: 'JJ-22, AQs-ATs, KQs, KJs, QJs, JTs, T9s, 98s'
+      },
+      BB: {
+        open: '',
+        threeBet: 'QQ+, AKs, AKo, A5s-A2s, 87s, 76s, 65s',
+        call: 'JJ-22, AQs-A6s, K2s+, Q5s+, J7s+, T7s+, 96s+, 85s+, 74s+, 64s+, 53s+, 43s, AQo-A7o, KTo+, QTo+, JTo, T9o'
+      }
+    },
+    vsThreeBet: {
+      fourBet: 'KK+, AKs, A5s-A4s',
+      call: 'QQ-22, AKo, AQs-ATs, KQs-KTs, QJs, JTs, T9s, 98s, 87s, 76s, 65s'
+    }
+  },
+  '300bb+': {
+    positions: {
+      UTG: {
+        open: '22+, A2s+, K9s+, Q9s+, J9s+, T9s, 98s, 87s, 76s, 65s, 54s, AQo+, KQo',
+        threeBet: 'AA, KK',
+        call: ''
+      },
+      HJ: {
+        open: '22+, A2s+, K8s+, Q9s+, J9s+, T8s+, 97s+, 86s+, 75s+, 64s+, 54s, AJo+, KQo',
+        threeBet: 'AA, KK, A5s-A4s, 76s',
+        call: 'QQ-22, AKs-ATs, KQs, KJs, QJs, JTs, T9s, 98s, AKo, AQo'
+      },
+      CO: {
+        open: '22+, A2s+, K5s+, Q8s+, J8s+, T7s+, 96s+, 85s+, 74s+, 64s+, 53s+, A9o+, KTo+, QTo+, JTo',
+        threeBet: 'AA, KK, A5s-A2s, 76s, 65s, 54s',
+        call: 'QQ-22, AKs-ATs, KQs-KTs, QJs, JTs, T9s, 98s, 87s, 76s, AKo, AQo, KQo'
+      },
+      BTN: {
+        open: '22+, A2s+, K2s+, Q4s+, J6s+, T6s+, 95s+, 85s+, 74s+, 63s+, 52s+, 42s+, 32s, A2o+, K9o+, Q9o+, J9o+, T9o',
+        threeBet: 'AA, KK, A5s-A2s, K9s, 65s, 54s, 43s',
+        call: 'QQ-22, AKs-A6s, KQs-KTs, QTs+, J9s+, T8s+, 97s+, 86s+, 75s+, 64s+, 53s+, AKo, AQo, AJo, KQo'
+      },
+      SB: {
+        open: '22+, A2s+, K4s+, Q7s+, J7s+, T7s+, 97s+, 86s+, 75s+, 64s+, 54s, A7o+, KTo+, QTo+, JTo',
+        threeBet: 'AA, KK, A5s-A2s, 76s, 65s, 54s',
+        call: 'QQ-22, AKs-ATs, KQs, KJs, QJs, JTs, T9s, 98s, 87s, AKo'
+      },
+      BB: {
+        open: '',
+        threeBet: 'AA, KK, A5s-A2s, 87s, 76s, 65s, 54s',
+        call: 'QQ-22, AKs-A6s, K2s+, Q5s+, J7s+, T7s+, 96s+, 85s+, 74s+, 63s+, 53s+, 43s, AKo-A8o, KTo+, QTo+, JTo, T9o'
+      }
+    },
+    vsThreeBet: {
+      fourBet: 'AA, KK',
+      call: 'QQ-22, AKs-ATs, KQs-KTs, QJs, JTs, T9s, 98s, 87s, 76s, 65s, 54s, AKo'
+    }
+  }
+};
+
+module.exports = {
+  POSITIONS,
+  STACK_DEPTHS,
+  PREFLOP_CHARTS
+};
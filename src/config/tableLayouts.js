@@ -0,0 +1,126 @@
+/**
+ * Table layout profiles for the poker clients we parse screenshots from.
+ *
+ * All boxes are fractions of the screenshot ({ x, y, w, h } in 0-1), so one
+ * profile covers every window size with the client's aspect ratio. Profiles
+ * target each client's default table theme.
+ *
+ * Seats are numbered clockwise from hero, who always sits at the bottom
+ * (seat 1). Each seat has a plate box (name above stack), an avatar box above
+ * the plate and a button box where the dealer button sits when that seat is
+ * on the button. The chat box is blurred in redacted screenshots.
+ */
+
+const TABLE_SIZES = [2, 3, 6, 9];
+
+/**
+ * Seat plates and dealer-button spots spread evenly around an oval table,
+ * starting with hero at the bottom and going clockwise
+ * @param {number} count - Seats at the table
+ * @param {Object} oval - Centre ({ cx, cy }) and radii ({ rx, ry }) of the seat ring
+ * @param {Object} plate - Seat plate size ({ w, h })
+ * @param {Object} avatar - Avatar size ({ w, h })
+ */
+function ovalSeats(count, { cx, cy, rx, ry }, plate, avatar) {
+  const seats = [];
+  for (let i = 0; i < count; i++) {
+    // Screen y grows downwards, so 90° is the bottom and increasing angles run clockwise
+    const angle = Math.PI / 2 + (2 * Math.PI * i) / count;
+    const x = cx + rx * Math.cos(angle);
+    const y = cy + ry * Math.sin(angle);
+    // The button sits between the seat and the middle of the table
+    const buttonX = x + (cx - x) * 0.3;
+    const buttonY = y + (cy - y) * 0.3;
+
+    seats.push({
+      seat: i + 1,
+      plate: { x: x - plate.w / 2, y: y - plate.h / 2, w: plate.w, h: plate.h },
+      avatar: { x: x - avatar.w / 2, y: y - plate.h / 2 - avatar.h, w: avatar.w, h: avatar.h },
+      button: { x: buttonX - 0.03, y: buttonY - 0.04, w: 0.06, h: 0.08 }
+    });
+  }
+  return seats;
+}
+
+/**
+ * Build the 2/3/6/9-max profiles of one client from its shared geometry
+ */
+function siteProfiles(site, geometry) {
+  return TABLE_SIZES.map(maxPlayers => ({
+    id: `${site.id}-${maxPlayers}max`,
+    site: site.name,
+    maxPlayers,
+    aspectRatio: geometry.aspectRatio,
+    feltColour: geometry.feltColour,
+    buttonColour: geometry.buttonColour,
+    regions: {
+      table: geometry.table,
+      pot: geometry.pot,
+      board: geometry.board,
+      heroCards: geometry.heroCards,
+      chat: geometry.chat,
+      seats: ovalSeats(maxPlayers, geometry.seatRing, geometry.seatPlate, geometry.avatar)
+    }
+  }));
+}
+
+const TABLE_LAYOUTS = [
+  ...siteProfiles({ id: 'pokerstars', name: 'PokerStars' }, {
+    aspectRatio: 1.37,
+    feltColour: [35, 95, 55],
+    buttonColour: [235, 235, 225],
+    table: { x: 0.02, y: 0.04, w: 0.96, h: 0.92 },
+    pot: { x: 0.40, y: 0.30, w: 0.20, h: 0.07 },
+    board: { x: 0.30, y: 0.38, w: 0.40, h: 0.18 },
+    heroCards: { x: 0.42, y: 0.62, w: 0.16, h: 0.16 },
+    seatRing: { cx: 0.5, cy: 0.48, rx: 0.42, ry: 0.36 },
+    seatPlate: { w: 0.16, h: 0.08 },
+    avatar: { w: 0.06, h: 0.09 },
+    chat: { x: 0.0, y: 0.84, w: 0.32, h: 0.16 }
+  }),
+  ...siteProfiles({ id: 'ggpoker', name: 'GGPoker' }, {
+    aspectRatio: 1.6,
+    feltColour: [20, 60, 45],
+    buttonColour: [245, 245, 245],
+    table: { x: 0.05, y: 0.06, w: 0.90, h: 0.88 },
+    pot: { x: 0.41, y: 0.33, w: 0.18, h: 0.06 },
+    board: { x: 0.32, y: 0.40, w: 0.36, h: 0.17 },
+    heroCards: { x: 0.43, y: 0.64, w: 0.14, h: 0.15 },
+    seatRing: { cx: 0.5, cy: 0.5, rx: 0.40, ry: 0.36 },
+    seatPlate: { w: 0.14, h: 0.08 },
+    avatar: { w: 0.05, h: 0.09 },
+    chat: { x: 0.0, y: 0.86, w: 0.28, h: 0.14 }
+  }),
+  ...siteProfiles({ id: '888poker', name: '888poker' }, {
+    aspectRatio: 1.45,
+    feltColour: [30, 80, 120],
+    buttonColour: [250, 250, 250],
+    table: { x: 0.03, y: 0.05, w: 0.94, h: 0.90 },
+    pot: { x: 0.40, y: 0.31, w: 0.20, h: 0.06 },
+    board: { x: 0.31, y: 0.39, w: 0.38, h: 0.17 },
+    heroCards: { x: 0.42, y: 0.63, w: 0.16, h: 0.15 },
+    seatRing: { cx: 0.5, cy: 0.49, rx: 0.41, ry: 0.36 },
+    seatPlate: { w: 0.15, h: 0.08 },
+    avatar: { w: 0.06, h: 0.09 },
+    chat: { x: 0.0, y: 0.85, w: 0.30, h: 0.15 }
+  })
+];
+
+// Position names clockwise from the button, per number of players
+// (hand histories can have any count, not just the table sizes above)
+const POSITIONS_FROM_BUTTON = {
+  2: ['SB', 'BB'],
+  3: ['BTN', 'SB', 'BB'],
+  4: ['BTN', 'SB', 'BB', 'CO'],
+  5: ['BTN', 'SB', 'BB', 'HJ', 'CO'],
+  6: ['BTN', 'SB', 'BB', 'UTG', 'HJ', 'CO'],
+  7: ['BTN', 'SB', 'BB', 'UTG', 'LJ', 'HJ', 'CO'],
+  8: ['BTN', 'SB', 'BB', 'UTG', 'MP', 'LJ', 'HJ', 'CO'],
+  9: ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'MP', 'LJ', 'HJ', 'CO']
+};
+
+module.exports = {
+  TABLE_SIZES,
+  TABLE_LAYOUTS,
+  POSITIONS_FROM_BUTTON
+};
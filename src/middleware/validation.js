@@ -1,3 +1,6 @@
+const Joi = require('joi');
+const { STREETS, normalizeActionType } = require('../utils/handState');
+
 /**
  * Validate image upload request
  */
@@ -64,6 +67,51 @@ const validateAnalysisId = (req, res, next) => {
   next();
 };
 
+// Amounts are read from screenshots as text ("1,250", "12.5 BB") or sent as numbers
+const amountSchema = Joi.alternatives().try(Joi.number(), Joi.string().allow('')).allow(null);
+const HERO_ACTION_MESSAGE = 'heroAction.action must be fold, check, call, bet, raise or all-in';
+
+const sessionSnapshotSchema = Joi.object({
+  hero_card: Joi.array().items(Joi.string()).max(2),
+  board_card: Joi.array().items(Joi.string())
+    .custom((cards, helpers) => ([0, 3, 4, 5].includes(cards.length) ? cards : helpers.error('any.invalid')))
+    .messages({
+      'array.base': 'board_card must be a list of 0, 3, 4 or 5 cards',
+      'any.invalid': 'board_card must be a list of 0, 3, 4 or 5 cards'
+    }),
+  hero_position: Joi.string().allow('', null),
+  pot: amountSchema,
+  big_blind: amountSchema,
+  stacks: Joi.object().pattern(Joi.string(), amountSchema),
+  actions: Joi.array().items(Joi.object({
+    seat: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    action: Joi.string().required(),
+    amount: amountSchema,
+    street: Joi.string().valid(...STREETS)
+  }).unknown(true)),
+  heroAction: Joi.object({
+    action: Joi.string().required()
+      .custom((action, helpers) => ([null, 'post'].includes(normalizeActionType(action)) ? helpers.error('any.invalid') : action))
+      .messages({ 'any.invalid': HERO_ACTION_MESSAGE, 'any.required': HERO_ACTION_MESSAGE, 'string.base': HERO_ACTION_MESSAGE }),
+    amount: amountSchema
+  }).unknown(true).allow(null)
+}).unknown(true);
+
+/**
+ * Validate a hand session snapshot body, so malformed reads get a 400 instead
+ * of failing inside the analysis
+ */
+const validateSessionSnapshot = (req, res, next) => {
+  const { error } = sessionSnapshotSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message.replace(/"/g, '')
+    });
+  }
+  next();
+};
+
 /**
  * Rate limiting for analysis requests (per IP)
  */
@@ -104,5 +152,6 @@ const analysisRateLimit = (req, res, next) => {
 module.exports = {
   validateImageUpload,
   validateAnalysisId,
+  validateSessionSnapshot,
   analysisRateLimit
 }; 
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Fingerprint of an analyzed screenshot, pointing at the stored result
+const analysisCacheSchema = new mongoose.Schema({
+  analysisId: {
+    type: String,
+    required: [true, 'Analysis ID is required'],
+    index: true
+  },
+  gameFormat: {
+    type: String,
+    required: [true, 'Game format is required'],
+    enum: ['cash', 'tournament'],
+    lowercase: true
+  },
+  // Preflop chart depth the result was computed for (resolveStackDepth of the uploader's stackSize)
+  stackDepth: {
+    type: String,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  // 64-bit perceptual hash as a string of 0/1; only finds candidates for regions to confirm
+  pHash: {
+    type: String,
+    default: null
+  },
+  // Table layout the screenshot was read with; its regions are compared
+  layoutId: {
+    type: String,
+    default: null
+  },
+  // Greyscale crops of the pot, board, hero card and stack regions (see cropRegions)
+  regions: {
+    type: [new mongoose.Schema({
+      name: String,
+      width: Number,
+      height: Number,
+      pixels: Buffer
+    }, { _id: false })],
+    default: undefined,
+    select: false
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+analysisCacheSchema.index({ gameFormat: 1, stackDepth: 1, sha256: 1 });
+analysisCacheSchema.index({ gameFormat: 1, stackDepth: 1, createdAt: -1 });
+// MongoDB removes entries once expiresAt passes
+analysisCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalysisCache', analysisCacheSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Table read in the analysis JSON shape, as read or as corrected by the user
+const feedbackReadSchema = new mongoose.Schema({
+  hero_card: [String],
+  board_card: [String],
+  hero_position: String,
+  pot: Number,
+  big_blind: Number,
+  // Chips behind by position
+  stacks: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One version of a user's feedback on an analysis. Each submission adds a
+// version; the latest one is mirrored on the analysis for stats.
+const analysisFeedbackSchema = new mongoose.Schema({
+  analysisId: {
+    type: String,
+    required: [true, 'Analysis ID is required'],
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Whether the user agrees with the recommendation; null when only the read is corrected
+  verdict: {
+    type: String,
+    enum: ['correct', 'incorrect', null],
+    default: null
+  },
+  // What the user thinks hero should have done instead
+  correctAction: {
+    type: String,
+    default: null
+  },
+  // Fields the user changed, as sent
+  corrections: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // The read the analysis was made for, and the same read with the corrections applied
+  // (labelled data for the card and table readers)
+  originalRead: {
+    type: feedbackReadSchema,
+    required: true
+  },
+  correctedRead: {
+    type: feedbackReadSchema,
+    default: null
+  },
+  comment: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+analysisFeedbackSchema.index({ analysisId: 1, version: 1 }, { unique: true });
+analysisFeedbackSchema.index({ userId: 1, createdAt: -1 });
+
+// Latest version of the feedback on an analysis
+analysisFeedbackSchema.statics.findLatest = function(analysisId) {
+  return this.findOne({ analysisId }).sort({ version: -1 });
+};
+
+// Feedback data safe to return to clients
+analysisFeedbackSchema.methods.getPublicData = function() {
+  return {
+    analysisId: this.analysisId,
+    version: this.version,
+    verdict: this.verdict,
+    correctAction: this.correctAction,
+    corrections: this.corrections,
+    originalRead: this.originalRead,
+    correctedRead: this.correctedRead,
+    comment: this.comment,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('AnalysisFeedback', analysisFeedbackSchema);
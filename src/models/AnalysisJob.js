@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const analysisJobSchema = new mongoose.Schema({
+  // Same ID as the PokerAnalysis the job produces
+  analysisId: {
+    type: String,
+    required: [true, 'Analysis ID is required'],
+    unique: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stage: {
+    type: String,
+    default: 'queued'
+  },
+  gameFormat: {
+    type: String,
+    required: [true, 'Game format is required'],
+    enum: ['cash', 'tournament'],
+    lowercase: true
+  },
+  // Uploaded screenshot, dropped once the job finishes
+  imageBuffer: {
+    type: Buffer,
+    required: false
+  },
+  imageContentType: {
+    type: String,
+    default: 'image/jpeg'
+  },
+  // Image fingerprint computed at upload, used to cache the result
+  fingerprint: {
+    type: Object,
+    default: null
+  },
+  // Hand session the screenshot belongs to; earlier streets are used as context
+  handSessionId: {
+    type: String,
+    default: null
+  },
+  // Analysis options resolved at upload time (e.g. stackSize)
+  options: {
+    type: Object,
+    default: {}
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  userEmail: {
+    type: String,
+    required: false
+  },
+  userFullName: {
+    type: String,
+    required: false
+  },
+
+  // Retry handling
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Set once the user has been charged for the analysis, so retries do not charge again
+  charged: {
+    type: Boolean,
+    default: false
+  },
+  // Table read (cards, pot, stacks) available before the recommendation
+  partialResult: {
+    type: Object,
+    default: null
+  },
+
+  // Worker lock
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for claiming the next job
+analysisJobSchema.index({ status: 1, availableAt: 1, createdAt: 1 });
+
+// Find job by analysisId
+analysisJobSchema.statics.findByAnalysisId = function(analysisId) {
+  return this.findOne({ analysisId }).select('-imageBuffer');
+};
+
+// Status data safe to return to clients
+analysisJobSchema.methods.getPublicStatus = function() {
+  return {
+    analysisId: this.analysisId,
+    status: this.status,
+    progress: this.progress,
+    stage: this.stage,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    error: this.status === 'failed' ? this.lastError : null,
+    partialResult: this.partialResult,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
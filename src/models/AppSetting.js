@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Runtime settings that admins can change without a redeploy
+const appSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    index: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, falling back to a default when it was never set
+appSettingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting && setting.value !== null && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Create or update a setting
+appSettingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('AppSetting', appSettingSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One hand studied street by street: its snapshots are the PokerAnalysis
+// documents that carry the session's ID
+const handSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: [true, 'Session ID is required'],
+    unique: true,
+    index: true
+  },
+  gameFormat: {
+    type: String,
+    required: [true, 'Game format is required'],
+    enum: ['cash', 'tournament'],
+    lowercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  userEmail: {
+    type: String,
+    required: false
+  },
+  userFullName: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Find session by sessionId
+handSessionSchema.statics.findBySessionId = function(sessionId) {
+  return this.findOne({ sessionId });
+};
+
+// Session data safe to return to clients
+handSessionSchema.methods.getPublicData = function() {
+  return {
+    sessionId: this.sessionId,
+    gameFormat: this.gameFormat,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('HandSession', handSessionSchema);
@@ -1,4 +1,66 @@
 const mongoose = require('mongoose');
+const { STREETS, ACTION_TYPES } = require('../utils/handState');
+
+// One action in the hand, amounts in chips and big blinds
+const handActionSchema = new mongoose.Schema({
+  street: { type: String, enum: STREETS },
+  position: String,
+  action: { type: String, enum: ACTION_TYPES },
+  amount: Number,
+  amountBb: Number
+}, { _id: false });
+
+const handPlayerSchema = new mongoose.Schema({
+  position: String,
+  stack: Number,
+  stackBb: Number,
+  hero: { type: Boolean, default: false }
+}, { _id: false });
+
+// Cards shown at showdown and chips won
+const handShowdownSchema = new mongoose.Schema({
+  position: String,
+  cards: [String],
+  won: Number
+}, { _id: false });
+
+// Normalized table state the recommendation was made for
+const handStateSchema = new mongoose.Schema({
+  source: { type: String, enum: ['image', 'hand_history', 'snapshot'], default: 'image' },
+  site: String,
+  handId: String,
+  street: { type: String, enum: STREETS },
+  heroPosition: String,
+  heroCards: [String],
+  board: [String],
+  bigBlind: Number,
+  pot: Number,
+  potBb: Number,
+  effectiveStackBb: Number,
+  toCall: Number,
+  toCallBb: Number,
+  players: [handPlayerSchema],
+  actions: [handActionSchema],
+  legalActions: [String],
+  // What hero actually did (known for imported hand histories)
+  heroAction: {
+    type: new mongoose.Schema({
+      action: { type: String, enum: ACTION_TYPES },
+      amount: Number,
+      amountBb: Number
+    }, { _id: false }),
+    default: null
+  },
+  showdown: [handShowdownSchema],
+  // Hero's net won or lost in the whole hand (known for imported hand histories)
+  result: {
+    type: new mongoose.Schema({
+      net: Number,
+      netBb: Number
+    }, { _id: false }),
+    default: null
+  }
+}, { _id: false });
 
 const pokerAnalysisSchema = new mongoose.Schema({
   analysisId: {
@@ -21,9 +83,32 @@ const pokerAnalysisSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Analysis notes are required']
   },
+  // Reference to the screenshot in blob storage ({ backend, key, contentType, size })
+  image: {
+    type: Object,
+    required: false
+  },
+  // Derived variants without metadata: { thumbnail, redacted } (redacted blurs opponent names, avatars and chat)
+  imageVariants: {
+    type: Object,
+    required: false
+  },
+  // Legacy inline screenshot, moved out by src/scripts/migrate-images-to-storage.js
   imageBuffer: {
     type: Buffer,
-    required: [true, 'Image buffer is required']
+    required: false,
+    select: false
+  },
+  // SHA-256 of the uploaded screenshot
+  imageSha256: {
+    type: String,
+    required: false,
+    index: true
+  },
+  // analysisId of the original analysis when the result came from the image cache
+  cachedFrom: {
+    type: String,
+    required: false
   },
   analysisDate: {
     type: Date,
@@ -33,6 +118,135 @@ const pokerAnalysisSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Confidence is required']
   },
+  // Hero equity (0-100) from the local equity engine, null when cards were unreadable
+  equity: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: false
+  },
+  localAnalysis: {
+    type: Object,
+    required: false
+  },
+  // Chart lookup used instead of the model's decision for preflop spots
+  preflopChart: {
+    type: Object,
+    required: false
+  },
+  // Push/fold Nash ranges and ICM EVs for short-stacked tournament spots
+  pushFold: {
+    type: Object,
+    required: false
+  },
+  // Vision provider that read the table (openai, google, tesseract)
+  visionProvider: {
+    type: String,
+    required: false
+  },
+  // Prompt version and model the table was read with, and the experiment arm that chose them
+  prompt: {
+    type: new mongoose.Schema({
+      name: String,
+      version: String,
+      model: String,
+      experiment: String,
+      arm: String
+    }, { _id: false }),
+    default: null
+  },
+  // Vision model tokens spent on the read, including a validation retry
+  tokenUsage: {
+    type: new mongoose.Schema({
+      inputTokens: Number,
+      outputTokens: Number,
+      totalTokens: Number
+    }, { _id: false }),
+    default: null
+  },
+  // Every billable vision provider request behind the read, failed ones included,
+  // priced with the price table in effect when the analysis was saved
+  providerCalls: {
+    type: [new mongoose.Schema({
+      provider: String,
+      model: String,
+      inputTokens: Number,
+      outputTokens: Number,
+      // Size of the image(s) sent, after optimization or cropping
+      imageBytes: Number,
+      failed: Boolean,
+      // USD; null when the price table has no price for the call
+      costUsd: Number
+    }, { _id: false })],
+    default: undefined
+  },
+  // USD spent on provider calls for this analysis; 0 for cache hits, null before cost tracking
+  costUsd: {
+    type: Number,
+    default: null
+  },
+  // Explanation of the recommendation, written for the user's difficulty level and
+  // focus areas at the time of the analysis
+  explanation: {
+    type: new mongoose.Schema({
+      level: {
+        type: String,
+        enum: ['beginner', 'intermediate', 'advanced', 'expert']
+      },
+      focusAreas: [String],
+      text: String,
+      points: [new mongoose.Schema({
+        topic: String,
+        text: String,
+        focus: Boolean
+      }, { _id: false })],
+      glossary: [new mongoose.Schema({
+        term: String,
+        definition: String
+      }, { _id: false })]
+    }, { _id: false }),
+    default: null
+  },
+  // Client layout profile matched to the screenshot (id, site, seats, hero position)
+  tableLayout: {
+    type: Object,
+    required: false
+  },
+  handState: {
+    type: handStateSchema,
+    required: false
+  },
+  // Pot odds, SPR, MDF and sized bet/raise options for hero's decision
+  betSizing: {
+    type: Object,
+    required: false
+  },
+  // Board texture labels (monotone, paired, wet, ...) from the flop on
+  boardTexture: {
+    type: Object,
+    required: false
+  },
+  // Hero's holding on the board (set, top-pair, combo-draw, air, ...)
+  heroHolding: {
+    type: Object,
+    required: false
+  },
+  // Latest user feedback (full versions are in AnalysisFeedback)
+  feedback: {
+    type: new mongoose.Schema({
+      verdict: { type: String, enum: ['correct', 'incorrect', null] },
+      readCorrected: Boolean,
+      version: Number,
+      updatedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+  // Hand session chaining the snapshots of one hand street by street
+  handSessionId: {
+    type: String,
+    required: false,
+    index: true
+  },
   decisions: {
     type: Number,
     requried: [true, 'Decisions is required']
@@ -59,4 +273,64 @@ const pokerAnalysisSchema = new mongoose.Schema({
   timestamps: true // This adds createdAt and updatedAt automatically
 });
 
+// Hand-state lookups for stats and search
+pokerAnalysisSchema.index({ userId: 1, 'handState.street': 1, 'handState.heroPosition': 1 });
+pokerAnalysisSchema.index({ gameFormat: 1, 'handState.street': 1, 'handState.heroPosition': 1 });
+pokerAnalysisSchema.index({ 'handState.effectiveStackBb': 1 });
+pokerAnalysisSchema.index({ 'handState.site': 1, 'handState.handId': 1 });
+// Review filters in /history ("all my monotone-flop decisions")
+pokerAnalysisSchema.index({ userId: 1, 'boardTexture.labels': 1 });
+pokerAnalysisSchema.index({ userId: 1, 'boardTexture.flopLabels': 1 });
+pokerAnalysisSchema.index({ userId: 1, 'heroHolding.labels': 1 });
+// Feedback-based accuracy
+pokerAnalysisSchema.index({ userId: 1, 'feedback.verdict': 1 });
+// Prompt experiment reports
+pokerAnalysisSchema.index({ 'prompt.experiment': 1, 'prompt.arm': 1 });
+
+// Find analysis by analysisId
+pokerAnalysisSchema.statics.findByAnalysisId = function(analysisId) {
+  return this.findOne({ analysisId });
+};
+
+// URLs of the stored screenshot and its variants
+pokerAnalysisSchema.methods.getImageUrls = function() {
+  const base = `/api/analysis/${this.analysisId}/image`;
+  const variants = this.imageVariants || {};
+  return {
+    imageUrl: this.image ? base : null,
+    thumbnailUrl: variants.thumbnail ? `${base}?variant=thumbnail` : null,
+    redactedImageUrl: variants.redacted ? `${base}?variant=redacted` : null
+  };
+};
+
+// Result data safe to return to clients
+pokerAnalysisSchema.methods.getPublicData = function() {
+  return {
+    analysisId: this.analysisId,
+    gameFormat: this.gameFormat,
+    recommendedAction: this.recommendedAction,
+    analysisNotes: this.analysisNotes,
+    confidence: this.confidence,
+    equity: this.equity,
+    localAnalysis: this.localAnalysis,
+    preflopChart: this.preflopChart || null,
+    pushFold: this.pushFold || null,
+    visionProvider: this.visionProvider,
+    prompt: this.prompt || null,
+    tableLayout: this.tableLayout,
+    handState: this.handState || null,
+    betSizing: this.betSizing || null,
+    boardTexture: this.boardTexture || null,
+    heroHolding: this.heroHolding || null,
+    explanation: this.explanation || null,
+    handSessionId: this.handSessionId || null,
+    feedback: this.feedback || null,
+    cachedFrom: this.cachedFrom || null,
+    ...this.getImageUrls(),
+    processingTime: this.processingTime ? this.processingTime.toString() : null,
+    analysisDate: this.analysisDate,
+    createdAt: this.createdAt
+  };
+};
+
 module.exports = mongoose.model('PokerAnalysis', pokerAnalysisSchema);
\ No newline at end of file
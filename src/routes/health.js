@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { getProviderMetrics } = require('../services/visionProviders');
+const { authenticateAdmin } = require('../middleware/auth');
 
 /**
  * GET /api/health
@@ -72,4 +74,17 @@ router.get('/ready', (req, res) => {
   }
 });
 
+/**
+ * GET /api/health/vision-providers
+ * Fallback chain order with per-provider timing and error counters (admin only:
+ * provider errors can include upstream details)
+ */
+router.get('/vision-providers', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    providers: getProviderMetrics(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,16 +1,37 @@
 const express = require('express');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const { 
-  analyzePokerImage, 
-  validateGameFormat
-} = require('../services/analysisService');
-const { validateImageUpload } = require('../middleware/validation');
+const { validateGameFormat } = require('../services/analysisService');
+const { calculateRangeEquity } = require('../services/equityService');
+const { enqueueAnalysis } = require('../services/analysisQueue');
+const { subscribeToAnalysis } = require('../services/analysisEvents');
+const { getCacheSettings, setChargeHits, findCachedAnalysis, saveCachedCopy } = require('../services/analysisCache');
+const { recordUserAnalysis } = require('../services/usageService');
+const { importHandHistories } = require('../services/handHistoryImport');
+const { EXPORT_FORMATS, streamAnalysesExport } = require('../services/analysisExport');
+const { createHandSession, addSessionSnapshot, setSessionHeroAction, describeSessionLine } = require('../services/handSessionService');
+const { summarizeDecisionStats } = require('../services/decisionStats');
+const { validateFeedback, submitFeedback, getFeedbackHistory, getFeedbackAccuracy } = require('../services/feedbackService');
+const { explanationPreferences } = require('../services/explanationService');
+const { listPrompts, validateExperiment, getExperiment, setExperiment, compareExperimentArms } = require('../services/promptRegistry');
+const { validatePriceTable, getPriceTable, setPriceTable, buildCostReport } = require('../services/costService');
+const { openImageStream } = require('../services/imageStorage');
+const { fingerprintImage } = require('../utils/imageHash');
+const { STREETS, normalizeActionType } = require('../utils/handState');
+const { parseRange } = require('../utils/ranges');
+const { parseCards } = require('../utils/cards');
+const { validateImageUpload, validateSessionSnapshot } = require('../middleware/validation');
+const { authenticateToken, authenticateAdmin, optionalAuth } = require('../middleware/auth');
 const PokerAnalysis = require('../models/PokerAnalysis');
+const AnalysisJob = require('../models/AnalysisJob');
+const HandSession = require('../models/HandSession');
 const User = require('../models/User');
 
 const router = express.Router();
 
+// Upper bound on sampled range-vs-range deals per request
+const MAX_RANGE_EQUITY_ITERATIONS = 20000;
+
 // Configure multer for image uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -25,173 +46,825 @@ const upload = multer({
     } else {
       cb(new Error('Only image files are allowed!'), false);
     }
-  },
+  },
+});
+
+// Hand history files are plain text
+const textUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('text/') || /\.txt$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only text hand history files are allowed!'), false);
+    }
+  },
+});
+
+/**
+ * POST /api/analysis/upload
+ * Upload a poker table image and queue it for analysis (202 + analysisId).
+ * Screenshots already analyzed for the same game format and stack depth are answered from the cache (200).
+ * A handSessionId attaches the screenshot to a hand session as its next street.
+ */
+router.post('/upload', upload.single('image'), validateImageUpload, async (req, res) => {
+  try {
+    const { gameFormat, userId, userEmail, userFullName, handSessionId } = req.body;
+    const imageBuffer = req.file.buffer;
+    const analysisId = uuidv4();
+
+    // Validate game format
+    if (!validateGameFormat(gameFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid game format. Must be "cash" or "tournament"'
+      });
+    }
+
+    console.log(`🎯 Queueing analysis for ${gameFormat} game - ID: ${analysisId}`);
+    if (userId) {
+      console.log(`👤 User: ${userFullName} (${userEmail})`);
+    }
+
+    if (handSessionId) {
+      const handSession = await HandSession.findBySessionId(handSessionId);
+      if (!handSession) {
+        return res.status(404).json({
+          success: false,
+          error: 'Hand session not found'
+        });
+      }
+      // Screenshots only join the uploader's own sessions
+      if (String(handSession.userId || '') !== String(userId || '')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Hand session belongs to another user'
+        });
+      }
+      if (handSession.gameFormat !== gameFormat) {
+        return res.status(400).json({
+          success: false,
+          error: `Hand session is for ${handSession.gameFormat} games`
+        });
+      }
+    }
+
+    // The user's preferences shape the analysis and the cache lookup
+    const analysisOptions = {};
+    let user = null;
+    if (userId) {
+      try {
+        user = await User.findById(userId);
+        if (user) {
+          // Preflop charts are keyed by the user's preferred stack depth
+          analysisOptions.stackSize = user.preferences?.stackSize;
+          // Explanations are written for the user's level and focus areas
+          analysisOptions.explanation = explanationPreferences(user);
+        } else {
+          console.log(`⚠️ User not found with ID: ${userId}`);
+        }
+      } catch (userCheckError) {
+        console.error('❌ Error checking user usage:', userCheckError);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to verify user usage. Please try again.'
+        });
+      }
+    }
+
+    // Look for an earlier analysis of the same screenshot (or a resized copy) at the same stack depth;
+    // session screenshots depend on the earlier streets, so they are always analyzed
+    let fingerprint = null;
+    let cachedAnalysis = null;
+    try {
+      fingerprint = await fingerprintImage(imageBuffer);
+      if (!handSessionId) {
+        cachedAnalysis = await findCachedAnalysis(gameFormat, analysisOptions.stackSize, fingerprint, imageBuffer);
+      }
+    } catch (cacheError) {
+      console.error('⚠️ Image cache lookup failed:', cacheError.message);
+    }
+    const chargeUsage = !cachedAnalysis || (await getCacheSettings()).chargeHits;
+
+    // Check user's available usage before proceeding with analysis
+    if (user) {
+      if (chargeUsage && user.availableUsage <= 0) {
+        console.log(`❌ User ${userFullName} has no available usage remaining: ${user.availableUsage}`);
+        return res.status(403).json({
+          success: false,
+          error: 'No available usage remaining. Please upgrade your plan or contact support.',
+          errorCode: 'INSUFFICIENT_USAGE',
+          availableUsage: user.availableUsage,
+          userUsage: user.userUsage
+        });
+      }
+      console.log(`✅ User ${userFullName} has ${user.availableUsage} available usage remaining`);
+    }
+
+    if (cachedAnalysis) {
+      const analysis = await saveCachedCopy(cachedAnalysis, {
+        analysisId,
+        userId,
+        userEmail,
+        userFullName,
+        explanation: analysisOptions.explanation
+      });
+      if (userId) {
+        await recordUserAnalysis(userId, gameFormat, {
+          // The pot is not stored with analyses
+          gamePot: null,
+          recommendedAction: analysis.recommendedAction,
+          confidence: analysis.confidence,
+          analysisNotes: analysis.analysisNotes
+        }, { charge: chargeUsage });
+      }
+
+      return res.json({
+        success: true,
+        analysisId: analysisId,
+        status: 'completed',
+        cached: true,
+        cachedFrom: cachedAnalysis.analysisId,
+        result: analysis.getPublicData()
+      });
+    }
+
+    // Queue the analysis; a worker picks it up and the client polls the result endpoint
+    await enqueueAnalysis({
+      analysisId,
+      gameFormat,
+      imageBuffer,
+      imageContentType: req.file.mimetype,
+      options: analysisOptions,
+      fingerprint,
+      handSessionId: handSessionId || null,
+      user: { userId, userEmail, userFullName }
+    });
+
+    res.status(202).json({
+      success: true,
+      analysisId: analysisId,
+      handSessionId: handSessionId || null,
+      status: 'queued',
+      statusUrl: `/api/analysis/result/${analysisId}`
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process image upload'
+    });
+  }
+});
+
+/**
+ * POST /api/analysis/hand-history
+ * Import a PokerStars or GGPoker hand history file (field "file", or text in "handHistory").
+ * Every hand is analyzed at hero's last decision by the local engine and stored like an image analysis,
+ * using one credit each; at most HAND_HISTORY_MAX_HANDS hands are analyzed per request.
+ */
+router.post('/hand-history', textUpload.single('file'), async (req, res) => {
+  try {
+    const { userId, userEmail, userFullName } = req.body;
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.handHistory;
+
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A hand history file or handHistory text is required'
+      });
+    }
+
+    const user = userId ? await User.findById(userId) : null;
+
+    // Every imported hand uses a credit, like an uploaded screenshot
+    if (user && user.availableUsage <= 0) {
+      console.log(`❌ User ${userFullName} has no available usage remaining: ${user.availableUsage}`);
+      return res.status(403).json({
+        success: false,
+        error: 'No available usage remaining. Please upgrade your plan or contact support.',
+        errorCode: 'INSUFFICIENT_USAGE',
+        availableUsage: user.availableUsage,
+        userUsage: user.userUsage
+      });
+    }
+
+    const { site, totalHands, analyses, skipped } = await importHandHistories(text, {
+      user: { userId, userEmail, userFullName },
+      stackSize: user?.preferences?.stackSize,
+      explanation: explanationPreferences(user),
+      availableUsage: user ? user.availableUsage : undefined
+    });
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unrecognized hand history format. Supported: PokerStars, GGPoker'
+      });
+    }
+
+    res.status(analyses.length ? 201 : 200).json({
+      success: true,
+      site,
+      totalHands,
+      imported: analyses.length,
+      skipped,
+      analyses: analyses.map(analysis => analysis.getPublicData())
+    });
+  } catch (error) {
+    console.error('Hand history import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import hand history'
+    });
+  }
+});
+
+/**
+ * Refuse a hand session to anyone but its owner and admins; anonymous sessions
+ * are open to whoever holds their ID. Sends the error and returns false when refused.
+ */
+function checkSessionAccess(session, req, res) {
+  if (!session.userId) {
+    return true;
+  }
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      error: 'Access token is required'
+    });
+    return false;
+  }
+  if (String(session.userId) !== String(req.user.id) && !req.user.adminAllowed) {
+    res.status(403).json({
+      success: false,
+      error: 'Hand session belongs to another user'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * POST /api/analysis/sessions
+ * Start a hand session. Screenshots (upload with handSessionId) and hand-state
+ * snapshots added to it are analyzed with the earlier streets as context.
+ * A session with a userId can only be used by that user (with their token) and admins.
+ */
+router.post('/sessions', optionalAuth, async (req, res) => {
+  try {
+    const { gameFormat, userId, userEmail, userFullName } = req.body;
+
+    if (!validateGameFormat(gameFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid game format. Must be "cash" or "tournament"'
+      });
+    }
+    // Sessions are only started for the signed-in user, or for anyone by an admin
+    if (!checkSessionAccess({ userId }, req, res)) {
+      return;
+    }
+
+    const session = await createHandSession({ gameFormat, user: { userId, userEmail, userFullName } });
+    res.status(201).json({
+      success: true,
+      session: session.getPublicData()
+    });
+  } catch (error) {
+    console.error('Create hand session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create hand session'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/sessions/:sessionId
+ * Street-by-street recommended line of a hand session and where hero deviated from it
+ */
+router.get('/sessions/:sessionId', optionalAuth, async (req, res) => {
+  try {
+    const session = await HandSession.findBySessionId(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hand session not found'
+      });
+    }
+    if (!checkSessionAccess(session, req, res)) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      session: session.getPublicData(),
+      ...(await describeSessionLine(session.sessionId))
+    });
+  } catch (error) {
+    console.error('Get hand session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get hand session'
+    });
+  }
+});
+
+/**
+ * POST /api/analysis/sessions/:sessionId/snapshots
+ * Analyze a hand-state snapshot (hero_card, board_card, hero_position, pot, big_blind,
+ * stacks, actions, and optionally heroAction) as the next street of the session, using one credit
+ */
+router.post('/sessions/:sessionId/snapshots', optionalAuth, validateSessionSnapshot, async (req, res) => {
+  try {
+    const session = await HandSession.findBySessionId(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hand session not found'
+      });
+    }
+    if (!checkSessionAccess(session, req, res)) {
+      return;
+    }
+
+    // Every snapshot is analyzed and uses a credit, like an uploaded screenshot
+    const user = session.userId ? await User.findById(session.userId) : null;
+    if (user && user.availableUsage <= 0) {
+      console.log(`❌ User ${user.fullName} has no available usage remaining: ${user.availableUsage}`);
+      return res.status(403).json({
+        success: false,
+        error: 'No available usage remaining. Please upgrade your plan or contact support.',
+        errorCode: 'INSUFFICIENT_USAGE',
+        availableUsage: user.availableUsage,
+        userUsage: user.userUsage
+      });
+    }
+
+    const { analysis, error } = await addSessionSnapshot(session, req.body, {
+      stackSize: user?.preferences?.stackSize,
+      explanation: explanationPreferences(user)
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (user) {
+      await recordUserAnalysis(user._id, session.gameFormat, {
+        gamePot: analysis.handState ? analysis.handState.pot : null,
+        recommendedAction: analysis.recommendedAction,
+        confidence: analysis.confidence,
+        analysisNotes: analysis.analysisNotes
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      analysis: analysis.getPublicData(),
+      ...(await describeSessionLine(session.sessionId))
+    });
+  } catch (error) {
+    console.error('Hand session snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze hand session snapshot'
+    });
+  }
+});
+
+/**
+ * PUT /api/analysis/sessions/:sessionId/hero-action
+ * Record what hero did on a street ({ street, action, amount }) so the line can show deviations
+ */
+router.put('/sessions/:sessionId/hero-action', optionalAuth, async (req, res) => {
+  try {
+    const { street, action, amount } = req.body;
+
+    if (!STREETS.includes(street)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid street. Must be one of: ${STREETS.join(', ')}`
+      });
+    }
+    if ([null, 'post'].includes(normalizeActionType(action))) {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be fold, check, call, bet, raise or all-in'
+      });
+    }
+
+    const session = await HandSession.findBySessionId(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hand session not found'
+      });
+    }
+    if (!checkSessionAccess(session, req, res)) {
+      return;
+    }
+
+    const analysis = await setSessionHeroAction(session.sessionId, street, { action, amount });
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${street} analysis in this hand session`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...(await describeSessionLine(session.sessionId))
+    });
+  } catch (error) {
+    console.error('Hand session hero action error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record hero action'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/cache/settings
+ * Image cache configuration (admin only)
+ */
+router.get('/cache/settings', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getCacheSettings()
+    });
+  } catch (error) {
+    console.error('Get cache settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get cache settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/analysis/cache/settings
+ * Set whether cache hits consume availableUsage (admin only)
+ */
+router.put('/cache/settings', authenticateAdmin, async (req, res) => {
+  try {
+    const { chargeHits } = req.body;
+
+    if (typeof chargeHits !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'chargeHits must be true or false'
+      });
+    }
+
+    const settings = await setChargeHits(chargeHits, req.user.email);
+    console.log(`⚙️ Image cache hits ${chargeHits ? 'now' : 'no longer'} consume usage (set by ${req.user.email})`);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Update cache settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update cache settings'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/prompts
+ * Registered prompt versions and the running experiment (admin only)
+ */
+router.get('/prompts', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      prompts: listPrompts(),
+      experiment: await getExperiment()
+    });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get prompts'
+    });
+  }
+});
+
+/**
+ * PUT /api/analysis/prompts/experiment
+ * Start an experiment ({ name, gameFormats, arms: [{ name, prompt, version, model,
+ * maxOutputTokens, temperature, weight }] }), or stop it with { experiment: null } (admin only)
+ */
+router.put('/prompts/experiment', authenticateAdmin, async (req, res) => {
+  try {
+    const experiment = req.body.experiment === undefined ? req.body : req.body.experiment;
+
+    if (experiment !== null) {
+      const error = validateExperiment(experiment);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+    }
+
+    const saved = await setExperiment(experiment, req.user.email);
+    console.log(saved
+      ? `🧪 Prompt experiment ${saved.name} started with arms ${saved.arms.map(arm => `${arm.name} (${arm.weight})`).join(', ')} (set by ${req.user.email})`
+      : `🧪 Prompt experiment stopped (by ${req.user.email})`);
+
+    res.json({
+      success: true,
+      experiment: saved
+    });
+  } catch (error) {
+    console.error('Update prompt experiment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update prompt experiment'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/prompts/experiments/:name/report?from=&to=
+ * Compare an experiment's arms on confidence, feedback accuracy, tokens and cost (admin only)
+ */
+router.get('/prompts/experiments/:name/report', authenticateAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const range = {};
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${key} date`
+          });
+        }
+        range[key] = date;
+      }
+    }
+
+    const arms = await compareExperimentArms(req.params.name, range);
+    res.json({
+      success: true,
+      experiment: req.params.name,
+      arms
+    });
+  } catch (error) {
+    console.error('Prompt experiment report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build experiment report'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/costs?from=&to=
+ * Vision provider cost of analyses against payment revenue, per day, user, plan
+ * and game format, with the margin per credit (admin only)
+ */
+router.get('/costs', authenticateAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const range = {};
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${key} date`
+          });
+        }
+        range[key] = date;
+      }
+    }
+
+    const report = await buildCostReport(range);
+    res.json({
+      success: true,
+      from: range.from || null,
+      to: range.to || null,
+      ...report
+    });
+  } catch (error) {
+    console.error('Cost report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build cost report'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/costs/prices
+ * Price table used to cost provider calls (admin only)
+ */
+router.get('/costs/prices', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      priceTable: await getPriceTable()
+    });
+  } catch (error) {
+    console.error('Get price table error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get price table'
+    });
+  }
+});
+
+/**
+ * PUT /api/analysis/costs/prices
+ * Replace the price table ({ priceTable: { models: { <model prefix>: { inputPer1M, outputPer1M } },
+ * providers: { <name>: { perCall } } } }), or restore the defaults with { priceTable: null } (admin only).
+ * Only analyses saved afterwards use the new prices.
+ */
+router.put('/costs/prices', authenticateAdmin, async (req, res) => {
+  try {
+    const { priceTable } = req.body;
+
+    if (priceTable !== null) {
+      const error = validatePriceTable(priceTable);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+    }
+
+    const saved = await setPriceTable(priceTable, req.user.email);
+    console.log(`💲 Provider price table ${priceTable ? 'updated' : 'reset to defaults'} (by ${req.user.email})`);
+
+    res.json({
+      success: true,
+      priceTable: saved
+    });
+  } catch (error) {
+    console.error('Update price table error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update price table'
+    });
+  }
 });
 
 /**
- * POST /api/analysis/upload
- * Upload and analyze poker table image
+ * POST /api/analysis/range-equity
+ * Equity of one range against another ({ heroRange, villainRange, board, deadCards,
+ * iterations, seed }), with a breakdown per hand class. Ranges use standard notation
+ * ("QQ+, AKs, T9s-76s"); pass a seed to reproduce a sampled result. The calculation
+ * runs on the request thread, so it is limited to signed-in users and bounded work.
  */
-router.post('/upload', upload.single('image'), validateImageUpload, async (req, res) => {
+router.post('/range-equity', authenticateToken, (req, res) => {
   try {
-    const { gameFormat, userId, userEmail, userFullName } = req.body;
-    const imageBuffer = req.file.buffer;
-    const analysisId = uuidv4();
+    const { heroRange, villainRange, board = [], deadCards = [], iterations, seed } = req.body;
 
-    // Validate game format
-    if (!validateGameFormat(gameFormat)) {
+    if (!heroRange || !villainRange) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid game format. Must be "cash" or "tournament"'
+        error: 'heroRange and villainRange are required'
       });
     }
-
-    console.log(`🎯 Starting analysis for ${gameFormat} game - ID: ${analysisId}`);
-    if (userId) {
-      console.log(`👤 User: ${userFullName} (${userEmail})`);
+    if (!Array.isArray(board) || !Array.isArray(deadCards)) {
+      return res.status(400).json({
+        success: false,
+        error: 'board and deadCards must be lists of cards'
+      });
     }
-
-    // Check user's available usage before proceeding with analysis
-    if (userId) {
-      try {
-        const user = await User.findById(userId);
-        if (user) {
-          if (user.availableUsage <= 0) {
-            console.log(`❌ User ${userFullName} has no available usage remaining: ${user.availableUsage}`);
-            return res.status(403).json({
-              success: false,
-              error: 'No available usage remaining. Please upgrade your plan or contact support.',
-              errorCode: 'INSUFFICIENT_USAGE',
-              availableUsage: user.availableUsage,
-              userUsage: user.userUsage
-            });
-          }
-          console.log(`✅ User ${userFullName} has ${user.availableUsage} available usage remaining`);
-        } else {
-          console.log(`⚠️ User not found with ID: ${userId}`);
-        }
-      } catch (userCheckError) {
-        console.error('❌ Error checking user usage:', userCheckError);
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to verify user usage. Please try again.'
-        });
-      }
+    if (iterations !== undefined && (!Number.isInteger(iterations) || iterations < 1000 || iterations > MAX_RANGE_EQUITY_ITERATIONS)) {
+      return res.status(400).json({
+        success: false,
+        error: `iterations must be a whole number from 1000 to ${MAX_RANGE_EQUITY_ITERATIONS}`
+      });
+    }
+    if (seed !== undefined && seed !== null && (!Number.isInteger(seed) || seed < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'seed must be a non-negative whole number'
+      });
     }
 
-    // Start timing the backend analysis
-    const backendAnalysisStartTime = Date.now();
+    let result;
+    try {
+      result = calculateRangeEquity({
+        heroRange: parseRange(heroRange),
+        villainRange: parseRange(villainRange),
+        boardCards: parseCards(board),
+        deadCards: parseCards(deadCards),
+        iterations,
+        seed
+      });
+    } catch (inputError) {
+      // Bad notation, duplicate cards or ranges that cannot be dealt
+      return res.status(400).json({
+        success: false,
+        error: inputError.message
+      });
+    }
 
-    // Start image analysis (async process)
-    const analysisImageResult = await analyzePokerImage(imageBuffer, gameFormat, analysisId);
-    
-    // Calculate backend processing time
-    const backendAnalysisEndTime = Date.now();
-    const backendProcessingTime = backendAnalysisEndTime - backendAnalysisStartTime;
-    const processingTimeSeconds = (backendProcessingTime / 1000).toFixed(2);
-    
-    console.log(`⏱️ Backend analysis completed in ${processingTimeSeconds} seconds`);
-    
-    // Return immediate response with analysis ID and processing time
     res.json({
       success: true,
-      analysisId: analysisId,
-      recommenedeAction: analysisImageResult.recommended_action,
-      analysisNotes: analysisImageResult.analysis_notes,
-      processingTime: processingTimeSeconds
+      ...result
     });
+  } catch (error) {
+    console.error('Range equity error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate range equity'
+    });
+  }
+});
 
-    console.log(`✅ Analysis completed for ID ${analysisId}:`, analysisImageResult);
-
-    // Save analysis results to database (after sending response)
-    try {
-      let analysisDecisions = await PokerAnalysis.find();
+/**
+ * GET /api/analysis/export?format=hh|csv|json&from=&to=&gameFormat=
+ * Download the signed-in user's analyses as hand histories, a CSV of
+ * decisions or a full JSON archive. Records are streamed from a cursor.
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'json', from, to, gameFormat } = req.query;
 
-      const analysisData = new PokerAnalysis({
-        analysisId: analysisId,
-        gameFormat: gameFormat,
-        recommendedAction: analysisImageResult.recommended_action,
-        analysisNotes: analysisImageResult.analysis_notes,
-        imageBuffer: imageBuffer,
-        confidence: analysisImageResult.confidence,
-        decisions: analysisDecisions.length + 1,
-        // Save user information from request body
-        userId: userId || null,
-        userEmail: userEmail || null,
-        userFullName: userFullName || null,
-        // Save processing time for performance tracking
-        processingTime: processingTimeSeconds
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Supported formats: ${EXPORT_FORMATS.join(', ')}`
       });
+    }
 
-      await analysisData.save();
-      console.log(`💾 Analysis saved to database for ID: ${analysisId}`);
-
-      // Update user's recent session data, increment usage, and decrement available usage if userId is provided
-      if (userId) {
-        try {
-          const user = await User.findById(userId);
-          if (user) {
-            // Increment user usage counter
-            user.userUsage = (user.userUsage || 0) + 1;
-            
-            // Decrement available usage (we already checked it's > 0 before analysis)
-            user.availableUsage = Math.max(0, (user.availableUsage || 100) - 1);
-            
-            // Extract game seat from analysis results
-            let gamePot = null;
-            if (analysisImageResult.pot) {
-              gamePot = analysisImageResult.pot;
-            }
-
-            // Prepare session data
-            const sessionData = {
-              date: new Date(),
-              gamePot: gamePot,
-              recommendedAction: analysisImageResult.recommended_action,
-              confidence: analysisImageResult.confidence,
-              analysisNotes: analysisImageResult.analysis_notes
-            };
-
-            // Update based on game format
-            if (gameFormat === 'cash') {
-              user.recentSessionCash = sessionData;
-            } else if (gameFormat === 'tournament') {
-              // For tournament format, we'll treat it as Spin&Go
-              user.recentSessionSpinAndGo = sessionData;
-            }
-
-            await user.save();
-            console.log(`👤 User data updated for user: ${userFullName} - Usage: ${user.userUsage}, Available: ${user.availableUsage}`);
-          } else {
-            console.log(`⚠️ User not found with ID: ${userId}`);
-          }
-        } catch (userUpdateError) {
-          console.error('❌ User update error:', userUpdateError);
-          // Don't fail the request since analysis was successful
-        }
+    const query = { userId: req.user.id };
+    const range = {};
+    for (const [key, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${key} date`
+        });
       }
-    } catch (dbError) {
-      console.error('❌ Database save error:', dbError);
-      // Don't fail the request since we already sent the response
+      range[operator] = date;
+    }
+    if (Object.keys(range).length) {
+      query.createdAt = range;
+    }
+    if (gameFormat) {
+      query.gameFormat = gameFormat.toLowerCase();
     }
 
+    const count = await streamAnalysesExport(res, { format, query });
+    console.log(`📦 Exported ${count} analyses as ${format} for ${req.user.email}`);
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
     res.status(500).json({
       success: false,
-      error: 'Failed to process image upload'
+      error: 'Failed to export analyses'
     });
   }
 });
 
 /**
  * GET /api/analysis/result/:analysisId
- * Get analysis result by ID from database
+ * Get job status (queued/processing/completed/failed) and the result once completed
  */
 router.get('/result/:analysisId', async (req, res) => {
   try {
     const { analysisId } = req.params;
-    
+
+    const job = await AnalysisJob.findByAnalysisId(analysisId);
+    if (job && job.status !== 'completed') {
+      return res.json({
+        success: true,
+        ...job.getPublicStatus(),
+        result: null
+      });
+    }
+
+    // Analyses saved before the job queue have no job document
     const result = await PokerAnalysis.findByAnalysisId(analysisId);
     
     if (!result) {
@@ -203,6 +876,7 @@ router.get('/result/:analysisId', async (req, res) => {
 
     res.json({
       success: true,
+      ...(job ? job.getPublicStatus() : { analysisId, status: 'completed', progress: 100 }),
       result: result.getPublicData()
     });
 
@@ -215,31 +889,350 @@ router.get('/result/:analysisId', async (req, res) => {
   }
 });
 
+// Open streams re-read the job at this interval, for jobs run by another instance
+const STREAM_POLL_INTERVAL_MS = 2000;
+const STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /api/analysis/:analysisId/image?variant=original|thumbnail|redacted
+ * Stream the screenshot or one of its variants (owner or admin only)
+ */
+router.get('/:analysisId/image', authenticateToken, async (req, res) => {
+  try {
+    const { analysisId } = req.params;
+    const { variant = 'original' } = req.query;
+
+    if (!['original', 'thumbnail', 'redacted'].includes(variant)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid variant. Must be "original", "thumbnail" or "redacted"'
+      });
+    }
+
+    const analysis = await PokerAnalysis.findByAnalysisId(analysisId);
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found'
+      });
+    }
+
+    const isOwner = analysis.userId && analysis.userId.toString() === req.user.id.toString();
+    if (!isOwner && !req.user.adminAllowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+
+    // Analyses saved before the move to blob storage keep the image inline until migrated
+    if (!analysis.image && variant === 'original') {
+      const legacy = await PokerAnalysis.findById(analysis._id).select('+imageBuffer');
+      if (!legacy.imageBuffer) {
+        return res.status(404).json({
+          success: false,
+          error: 'Image not found'
+        });
+      }
+      res.type('image/jpeg');
+      return res.send(legacy.imageBuffer);
+    }
+
+    const ref = variant === 'original' ? analysis.image : analysis.imageVariants?.[variant];
+    if (!ref) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found'
+      });
+    }
+
+    const stream = openImageStream(ref);
+    stream.on('error', (error) => {
+      console.error(`❌ Image stream error for ${analysisId}:`, error.message);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Length');
+        res.status(404).json({
+          success: false,
+          error: 'Image not found'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.set('Content-Type', ref.contentType);
+    if (ref.size) {
+      res.set('Content-Length', String(ref.size));
+    }
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get image'
+    });
+  }
+});
+
+/**
+ * POST /api/analysis/:analysisId/feedback
+ * Confirm or reject the recommendation and/or correct the read (cards, pot, stacks).
+ * Each submission is stored as a new version (owner or admin only).
+ */
+router.post('/:analysisId/feedback', authenticateToken, async (req, res) => {
+  try {
+    const { analysisId } = req.params;
+
+    const { feedback, error } = validateFeedback(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const analysis = await PokerAnalysis.findByAnalysisId(analysisId);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found'
+      });
+    }
+
+    const isOwner = analysis.userId && analysis.userId.toString() === req.user.id.toString();
+    if (!isOwner && !req.user.adminAllowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const submitted = await submitFeedback(analysis, req.user.id, feedback);
+    if (submitted.error) {
+      return res.status(400).json({
+        success: false,
+        error: submitted.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      feedback: submitted.feedback.getPublicData(),
+      analysisFeedback: analysis.feedback
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Feedback on this analysis was updated at the same time, please retry'
+      });
+    }
+    console.error('Submit feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save feedback'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/:analysisId/feedback
+ * All versions of the feedback on an analysis, newest first (owner or admin only)
+ */
+router.get('/:analysisId/feedback', authenticateToken, async (req, res) => {
+  try {
+    const { analysisId } = req.params;
+
+    const analysis = await PokerAnalysis.findByAnalysisId(analysisId);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found'
+      });
+    }
+
+    const isOwner = analysis.userId && analysis.userId.toString() === req.user.id.toString();
+    if (!isOwner && !req.user.adminAllowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const versions = await getFeedbackHistory(analysisId);
+    res.json({
+      success: true,
+      analysisId,
+      feedback: versions.map(entry => entry.getPublicData())
+    });
+  } catch (error) {
+    console.error('Get feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get feedback'
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/stream/:analysisId
+ * Server-Sent Events stream of an analysis: stage progress, the detected
+ * cards as soon as the table is read, then the full result
+ */
+router.get('/stream/:analysisId', async (req, res) => {
+  const { analysisId } = req.params;
+
+  try {
+    const job = await AnalysisJob.findByAnalysisId(analysisId);
+    const savedResult = job ? null : await PokerAnalysis.findByAnalysisId(analysisId);
+
+    if (!job && !savedResult) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let lastStage = null;
+    const timers = [];
+    let unsubscribe = () => {};
+
+    const send = (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      timers.forEach(clearInterval);
+      unsubscribe();
+      res.end();
+    };
+    const sendCompleted = async () => {
+      const analysis = await PokerAnalysis.findByAnalysisId(analysisId);
+      send('completed', { analysisId, progress: 100, result: analysis ? analysis.getPublicData() : null });
+      close();
+    };
+
+    req.on('close', close);
+
+    // Analyses saved before the job queue have no job document
+    if (savedResult) {
+      send('completed', { analysisId, progress: 100, result: savedResult.getPublicData() });
+      return close();
+    }
+
+    // Current state first, so late subscribers see cards that were already read
+    send('status', job.getPublicStatus());
+    lastStage = job.stage;
+    if (job.status === 'completed') {
+      return sendCompleted();
+    }
+    if (job.status === 'failed') {
+      send('failed', { analysisId, error: job.lastError });
+      return close();
+    }
+
+    unsubscribe = subscribeToAnalysis(analysisId, event => {
+      lastStage = event.stage || event.type;
+      // The table read gets its own event name so clients can render it directly
+      send(event.stage === 'parsed' ? 'partial' : event.type, event);
+      if (event.type === 'completed' || event.type === 'failed') {
+        close();
+      }
+    });
+
+    timers.push(setInterval(async () => {
+      try {
+        const current = await AnalysisJob.findByAnalysisId(analysisId);
+        if (!current || closed) return;
+        if (current.status === 'completed') return sendCompleted();
+        if (current.status === 'failed') {
+          send('failed', { analysisId, error: current.lastError });
+          return close();
+        }
+        if (current.stage !== lastStage) {
+          lastStage = current.stage;
+          send('status', current.getPublicStatus());
+        }
+      } catch (pollError) {
+        console.error(`⚠️ Stream poll failed for ${analysisId}:`, pollError.message);
+      }
+    }, STREAM_POLL_INTERVAL_MS));
+
+    // Comment lines keep proxies from closing an idle connection
+    timers.push(setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, STREAM_HEARTBEAT_MS));
+
+  } catch (error) {
+    console.error('Stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to open analysis stream'
+      });
+    }
+    res.end();
+  }
+});
+
 /**
  * GET /api/analysis/history
- * Get analysis history (optional: with pagination and filters)
+ * Get analysis history (optional: with pagination and filters).
+ * Board and holding filters take comma-separated labels that must all match:
+ * texture (board at the decision), flopTexture (the flop it came from) and holding.
  */
 router.get('/history', async (req, res) => {
   try {
-    const { gameFormat, page = 1, limit = 10 } = req.query;
+    const { gameFormat, userId, street, texture, flopTexture, holding, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
     
     let query = {};
     if (gameFormat) {
       query.gameFormat = gameFormat.toLowerCase();
     }
+    if (userId) {
+      query.userId = userId;
+    }
+    if (street) {
+      query['handState.street'] = street.toLowerCase();
+    }
+    const labelFilters = [
+      ['boardTexture.labels', texture],
+      ['boardTexture.flopLabels', flopTexture],
+      ['heroHolding.labels', holding]
+    ];
+    for (const [field, value] of labelFilters) {
+      if (value) {
+        query[field] = { $all: String(value).toLowerCase().split(',').map(label => label.trim()).filter(Boolean) };
+      }
+    }
     
     const analyses = await PokerAnalysis.find(query)
       .sort({ gameFormat: 1, sequenceNumber: 1 }) // Sort by game format then sequence number
       .skip(skip)
-      .limit(parseInt(limit))
-      .select('-imageBuffer'); // Exclude image buffer for performance
+      .limit(parseInt(limit));
     
     const total = await PokerAnalysis.countDocuments(query);
     
     res.json({
       success: true,
-      analyses: analyses,
+      analyses: analyses.map(analysis => ({ ...analysis.toObject(), ...analysis.getImageUrls() })),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -295,8 +1288,13 @@ router.get('/stats', async (req, res) => {
       { $group: { _id: null, avgRating: { $avg: '$rating' } } }
     ]);
 
+    // Share of user-rated recommendations users confirmed
+    const feedbackAccuracy = await getFeedbackAccuracy();
+
     // Format the results
     const stats = {
+      feedbackAccuracy: feedbackAccuracy.accuracy,
+      feedbackRated: feedbackAccuracy.rated,
       avgProcessingTime: avgProcessingTime.length > 0 ? parseFloat(avgProcessingTime[0].avgTime).toFixed(2) : '0.00',
       avgConfidence: avgConfidence.length > 0 ? Math.round(avgConfidence[0].avgConfidence) : 0,
       maxDecisions: maxDecisions.length > 0 ? maxDecisions[0].maxDecisions : 0,
@@ -357,6 +1355,8 @@ router.get('/stats/:userId/:format', async (req, res) => {
           accuracyRate: 0,
           avgProcessingTime: '0.00',
           avgConfidence: 0,
+          feedbackAccuracy: null,
+          feedbackRated: 0,
           maxDecisions: 0,
           totalAnalyses: 0,
           studyTime: '0h'
@@ -391,11 +1391,16 @@ router.get('/stats/:userId/:format', async (req, res) => {
     const studyTimeHours = Math.floor(studyTimeMinutes / 60);
     const studyTime = studyTimeHours > 0 ? `${studyTimeHours}h` : `${Math.round(studyTimeMinutes)}m`;
 
+    // Accuracy from user feedback, next to the confidence-based rate
+    const feedbackAccuracy = await getFeedbackAccuracy({ userId, gameFormat: dbFormat });
+
     const stats = {
       handsAnalyzed,
       accuracyRate,
       avgProcessingTime,
       avgConfidence: accuracyRate, // Same as accuracy rate for consistency
+      feedbackAccuracy: feedbackAccuracy.accuracy,
+      feedbackRated: feedbackAccuracy.rated,
       maxDecisions,
       totalAnalyses: handsAnalyzed,
       studyTime
@@ -441,9 +1446,19 @@ router.get('/comprehensive-stats/:userId', async (req, res) => {
           handsThisWeek: 0,
           studyTime: '0h',
           studyTimeThisWeek: '0h',
-          winRate: '+0bb/100',
+          winRate: null,
+          winRateBb: null,
+          winRateHands: 0,
           winRateFormat: 'Cash games',
+          decisionAccuracy: null,
+          decisionsRecorded: 0,
+          feedbackAccuracy: null,
+          feedbackRated: 0,
+          readsCorrected: 0,
           positionStats: [],
+          handsWithoutPosition: 0,
+          streetStats: [],
+          actionStats: [],
           accuracyTrend: [],
           recentSessions: []
         }
@@ -495,14 +1510,9 @@ router.get('/comprehensive-stats/:userId', async (req, res) => {
       accuracyChange = Math.round(lastWeekAvg - previousWeekAvg);
     }
 
-    // Calculate position-based statistics (mock data for now, could be enhanced)
-    const positionStats = [
-      { position: 'Button', accuracy: Math.min(100, overallAccuracy + 5), hands: Math.floor(handsPlayed * 0.2), color: '#22c55e' },
-      { position: 'Cut-off', accuracy: Math.min(100, overallAccuracy + 2), hands: Math.floor(handsPlayed * 0.18), color: '#3b82f6' },
-      { position: 'Big Blind', accuracy: Math.max(0, overallAccuracy - 3), hands: Math.floor(handsPlayed * 0.22), color: '#f59e0b' },
-      { position: 'Small Blind', accuracy: Math.max(0, overallAccuracy - 8), hands: Math.floor(handsPlayed * 0.20), color: '#ef4444' },
-      { position: 'UTG', accuracy: Math.max(0, overallAccuracy - 1), hands: Math.floor(handsPlayed * 0.20), color: '#8b5cf6' },
-    ];
+    // Accuracy by seat, street and action from hero's recorded actions; null where none are recorded
+    const decisionStats = summarizeDecisionStats(userAnalyses);
+    const feedbackAccuracy = await getFeedbackAccuracy({ userId });
 
     // Calculate accuracy trend for last 7 days
     const accuracyTrend = [];
@@ -540,15 +1550,9 @@ router.get('/comprehensive-stats/:userId', async (req, res) => {
         result: `${analysis.confidence || 0}% accuracy`
       }));
 
-    // Calculate win rate (simplified - based on confidence)
-    const cashAnalyses = userAnalyses.filter(a => a.gameFormat === 'cash');
-    const avgCashConfidence = cashAnalyses.length > 0 
-      ? cashAnalyses.reduce((sum, a) => sum + (a.confidence || 0), 0) / cashAnalyses.length
-      : 0;
-    
-    // Convert confidence to estimated bb/100 (simplified formula)
-    const winRateBB = Math.round((avgCashConfidence - 50) / 4);
-    const winRate = winRateBB > 0 ? `+${winRateBB}bb/100` : `${winRateBB}bb/100`;
+    // Win rate from the results of imported cash hands; unknown (null) without any
+    const { bbPer100, hands: winRateHands } = decisionStats.winRate;
+    const winRate = bbPer100 === null ? null : `${bbPer100 > 0 ? '+' : ''}${bbPer100}bb/100`;
     const bestAccuracy = Math.max(...userAnalyses.map(analysis => analysis.confidence));
 
     const comprehensiveStats = {
@@ -559,8 +1563,18 @@ router.get('/comprehensive-stats/:userId', async (req, res) => {
       studyTime,
       studyTimeThisWeek,
       winRate,
+      winRateBb: bbPer100,
+      winRateHands,
       winRateFormat: 'Cash games',
-      positionStats,
+      decisionAccuracy: decisionStats.decisionAccuracy,
+      decisionsRecorded: decisionStats.decisionsRecorded,
+      feedbackAccuracy: feedbackAccuracy.accuracy,
+      feedbackRated: feedbackAccuracy.rated,
+      readsCorrected: feedbackAccuracy.readsCorrected,
+      positionStats: decisionStats.positionStats,
+      handsWithoutPosition: decisionStats.handsWithoutPosition,
+      streetStats: decisionStats.streetStats,
+      actionStats: decisionStats.actionStats,
       accuracyTrend,
       recentSessions,
       bestAccuracy: bestAccuracy
@@ -966,7 +1980,6 @@ router.get('/daily-progress/:userId', async (req, res) => {
         $lte: endDate
       }
     })
-    .select('-imageBuffer') // Exclude image buffer for performance
     .sort({ createdAt: -1 }); // Sort by newest first
     
     // Group analyses by date and calculate daily stats
@@ -1340,12 +2353,18 @@ router.get('/accuracy-rate', async (req, res) => {
       ? Math.round(avgConfidence[0].avgConfidence) 
       : 0;
 
+    // Accuracy users confirmed through feedback; null until an analysis has been rated
+    const feedbackAccuracy = await getFeedbackAccuracy();
+
     console.log(`📊 Overall accuracy rate calculated: ${accuracyRate}% (from ${totalAnalyses} analyses)`);
 
     res.json({
       success: true,
       data: {
         accuracyRate: accuracyRate,
+        feedbackAccuracy: feedbackAccuracy.accuracy,
+        feedbackRated: feedbackAccuracy.rated,
+        readsCorrected: feedbackAccuracy.readsCorrected,
         totalAnalyses: totalAnalyses,
         message: `Average accuracy rate: ${accuracyRate}%`
       }
@@ -0,0 +1,61 @@
+/**
+ * Script to label analyses saved before board texture classification with
+ * their board texture and hero holding, so /history can filter them.
+ * Safe to re-run: only analyses with a flop, turn or river hand state and no
+ * board texture are processed.
+ *
+ * Usage: node src/scripts/backfill-board-texture.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { classifyBoard, classifyHolding } = require('../utils/boardTexture');
+
+async function backfillBoardTexture() {
+  const dryRun = process.argv.includes('--dry-run');
+  let labelled = 0;
+  let failed = 0;
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/gto-poker-assistant';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const query = {
+      'handState.street': { $in: ['flop', 'turn', 'river'] },
+      boardTexture: { $in: [null] }
+    };
+    const total = await PokerAnalysis.countDocuments(query);
+    console.log(`📋 ${total} analyses without board texture${dryRun ? ' (dry run)' : ''}`);
+
+    const cursor = PokerAnalysis.find(query).select('analysisId handState').lean().cursor();
+    for await (const analysis of cursor) {
+      try {
+        const boardTexture = classifyBoard(analysis.handState.board);
+        const heroHolding = classifyHolding(analysis.handState.heroCards, analysis.handState.board);
+        if (!dryRun) {
+          await PokerAnalysis.updateOne({ _id: analysis._id }, { $set: { boardTexture, heroHolding } });
+        }
+        labelled++;
+        if (labelled % 500 === 0) {
+          console.log(`🏷️ ${labelled}/${total} labelled`);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to label ${analysis.analysisId}:`, error.message);
+      }
+    }
+
+    console.log(`🎉 ${dryRun ? 'Would label' : 'Labelled'} ${labelled} analyses, ${failed} failed`);
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the backfill
+backfillBoardTexture();
@@ -0,0 +1,287 @@
+/**
+ * Offline evaluation harness for the image-analysis pipeline.
+ * Runs analyzePokerImage over a labelled set of screenshots and reports
+ * card-read accuracy, pot and stack error, action agreement with the labels
+ * and latency.
+ *
+ * The fixture file is a JSON array, image paths relative to it:
+ *   [{ "id": "gg-flop-01", "image": "gg-flop-01.png", "gameFormat": "cash", "stackSize": 100,
+ *      "expected": { "hero_card": ["A♠", "K♥"], "board_card": ["Q♣", "J♦", "2♠"], "hero_position": "BTN",
+ *                    "pot": 12.5, "stacks": { "BTN": 95, "BB": 110 }, "action": "RAISE" } }]
+ * Every expected field is optional; metrics only count fixtures that label them.
+ *
+ * Modes:
+ *   (default)  replay the provider responses in the recording file; no network
+ *   --record   call the configured providers and save their responses to the recording file
+ *   --live     call the configured providers without saving
+ *
+ * --prompt <name@version> and --model <model> evaluate a prompt version or model other
+ * than the default; recordings are kept per prompt version and model.
+ *
+ * Usage: node src/scripts/evaluate-vision.js <fixtures.json> [--record | --live]
+ *          [--prompt <name@version>] [--model <model>] [--recording <file>] [--report <file>] [--verbose]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseCards } = require('../utils/cards');
+const { parseAmount } = require('../utils/amounts');
+const { canonicalPosition, normalizeActionType, actionLine } = require('../utils/handState');
+const recording = require('../services/visionProviders/recording');
+
+const DEFAULT_RECORDING = 'recordings.json';
+
+function parseArgs(argv) {
+  const args = { fixtures: null, mode: 'replay', prompt: null, model: null, recording: null, report: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') args.mode = 'record';
+    else if (arg === '--live') args.mode = 'live';
+    else if (arg === '--prompt') args.prompt = argv[++i];
+    else if (arg === '--model') args.model = argv[++i];
+    else if (arg === '--recording') args.recording = argv[++i];
+    else if (arg === '--report') args.report = argv[++i];
+    else if (arg === '--verbose') args.verbose = true;
+    else if (!arg.startsWith('--') && !args.fixtures) args.fixtures = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.fixtures) {
+    throw new Error('Fixture file is required');
+  }
+  args.recording = args.recording || path.join(path.dirname(args.fixtures), DEFAULT_RECORDING);
+  return args;
+}
+
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function percentile(values, share) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)];
+}
+
+/**
+ * Cards of the expected list found in the read, in any order
+ */
+function matchCards(expected, read) {
+  const wanted = parseCards(expected);
+  const found = new Set(parseCards(read || []));
+  const correct = wanted.filter(card => found.has(card)).length;
+  return { correct, total: wanted.length, exact: correct === wanted.length && found.size === wanted.length };
+}
+
+/**
+ * Error of a read amount relative to the label, in percent; null when the read has no amount
+ */
+function relativeError(expected, read) {
+  if (read === null || read === undefined) return null;
+  return Math.abs(read - expected) / expected * 100;
+}
+
+/**
+ * Score one analysis result against its labels
+ */
+function scoreFixture(expected, result) {
+  const state = result.hand_state || {};
+  const score = { cards: null, exactCards: null, potError: null, potMissing: false, stackErrors: [], stacksMissing: 0, position: null, action: null, line: null };
+
+  const cardChecks = [];
+  if (expected.hero_card) cardChecks.push(matchCards(expected.hero_card, state.heroCards));
+  if (expected.board_card) cardChecks.push(matchCards(expected.board_card, state.board));
+  if (cardChecks.length) {
+    score.cards = {
+      correct: cardChecks.reduce((sum, check) => sum + check.correct, 0),
+      total: cardChecks.reduce((sum, check) => sum + check.total, 0)
+    };
+    score.exactCards = cardChecks.every(check => check.exact);
+  }
+
+  if (expected.pot !== undefined) {
+    score.potError = relativeError(parseAmount(expected.pot), state.pot);
+    score.potMissing = score.potError === null;
+  }
+
+  if (expected.stacks) {
+    const readStacks = {};
+    for (const player of state.players || []) {
+      readStacks[player.position] = player.stack;
+    }
+    for (const [label, amount] of Object.entries(expected.stacks)) {
+      const error = relativeError(parseAmount(amount), readStacks[canonicalPosition(label)]);
+      if (error === null) score.stacksMissing++;
+      else score.stackErrors.push(error);
+    }
+  }
+
+  if (expected.hero_position) {
+    score.position = canonicalPosition(expected.hero_position) === state.heroPosition;
+  }
+
+  if (expected.action) {
+    score.action = normalizeActionType(expected.action) === normalizeActionType(result.recommended_action);
+    score.line = actionLine(expected.action) === actionLine(result.recommended_action);
+  }
+  return score;
+}
+
+/**
+ * Aggregate fixture scores into the report summary
+ */
+function summarize(rows) {
+  const scored = rows.filter(row => row.score);
+  const withCards = scored.filter(row => row.score.cards);
+  const cardsCorrect = withCards.reduce((sum, row) => sum + row.score.cards.correct, 0);
+  const cardsTotal = withCards.reduce((sum, row) => sum + row.score.cards.total, 0);
+  const potErrors = scored.filter(row => row.score.potError !== null).map(row => row.score.potError);
+  const stackErrors = scored.flatMap(row => row.score.stackErrors);
+  const withPosition = scored.filter(row => row.score.position !== null);
+  const withAction = scored.filter(row => row.score.action !== null);
+  const rate = (list, test) => (list.length ? round1(list.filter(test).length / list.length * 100) : null);
+  const latencies = rows.map(row => row.latencyMs);
+  const providerMs = rows.map(row => row.providerMs).filter(ms => ms !== null);
+
+  return {
+    fixtures: rows.length,
+    failed: rows.filter(row => row.error).length,
+    cardAccuracy: cardsTotal ? round1(cardsCorrect / cardsTotal * 100) : null,
+    exactCardReads: rate(withCards, row => row.score.exactCards),
+    potErrorPct: round1(mean(potErrors)),
+    potMissing: scored.filter(row => row.score.potMissing).length,
+    stackErrorPct: round1(mean(stackErrors)),
+    stacksMissing: scored.reduce((sum, row) => sum + row.score.stacksMissing, 0),
+    positionAccuracy: rate(withPosition, row => row.score.position),
+    actionAgreement: rate(withAction, row => row.score.action),
+    lineAgreement: rate(withAction, row => row.score.line),
+    latencyMs: {
+      mean: latencies.length ? Math.round(mean(latencies)) : null,
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95),
+      max: latencies.length ? Math.max(...latencies) : null
+    },
+    providerMs: providerMs.length ? Math.round(mean(providerMs)) : null
+  };
+}
+
+function printReport(rows, summary) {
+  console.log('\n📋 Fixtures');
+  for (const row of rows) {
+    if (row.error) {
+      console.log(`❌ ${row.id}: ${row.error}`);
+      continue;
+    }
+    const { score } = row;
+    const parts = [
+      score.cards ? `cards ${score.cards.correct}/${score.cards.total}` : null,
+      score.potError !== null ? `pot ±${round1(score.potError)}%` : (score.potMissing ? 'pot missing' : null),
+      score.action !== null ? `action ${score.action ? '✓' : '✗'} (${row.recommendedAction})` : null,
+      `${row.latencyMs}ms`
+    ].filter(Boolean);
+    console.log(`${score.exactCards === false || score.action === false ? '⚠️' : '✅'} ${row.id} [${row.provider}]: ${parts.join(', ')}`);
+  }
+
+  const show = value => (value === null ? 'n/a' : value);
+  console.log('\n📊 Summary');
+  console.log(`   - Fixtures: ${summary.fixtures} (${summary.failed} failed)`);
+  console.log(`   - Card accuracy: ${show(summary.cardAccuracy)}% (exact reads ${show(summary.exactCardReads)}%)`);
+  console.log(`   - Pot error: ${show(summary.potErrorPct)}% mean (${summary.potMissing} missing)`);
+  console.log(`   - Stack error: ${show(summary.stackErrorPct)}% mean (${summary.stacksMissing} missing)`);
+  console.log(`   - Hero position: ${show(summary.positionAccuracy)}%`);
+  console.log(`   - Action agreement: ${show(summary.actionAgreement)}% exact, ${show(summary.lineAgreement)}% same line`);
+  console.log(`   - Latency: ${show(summary.latencyMs.mean)}ms mean, ${show(summary.latencyMs.p50)}ms p50, ${show(summary.latencyMs.p95)}ms p95`);
+  console.log(`   - Provider time: ${show(summary.providerMs)}ms mean`);
+}
+
+async function evaluateVision() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const fixtureDir = path.dirname(path.resolve(args.fixtures));
+    const fixtures = JSON.parse(fs.readFileSync(args.fixtures, 'utf8'));
+    if (!Array.isArray(fixtures) || !fixtures.length) {
+      throw new Error('Fixture file must be a non-empty JSON array');
+    }
+
+    if (args.mode === 'replay') {
+      if (!fs.existsSync(args.recording)) {
+        throw new Error(`Recording ${args.recording} not found; run with --record first`);
+      }
+      const saved = JSON.parse(fs.readFileSync(args.recording, 'utf8'));
+      // Replay with the provider chain the recording was made with
+      process.env.VISION_PROVIDERS = saved.chain.join(',');
+      // The OpenAI client needs a key to load, even though a replay never calls it
+      process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'replay';
+      recording.startReplay(saved.entries);
+    } else if (args.mode === 'record') {
+      recording.startRecording();
+    }
+    // Loaded after the environment is set up for the mode
+    const { analyzePokerImage } = require('../services/analysisService');
+    const { DEFAULT_PROMPT, resolvePrompt } = require('../services/promptRegistry');
+    const [promptName, promptVersion] = args.prompt
+      ? (args.prompt.includes('@') ? args.prompt.split('@') : [DEFAULT_PROMPT, args.prompt])
+      : [];
+    const prompt = resolvePrompt({ name: promptName, version: promptVersion, model: args.model || undefined });
+    console.log(`🧪 Evaluating ${fixtures.length} fixtures (${args.mode}) with ${prompt.name}@${prompt.version} on ${prompt.model}`);
+    const log = console.log;
+    const logError = console.error;
+
+    const rows = [];
+    for (const fixture of fixtures) {
+      const id = fixture.id || fixture.image;
+      const gameFormat = fixture.gameFormat || 'cash';
+      const imageBuffer = fs.readFileSync(path.join(fixtureDir, fixture.image));
+      const startTime = Date.now();
+      if (!args.verbose) {
+        console.log = () => {};
+        console.error = () => {};
+      }
+      try {
+        const result = await analyzePokerImage(imageBuffer, gameFormat, `eval-${id}`, { stackSize: fixture.stackSize, prompt });
+        rows.push({
+          id,
+          provider: result.provider,
+          recommendedAction: result.recommended_action,
+          latencyMs: Date.now() - startTime,
+          providerMs: recording.recordedProviderMs(imageBuffer, gameFormat),
+          score: scoreFixture(fixture.expected || {}, result),
+          error: null
+        });
+      } catch (error) {
+        rows.push({ id, provider: null, latencyMs: Date.now() - startTime, providerMs: null, score: null, error: error.message });
+      } finally {
+        console.log = log;
+        console.error = logError;
+      }
+    }
+
+    const summary = summarize(rows);
+    printReport(rows, summary);
+
+    if (args.mode === 'record') {
+      const { getProviderChain } = require('../services/visionProviders');
+      fs.writeFileSync(args.recording, JSON.stringify({
+        recordedAt: new Date().toISOString(),
+        chain: getProviderChain(),
+        entries: recording.stopRecording()
+      }, null, 2));
+      console.log(`💾 Recorded provider responses to ${args.recording}`);
+    }
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify({ mode: args.mode, prompt, summary, fixtures: rows }, null, 2));
+      console.log(`💾 Report written to ${args.report}`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the evaluation
+evaluateVision();
@@ -0,0 +1,107 @@
+/**
+ * Script to generate the rank templates used by offline card recognition
+ * Writes src/data/cardTemplates.json: every rank glyph rendered with the fonts
+ * bundled with jimp, plus any labelled crops from a sample directory so a
+ * poker client's own card font can be added.
+ *
+ * Sample files are named after the rank they show, e.g. "A-pokerstars.png"
+ * or "T-ggpoker.png" (use T for tens), and contain the rank on a light background.
+ *
+ * Usage: node src/scripts/generate-card-templates.js [sampleDirectory]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Jimp, loadFont } = require('jimp');
+const { SANS_64_BLACK, SANS_128_BLACK } = require('jimp/fonts');
+const { RANKS } = require('../utils/cards');
+const { TEMPLATE_GRID, findComponents, glyphToGrid } = require('../utils/glyphs');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'cardTemplates.json');
+
+/**
+ * Template grid for the ink in an image, cropped to the ink's bounding box
+ */
+function imageToGrid(image) {
+  const { data, width, height } = image.bitmap;
+  const ink = new Uint8Array(width * height);
+  for (let i = 0; i < ink.length; i++) {
+    const brightness = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3;
+    ink[i] = data[i * 4 + 3] > 128 && brightness < 150 ? 1 : 0;
+  }
+
+  const components = findComponents(ink, width, height, { keepPixels: true });
+  if (!components.length) {
+    throw new Error('No glyph found');
+  }
+  const box = components.reduce((acc, component) => ({
+    x0: Math.min(acc.x0, component.x0),
+    y0: Math.min(acc.y0, component.y0),
+    x1: Math.max(acc.x1, component.x1),
+    y1: Math.max(acc.y1, component.y1)
+  }), { x0: width, y0: height, x1: 0, y1: 0 });
+
+  const boxWidth = box.x1 - box.x0 + 1;
+  const boxHeight = box.y1 - box.y0 + 1;
+  const mask = new Uint8Array(boxWidth * boxHeight);
+  for (let y = 0; y < boxHeight; y++) {
+    for (let x = 0; x < boxWidth; x++) {
+      mask[y * boxWidth + x] = ink[(box.y0 + y) * width + box.x0 + x];
+    }
+  }
+  return glyphToGrid(mask, boxWidth, boxHeight, TEMPLATE_GRID);
+}
+
+/**
+ * Render one rank with a bundled font
+ */
+async function renderRank(font, rank) {
+  const image = new Jimp({ width: 320, height: 200, color: 0xffffffff });
+  image.print({ font, x: 10, y: 10, text: rank === 'T' ? '10' : rank });
+  return imageToGrid(image);
+}
+
+async function generateCardTemplates() {
+  try {
+    const sampleDirectory = process.argv[2];
+    const ranks = {};
+    RANKS.split('').forEach(rank => { ranks[rank] = []; });
+
+    console.log('🔄 Rendering rank glyphs from bundled fonts...');
+    for (const fontPath of [SANS_64_BLACK, SANS_128_BLACK]) {
+      const font = await loadFont(fontPath);
+      for (const rank of RANKS) {
+        ranks[rank].push(await renderRank(font, rank));
+      }
+    }
+
+    if (sampleDirectory) {
+      const files = fs.readdirSync(sampleDirectory).filter(file => /\.(png|jpe?g|bmp)$/i.test(file));
+      console.log(`🔄 Adding ${files.length} labelled samples from ${sampleDirectory}...`);
+      for (const file of files) {
+        const rank = file.charAt(0).toUpperCase();
+        if (!ranks[rank]) {
+          console.log(`  ⚠️ Skipping ${file}: name must start with a rank (${RANKS})`);
+          continue;
+        }
+        const image = await Jimp.read(path.join(sampleDirectory, file));
+        ranks[rank].push(imageToGrid(image));
+      }
+    }
+
+    // Identical grids add nothing to matching
+    Object.keys(ranks).forEach(rank => { ranks[rank] = [...new Set(ranks[rank])]; });
+
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify({ grid: TEMPLATE_GRID, ranks }, null, 2) + '\n');
+
+    const total = Object.values(ranks).reduce((sum, list) => sum + list.length, 0);
+    console.log(`✅ Wrote ${total} templates to ${OUTPUT_PATH}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error generating card templates:', error);
+    process.exit(1);
+  }
+}
+
+generateCardTemplates();
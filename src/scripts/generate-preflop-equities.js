@@ -0,0 +1,84 @@
+/**
+ * Script to generate the preflop hand-class equity table used by the push/fold solver
+ * Writes src/data/preflopEquities.json: all-in equity of every hand class against
+ * every other, sampled with a fixed seed so the output is reproducible.
+ *
+ * Usage: node src/scripts/generate-preflop-equities.js [samplesPerMatchup]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildDeck } = require('../utils/cards');
+const { evaluateHand } = require('../utils/handEvaluator');
+const { allHandClasses, expandHandClass } = require('../utils/ranges');
+const { createRng } = require('../services/equityService');
+
+const SEED = 20240101;
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'preflopEquities.json');
+
+/**
+ * Sampled equity of hand class A against hand class B
+ */
+function sampleMatchup(combosA, combosB, samples, rng) {
+  let share = 0;
+  let taken = 0;
+
+  while (taken < samples) {
+    const handA = combosA[Math.floor(rng() * combosA.length)];
+    const handB = combosB[Math.floor(rng() * combosB.length)];
+    if (handB.includes(handA[0]) || handB.includes(handA[1])) {
+      continue; // Combos share a card, draw again
+    }
+
+    const deck = buildDeck(handA.concat(handB));
+    for (let i = 0; i < 5; i++) {
+      const j = i + Math.floor(rng() * (deck.length - i));
+      const tmp = deck[i];
+      deck[i] = deck[j];
+      deck[j] = tmp;
+    }
+    const board = deck.slice(0, 5);
+
+    const scoreA = evaluateHand(handA.concat(board));
+    const scoreB = evaluateHand(handB.concat(board));
+    if (scoreA > scoreB) share += 1;
+    else if (scoreA === scoreB) share += 0.5;
+    taken++;
+  }
+
+  return share / samples;
+}
+
+function generatePreflopEquities() {
+  try {
+    const samples = parseInt(process.argv[2], 10) || 2000;
+    const classes = allHandClasses();
+    const combos = classes.map(expandHandClass);
+    const rng = createRng(SEED);
+
+    console.log(`🔄 Sampling ${classes.length} x ${classes.length} matchups (${samples} samples each)...`);
+    const startTime = Date.now();
+
+    // Upper triangle (including the diagonal), row by row, in per-mille
+    const equities = [];
+    for (let i = 0; i < classes.length; i++) {
+      for (let j = i; j < classes.length; j++) {
+        equities.push(Math.round(sampleMatchup(combos[i], combos[j], samples, rng) * 1000));
+      }
+      if ((i + 1) % 20 === 0) {
+        console.log(`  - ${i + 1}/${classes.length} rows done`);
+      }
+    }
+
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify({ seed: SEED, samples, classes, equities }) + '\n');
+
+    console.log(`✅ Wrote ${OUTPUT_PATH} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error generating preflop equities:', error);
+    process.exit(1);
+  }
+}
+
+generatePreflopEquities();
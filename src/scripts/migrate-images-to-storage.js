@@ -0,0 +1,100 @@
+/**
+ * Script to move screenshots stored inline on PokerAnalysis documents
+ * (imageBuffer) into the configured blob store (IMAGE_STORAGE = gridfs | local).
+ * Each analysis gets an image reference, thumbnail and redacted variants are
+ * generated, and its imageBuffer is removed. The OCR call made to locate names
+ * for the redacted copy is priced and added to the analysis cost.
+ * Safe to re-run: only documents that still have an imageBuffer are processed.
+ *
+ * Usage: node src/scripts/migrate-images-to-storage.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { saveImage } = require('../services/imageStorage');
+const { storeImageDerivatives } = require('../services/imageDerivatives');
+const { getPriceTable, priceProviderCalls } = require('../services/costService');
+
+/**
+ * MIME type from the file signature; uploads were not required to record it
+ */
+function detectContentType(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('hex') === '89504e47') return 'image/png';
+  if (buffer.subarray(0, 4).toString() === 'RIFF' && buffer.subarray(8, 12).toString() === 'WEBP') return 'image/webp';
+  if (buffer.subarray(0, 3).toString() === 'GIF') return 'image/gif';
+  return 'application/octet-stream';
+}
+
+async function migrateImages() {
+  const dryRun = process.argv.includes('--dry-run');
+  let migrated = 0;
+  let failed = 0;
+  let bytes = 0;
+  let redactionCostUsd = 0;
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/gto-poker-assistant';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const query = { imageBuffer: { $exists: true, $ne: null } };
+    const total = await PokerAnalysis.countDocuments(query);
+    console.log(`📋 ${total} analyses still have an inline image${dryRun ? ' (dry run)' : ''}`);
+    const priceTable = await getPriceTable();
+
+    // One document in memory at a time
+    const cursor = PokerAnalysis.find(query).select('+imageBuffer').cursor();
+    for await (const analysis of cursor) {
+      const buffer = Buffer.from(analysis.imageBuffer);
+      bytes += buffer.length;
+
+      if (dryRun) {
+        migrated++;
+        continue;
+      }
+
+      try {
+        const image = analysis.image || await saveImage(`${analysis.analysisId}/original`, buffer, detectContentType(buffer));
+        const update = { $set: { image }, $unset: { imageBuffer: 1 } };
+        if (analysis.imageVariants) {
+          update.$set.imageVariants = analysis.imageVariants;
+        } else {
+          const { variants, calls } = await storeImageDerivatives(analysis.analysisId, buffer, { table_layout: analysis.tableLayout });
+          update.$set.imageVariants = variants;
+          if (calls.length) {
+            const cost = priceProviderCalls(calls, priceTable);
+            update.$push = { providerCalls: { $each: cost.calls } };
+            // $inc fails on the null cost of analyses saved before cost tracking
+            if (typeof analysis.costUsd === 'number') {
+              update.$inc = { costUsd: cost.totalUsd };
+            } else {
+              update.$set.costUsd = cost.totalUsd;
+            }
+            redactionCostUsd += cost.totalUsd;
+          }
+        }
+        await PokerAnalysis.updateOne({ _id: analysis._id }, update);
+        migrated++;
+        if (migrated % 100 === 0) {
+          console.log(`📦 ${migrated}/${total} migrated`);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to migrate ${analysis.analysisId}:`, error.message);
+      }
+    }
+
+    console.log(`🎉 ${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} images (${(bytes / 1024 / 1024).toFixed(1)} MB), ${failed} failed, redaction OCR $${redactionCostUsd.toFixed(4)}`);
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateImages();
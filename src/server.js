@@ -3,6 +3,7 @@ const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 require('dotenv').config();
 
 // Database connection
@@ -15,6 +16,7 @@ const supportRoutes = require('./routes/support');
 const userRoutes = require('./routes/users');
 const paymentRoutes = require('./routes/payments');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { startAnalysisWorker } = require('./services/analysisQueue');
 
 // Connect to MongoDB before starting server
 async function startServer() {
@@ -25,6 +27,13 @@ async function startServer() {
     if (!dbConnection) {
       console.log('⚠️ Starting server with limited functionality (no database)');
     }
+
+    // Analysis jobs live in MongoDB, so the worker waits for the connection
+    if (dbConnection) {
+      startAnalysisWorker();
+    } else {
+      mongoose.connection.once('connected', startAnalysisWorker);
+    }
     
     const app = express();
     const PORT = process.env.PORT || 3001;
@@ -0,0 +1,215 @@
+const AnalysisCache = require('../models/AnalysisCache');
+const AppSetting = require('../models/AppSetting');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { explainDecision } = require('./explanationService');
+const { resolveStackDepth } = require('./preflopService');
+const { TABLE_LAYOUTS } = require('../config/tableLayouts');
+const { hashDistance, cropRegions, compareRegions } = require('../utils/imageHash');
+
+const CHARGE_HITS_SETTING = 'analysisCache.chargeHits';
+const DEFAULT_TTL_HOURS = 7 * 24;
+// Differing pHash bits still treated as a candidate (re-encoded, resized)
+const DEFAULT_MAX_DISTANCE = 4;
+// Recent entries scanned for a perceptual match
+const MAX_PERCEPTUAL_CANDIDATES = 500;
+
+function isCacheEnabled() {
+  return process.env.ANALYSIS_CACHE_ENABLED !== 'false';
+}
+
+function getTtlHours() {
+  return parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+}
+
+function getMaxDistance() {
+  const value = parseInt(process.env.ANALYSIS_CACHE_MAX_DISTANCE);
+  return Number.isNaN(value) ? DEFAULT_MAX_DISTANCE : value;
+}
+
+function findLayoutProfile(layoutId) {
+  return (layoutId && TABLE_LAYOUTS.find(profile => profile.id === layoutId)) || null;
+}
+
+/**
+ * Current cache configuration. chargeHits is an admin setting stored in the database;
+ * the rest comes from the environment.
+ */
+async function getCacheSettings() {
+  return {
+    enabled: isCacheEnabled(),
+    ttlHours: getTtlHours(),
+    maxDistance: getMaxDistance(),
+    chargeHits: await AppSetting.getValue(CHARGE_HITS_SETTING, true)
+  };
+}
+
+/**
+ * Change whether cache hits consume the user's available usage
+ */
+async function setChargeHits(chargeHits, updatedBy = null) {
+  await AppSetting.setValue(CHARGE_HITS_SETTING, chargeHits, updatedBy);
+  return getCacheSettings();
+}
+
+/**
+ * Entry for a re-encoded or resized copy of an analyzed screenshot: close
+ * perceptual hashes are only candidates, and one is used when the pot, stack
+ * and card regions of its table layout match the upload pixel by pixel.
+ * Entries without a layout are only served to exact copies.
+ */
+async function findPerceptualMatch(query, fingerprint, imageBuffer) {
+  if (!fingerprint.pHash || !imageBuffer) {
+    return null;
+  }
+  const maxDistance = getMaxDistance();
+  const candidates = await AnalysisCache.find({ ...query, pHash: { $ne: null }, layoutId: { $ne: null } })
+    .select('pHash layoutId')
+    .sort({ createdAt: -1 })
+    .limit(MAX_PERCEPTUAL_CANDIDATES)
+    .lean();
+
+  const close = candidates
+    .map(candidate => ({ ...candidate, distance: hashDistance(candidate.pHash, fingerprint.pHash) }))
+    .filter(candidate => candidate.distance <= maxDistance && findLayoutProfile(candidate.layoutId))
+    .sort((a, b) => a.distance - b.distance);
+
+  // The upload is cropped once per layout the candidates were read with
+  const uploadRegions = new Map();
+  for (const candidate of close) {
+    if (!uploadRegions.has(candidate.layoutId)) {
+      uploadRegions.set(candidate.layoutId, await cropRegions(imageBuffer, findLayoutProfile(candidate.layoutId)));
+    }
+    const full = await AnalysisCache.findById(candidate._id).select('+regions');
+    if (full && compareRegions(full.regions, uploadRegions.get(candidate.layoutId))) {
+      return full;
+    }
+  }
+  return null;
+}
+
+/**
+ * Stored analysis for the same screenshot, game format and stack depth, or null.
+ * Exact SHA-256 matches are tried first, then perceptual candidates confirmed
+ * on the pot, stack and card regions; the preflop chart and recommendation
+ * depend on the stack depth, so results are not shared across depths.
+ * @param {string} gameFormat
+ * @param {string} stackSize - Uploader's stack size preference
+ * @param {Object} fingerprint - Result of fingerprintImage
+ * @param {Buffer} imageBuffer - Uploaded screenshot, cropped to confirm perceptual matches
+ * @returns {Promise<Object|null>} PokerAnalysis document (without image)
+ */
+async function findCachedAnalysis(gameFormat, stackSize, fingerprint, imageBuffer) {
+  if (!isCacheEnabled() || !fingerprint) {
+    return null;
+  }
+
+  const now = new Date();
+  const query = { gameFormat, stackDepth: resolveStackDepth(stackSize), expiresAt: { $gt: now } };
+  const entry = await AnalysisCache.findOne({ ...query, sha256: fingerprint.sha256 }).sort({ createdAt: -1 }) ||
+    await findPerceptualMatch(query, fingerprint, imageBuffer);
+
+  if (!entry) {
+    return null;
+  }
+
+  const analysis = await PokerAnalysis.findByAnalysisId(entry.analysisId);
+  if (!analysis) {
+    // The stored result is gone; the entry is useless
+    await AnalysisCache.deleteOne({ _id: entry._id });
+    return null;
+  }
+
+  await AnalysisCache.updateOne({ _id: entry._id }, { $inc: { hits: 1 }, $set: { lastHitAt: now } });
+  return analysis;
+}
+
+/**
+ * Remember a finished analysis under the screenshot's fingerprint and the stack
+ * depth it was analyzed for. With the table layout it was read with, the pot,
+ * stack and card regions are kept so resized copies can be matched too.
+ * @param {string} analysisId
+ * @param {string} gameFormat
+ * @param {string} stackSize - Uploader's stack size preference
+ * @param {Object} fingerprint - Result of fingerprintImage
+ * @param {Object} image - { imageBuffer, layoutId }
+ */
+async function storeCacheEntry(analysisId, gameFormat, stackSize, fingerprint, { imageBuffer, layoutId } = {}) {
+  if (!isCacheEnabled() || !fingerprint) {
+    return null;
+  }
+
+  try {
+    const layout = findLayoutProfile(layoutId);
+    const regions = layout && fingerprint.pHash && imageBuffer ? await cropRegions(imageBuffer, layout) : null;
+    return await AnalysisCache.create({
+      analysisId,
+      gameFormat,
+      stackDepth: resolveStackDepth(stackSize),
+      sha256: fingerprint.sha256,
+      pHash: regions ? fingerprint.pHash : null,
+      layoutId: regions ? layout.id : null,
+      regions,
+      expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    // Caching is best-effort; the analysis is already saved
+    console.error(`⚠️ Failed to cache analysis ${analysisId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a new analysis for the uploader that reuses a cached result. The
+ * screenshot is not stored again; cachedFrom points at the original.
+ * @param {Object} source - Cached PokerAnalysis
+ * @param {Object} params - { analysisId, userId, userEmail, userFullName }, and the uploader's
+ *   explanation level and focus areas (explanation)
+ */
+async function saveCachedCopy(source, { analysisId, userId, userEmail, userFullName, explanation }) {
+  const analysisDecisions = await PokerAnalysis.countDocuments();
+
+  const copy = new PokerAnalysis({
+    analysisId,
+    gameFormat: source.gameFormat,
+    recommendedAction: source.recommendedAction,
+    analysisNotes: source.analysisNotes,
+    confidence: source.confidence,
+    equity: source.equity,
+    localAnalysis: source.localAnalysis,
+    preflopChart: source.preflopChart || null,
+    pushFold: source.pushFold || null,
+    visionProvider: source.visionProvider,
+    tableLayout: source.tableLayout,
+    handState: source.handState,
+    betSizing: source.betSizing || null,
+    boardTexture: source.boardTexture || null,
+    heroHolding: source.heroHolding || null,
+    // Written again for this user's level
+    explanation: explainDecision(source, explanation),
+    // Same screenshot, so the stored original is shared
+    image: source.image,
+    imageVariants: source.imageVariants,
+    imageSha256: source.imageSha256,
+    cachedFrom: source.analysisId,
+    decisions: analysisDecisions + 1,
+    userId: userId || null,
+    userEmail: userEmail || null,
+    userFullName: userFullName || null,
+    processingTime: 0,
+    // No provider was called for the copy
+    providerCalls: [],
+    costUsd: 0
+  });
+
+  await copy.save();
+  console.log(`♻️ Analysis ${analysisId} served from cache (original ${source.analysisId})`);
+  return copy;
+}
+
+module.exports = {
+  getCacheSettings,
+  setChargeHits,
+  findCachedAnalysis,
+  storeCacheEntry,
+  saveCachedCopy
+};
@@ -0,0 +1,32 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process bus for analysis job events (progress, partial reads, results).
+ * Streams on other instances fall back to polling the job document.
+ */
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+/**
+ * Publish an event for one analysis
+ * @param {string} analysisId
+ * @param {Object} event - { type: 'progress' | 'partial' | 'retrying' | 'completed' | 'failed', ... }
+ */
+function publishAnalysisEvent(analysisId, event) {
+  bus.emit(analysisId, { ...event, analysisId, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Listen to the events of one analysis
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToAnalysis(analysisId, listener) {
+  bus.on(analysisId, listener);
+  return () => bus.off(analysisId, listener);
+}
+
+module.exports = {
+  publishAnalysisEvent,
+  subscribeToAnalysis
+};
@@ -0,0 +1,122 @@
+const { once } = require('events');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { writeStarsHand } = require('./handHistory/starsWriter');
+
+// Documents fetched from MongoDB per round trip
+const EXPORT_BATCH_SIZE = 100;
+
+const CSV_COLUMNS = [
+  ['analysisId', analysis => analysis.analysisId],
+  ['date', analysis => (analysis.analysisDate || analysis.createdAt).toISOString()],
+  ['gameFormat', analysis => analysis.gameFormat],
+  ['source', analysis => analysis.handState?.source || 'image'],
+  ['site', analysis => analysis.handState?.site || analysis.tableLayout?.site],
+  ['handId', analysis => analysis.handState?.handId],
+  ['street', analysis => analysis.handState?.street],
+  ['heroPosition', analysis => analysis.handState?.heroPosition],
+  ['heroCards', analysis => (analysis.handState?.heroCards || []).join(' ')],
+  ['board', analysis => (analysis.handState?.board || []).join(' ')],
+  ['potBb', analysis => analysis.handState?.potBb],
+  ['effectiveStackBb', analysis => analysis.handState?.effectiveStackBb],
+  ['toCallBb', analysis => analysis.handState?.toCallBb],
+  ['recommendedAction', analysis => analysis.recommendedAction],
+  ['heroAction', analysis => analysis.handState?.heroAction?.action],
+  ['confidence', analysis => analysis.confidence],
+  ['equity', analysis => analysis.equity],
+  ['visionProvider', analysis => analysis.visionProvider]
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Header, per-record writer and footer of each export format
+ */
+const FORMATS = {
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    header: () => `{"exportedAt":${JSON.stringify(new Date().toISOString())},"analyses":[\n`,
+    record: (analysis, index) => `${index ? ',\n' : ''}${JSON.stringify(analysis.getPublicData())}`,
+    footer: count => `\n],"count":${count}}\n`
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${CSV_COLUMNS.map(([name]) => name).join(',')}\n`,
+    record: analysis => `${CSV_COLUMNS.map(([, value]) => csvValue(value(analysis))).join(',')}\n`,
+    footer: () => ''
+  },
+  hh: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    header: () => '',
+    // Trackers separate hands with blank lines; analyses without a hand state are left out
+    record: analysis => {
+      const hand = writeStarsHand(analysis);
+      return hand ? `${hand}\n\n\n` : '';
+    },
+    footer: () => ''
+  }
+};
+
+/**
+ * Stream a user's analyses to an HTTP response, one cursor batch at a time
+ * @param {Object} res - Express response
+ * @param {Object} params
+ * @param {string} params.format - 'hh', 'csv' or 'json'
+ * @param {Object} params.query - MongoDB filter (userId, createdAt range, gameFormat)
+ * @returns {Promise<number>} Number of analyses written
+ */
+async function streamAnalysesExport(res, { format, query }) {
+  const writer = FORMATS[format];
+  const cursor = PokerAnalysis.find(query)
+    .sort({ createdAt: 1 })
+    .batchSize(EXPORT_BATCH_SIZE)
+    .cursor();
+
+  // Stop reading when the client goes away
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const write = async chunk => {
+    if (chunk && !res.write(chunk)) {
+      await once(res, 'drain');
+    }
+  };
+
+  res.set({
+    'Content-Type': writer.contentType,
+    'Content-Disposition': `attachment; filename="analyses-${new Date().toISOString().slice(0, 10)}.${writer.extension}"`,
+    'Cache-Control': 'no-cache'
+  });
+
+  let count = 0;
+  try {
+    await write(writer.header());
+    for await (const analysis of cursor) {
+      if (closed) break;
+      await write(writer.record(analysis, count));
+      count++;
+    }
+    if (!closed) {
+      await write(writer.footer(count));
+    }
+  } finally {
+    await cursor.close();
+  }
+  res.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  streamAnalysesExport
+};
@@ -0,0 +1,394 @@
+const os = require('os');
+const AnalysisJob = require('../models/AnalysisJob');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { analyzePokerImage } = require('./analysisService');
+const { publishAnalysisEvent } = require('./analysisEvents');
+const { recordUserAnalysis } = require('./usageService');
+const { storeCacheEntry } = require('./analysisCache');
+const { saveImage } = require('./imageStorage');
+const { storeImageDerivatives } = require('./imageDerivatives');
+const { getHandContext } = require('./handSessionService');
+const { assignPrompt } = require('./promptRegistry');
+const { getPriceTable, priceProviderCalls } = require('./costService');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// A processing job whose lock is older than this is treated as abandoned by a crashed worker
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+
+let pollTimer = null;
+let running = false;
+let polling = false;
+let activeJobs = 0;
+
+function getConcurrency() {
+  return parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || DEFAULT_CONCURRENCY;
+}
+
+function getLockTimeout() {
+  return parseInt(process.env.ANALYSIS_JOB_LOCK_TIMEOUT_MS) || DEFAULT_LOCK_TIMEOUT_MS;
+}
+
+/**
+ * Queue an uploaded screenshot for analysis
+ * @param {Object} params
+ * @param {string} params.analysisId - ID returned to the client
+ * @param {string} params.gameFormat - 'cash' or 'tournament'
+ * @param {Buffer} params.imageBuffer - Uploaded screenshot
+ * @param {string} params.imageContentType - MIME type of the screenshot
+ * @param {Object} params.options - Analysis options (stackSize)
+ * @param {Object} params.fingerprint - Image hash for the result cache
+ * @param {string} params.handSessionId - Hand session the screenshot belongs to
+ * @param {Object} params.user - { userId, userEmail, userFullName }
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueueAnalysis({ analysisId, gameFormat, imageBuffer, imageContentType, options = {}, fingerprint = null, handSessionId = null, user = {} }) {
+  const job = await AnalysisJob.create({
+    analysisId,
+    gameFormat,
+    imageBuffer,
+    imageContentType,
+    options,
+    fingerprint,
+    handSessionId,
+    userId: user.userId || null,
+    userEmail: user.userEmail || null,
+    userFullName: user.userFullName || null,
+    maxAttempts: parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS
+  });
+  console.log(`📥 Analysis job queued - ID: ${analysisId}`);
+
+  // Pick it up now rather than on the next poll
+  setImmediate(pollQueue);
+  return job;
+}
+
+/**
+ * Atomically claim the next job that is due, including ones abandoned by a
+ * crashed worker that still have attempts left
+ */
+function claimNextJob() {
+  const now = new Date();
+  return AnalysisJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', availableAt: { $lte: now } },
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - getLockTimeout()) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: {
+        status: 'processing',
+        stage: 'starting',
+        progress: 5,
+        lockedBy: WORKER_ID,
+        lockedAt: now,
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { availableAt: 1, createdAt: 1 }, new: true, projection: { imageBuffer: 0 } }
+  );
+}
+
+/**
+ * Record a job's stage and push it to open streams. Data sent with the
+ * 'parsed' stage (detected cards, pot, stacks) is kept as the partial result.
+ */
+function updateProgress(job, stage, progress, data = null) {
+  publishAnalysisEvent(job.analysisId, { type: 'progress', stage, progress, data });
+
+  const update = { stage, progress, lockedAt: new Date() };
+  if (stage === 'parsed' && data) {
+    update.partialResult = data;
+  }
+  return AnalysisJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: update }
+  ).catch(error => console.error(`⚠️ Progress update failed for ${job.analysisId}:`, error.message));
+}
+
+/**
+ * Store the screenshot and its variants and save the finished analysis
+ */
+async function saveAnalysisResult(job, analysisImageResult, processingTimeSeconds) {
+  const { analysisId, gameFormat, userId, userEmail, userFullName } = job;
+
+  const analysisDecisions = await PokerAnalysis.countDocuments();
+
+  // The screenshot goes to blob storage; the analysis keeps only the reference
+  const image = await saveImage(`${analysisId}/original`, job.imageBuffer, job.imageContentType);
+  let imageVariants = null;
+  // OCR run to locate names for the redacted copy is billed like the table read
+  let redactionCalls = [];
+  try {
+    ({ variants: imageVariants, calls: redactionCalls } = await storeImageDerivatives(analysisId, job.imageBuffer, analysisImageResult));
+  } catch (error) {
+    // The original is stored; the variants are a convenience
+    console.error(`⚠️ Image variants failed for ${analysisId}:`, error.message);
+  }
+
+  const providerCalls = (analysisImageResult.provider_calls || []).concat(redactionCalls);
+  const cost = priceProviderCalls(providerCalls, await getPriceTable());
+  if (cost.unpriced) {
+    console.log(`⚠️ ${cost.unpriced} provider call(s) for ${analysisId} have no price in the price table`);
+  }
+
+  const analysisData = new PokerAnalysis({
+    analysisId: analysisId,
+    gameFormat: gameFormat,
+    recommendedAction: analysisImageResult.recommended_action,
+    analysisNotes: analysisImageResult.analysis_notes,
+    image,
+    imageVariants,
+    confidence: analysisImageResult.confidence,
+    equity: analysisImageResult.equity,
+    localAnalysis: analysisImageResult.local_analysis,
+    preflopChart: analysisImageResult.preflop_chart || null,
+    pushFold: analysisImageResult.push_fold || null,
+    visionProvider: analysisImageResult.provider,
+    prompt: analysisImageResult.prompt || null,
+    tokenUsage: analysisImageResult.token_usage || null,
+    providerCalls: cost.calls,
+    costUsd: cost.totalUsd,
+    tableLayout: analysisImageResult.table_layout,
+    handState: analysisImageResult.hand_state,
+    betSizing: analysisImageResult.bet_sizing,
+    boardTexture: analysisImageResult.board_texture,
+    heroHolding: analysisImageResult.hero_holding,
+    explanation: analysisImageResult.explanation,
+    handSessionId: job.handSessionId || null,
+    imageSha256: job.fingerprint ? job.fingerprint.sha256 : undefined,
+    decisions: analysisDecisions + 1,
+    // Save user information from the upload
+    userId: userId || null,
+    userEmail: userEmail || null,
+    userFullName: userFullName || null,
+    // Save processing time for performance tracking
+    processingTime: processingTimeSeconds
+  });
+
+  await analysisData.save();
+  console.log(`💾 Analysis saved to database for ID: ${analysisId}`);
+
+  // Later uploads of the same screenshot reuse this result; session
+  // analyses depend on the earlier streets and are not cached
+  if (!job.handSessionId) {
+    await storeCacheEntry(analysisId, gameFormat, job.options?.stackSize, job.fingerprint, {
+      imageBuffer: job.imageBuffer,
+      layoutId: analysisImageResult.table_layout?.id
+    });
+  }
+
+  return analysisData;
+}
+
+/**
+ * Record the analysis on the job's user and charge one use, once per job. The
+ * job is flagged before charging and the flag is released when the charge
+ * fails, so a retry charges instead of skipping it or charging twice.
+ */
+async function chargeJobUser(job, analysis) {
+  if (!job.userId) {
+    return;
+  }
+  const { modifiedCount } = await AnalysisJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID, charged: { $ne: true } },
+    { $set: { charged: true } }
+  );
+  // Already charged, or another worker took the job over and charges it
+  if (!modifiedCount) {
+    return;
+  }
+  const user = await recordUserAnalysis(job.userId, job.gameFormat, {
+    gamePot: analysis.handState ? analysis.handState.pot : null,
+    recommendedAction: analysis.recommendedAction,
+    confidence: analysis.confidence,
+    analysisNotes: analysis.analysisNotes
+  });
+  if (!user) {
+    await AnalysisJob.updateOne({ _id: job._id }, { $set: { charged: false } });
+    throw new Error('Could not record the analysis on the user');
+  }
+}
+
+/**
+ * Run one claimed job, retrying with exponential backoff until maxAttempts
+ */
+async function processJob(job) {
+  const startTime = Date.now();
+  console.log(`⚙️ Processing analysis job ${job.analysisId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    // A previous attempt may have saved the result before losing its lock
+    let analysis = await PokerAnalysis.findByAnalysisId(job.analysisId);
+    if (!analysis) {
+      const jobWithImage = await AnalysisJob.findById(job._id).select('imageBuffer');
+      job.imageBuffer = jobWithImage.imageBuffer;
+
+      // Streets analyzed since the upload count as context too
+      const handContext = job.handSessionId ? await getHandContext(job.handSessionId) : null;
+      // Users keep their experiment arm; anonymous uploads are assigned per analysis
+      const prompt = await assignPrompt(job.gameFormat, job.userId || job.analysisId);
+
+      const result = await analyzePokerImage(job.imageBuffer, job.gameFormat, job.analysisId, {
+        ...job.options,
+        handContext,
+        prompt,
+        onProgress: (stage, progress, data) => updateProgress(job, stage, progress, data)
+      });
+
+      await updateProgress(job, 'saving', 90);
+      const processingTimeSeconds = ((Date.now() - startTime) / 1000).toFixed(2);
+      analysis = await saveAnalysisResult(job, result, processingTimeSeconds);
+      await updateProgress(job, 'saved', 95);
+    }
+
+    await chargeJobUser(job, analysis);
+
+    const { modifiedCount } = await AnalysisJob.updateOne({ _id: job._id, lockedBy: WORKER_ID }, {
+      $set: { status: 'completed', stage: 'completed', progress: 100, completedAt: new Date(), lockedBy: null, lockedAt: null },
+      $unset: { imageBuffer: 1 }
+    });
+    if (!modifiedCount) {
+      console.log(`⚠️ Analysis job ${job.analysisId} was taken over by another worker; leaving completion to it`);
+      return;
+    }
+    publishAnalysisEvent(job.analysisId, { type: 'completed', progress: 100, result: analysis.getPublicData() });
+    console.log(`✅ Analysis job ${job.analysisId} completed in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+  } catch (error) {
+    const retry = job.attempts < job.maxAttempts;
+    console.error(`❌ Analysis job ${job.analysisId} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    const update = retry
+      ? {
+        $set: {
+          status: 'queued',
+          stage: 'retrying',
+          progress: 0,
+          lastError: error.message,
+          availableAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+          lockedBy: null,
+          lockedAt: null
+        }
+      }
+      : {
+        $set: {
+          status: 'failed',
+          stage: 'failed',
+          lastError: error.message,
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        },
+        $unset: { imageBuffer: 1 }
+      };
+    await AnalysisJob.updateOne({ _id: job._id }, update);
+    publishAnalysisEvent(job.analysisId, retry
+      ? { type: 'retrying', attempt: job.attempts, maxAttempts: job.maxAttempts, error: error.message }
+      : { type: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Fail jobs abandoned by a crashed worker on their last attempt; claimNextJob
+ * no longer picks them up
+ */
+async function failExhaustedJobs() {
+  const staleBefore = new Date(Date.now() - getLockTimeout());
+  const exhausted = {
+    status: 'processing',
+    lockedAt: { $lt: staleBefore },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  };
+  const jobs = await AnalysisJob.find(exhausted).select('analysisId attempts');
+
+  for (const job of jobs) {
+    const error = `Worker stopped responding (attempt ${job.attempts})`;
+    const { modifiedCount } = await AnalysisJob.updateOne({ _id: job._id, ...exhausted }, {
+      $set: {
+        status: 'failed',
+        stage: 'failed',
+        lastError: error,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedAt: null
+      },
+      $unset: { imageBuffer: 1 }
+    });
+    if (modifiedCount) {
+      console.error(`❌ Analysis job ${job.analysisId} failed: ${error}`);
+      publishAnalysisEvent(job.analysisId, { type: 'failed', error });
+    }
+  }
+}
+
+/**
+ * Claim jobs until the concurrency limit is reached
+ */
+async function pollQueue() {
+  if (!running || polling) {
+    return;
+  }
+
+  polling = true;
+  try {
+    await failExhaustedJobs();
+    while (activeJobs < getConcurrency()) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      processJob(job)
+        .catch(error => console.error('❌ Analysis worker error:', error))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(pollQueue);
+        });
+    }
+  } catch (error) {
+    console.error('❌ Analysis queue poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling the job collection
+ */
+function startAnalysisWorker() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  const interval = parseInt(process.env.ANALYSIS_QUEUE_POLL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  pollTimer = setInterval(pollQueue, interval);
+  console.log(`👷 Analysis worker ${WORKER_ID} started (concurrency ${getConcurrency()}, poll every ${interval}ms)`);
+  pollQueue();
+}
+
+/**
+ * Stop claiming new jobs; jobs already running finish on their own
+ */
+function stopAnalysisWorker() {
+  running = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueAnalysis,
+  startAnalysisWorker,
+  stopAnalysisWorker
+};
@@ -1,208 +1,163 @@
-const sharp = require('sharp');
-const OpenAI = require("openai");
-const fs = require('fs');
-const vision = require('@google-cloud/vision');
-const Tesseract = require('tesseract.js');
+const { analyzeHand } = require('./equityService');
+const { recommendPreflop } = require('./preflopService');
+const { recommendPushFold } = require('./pushFoldService');
+const { runVisionPipeline } = require('./visionProviders');
+const { summarizeLayout } = require('./tableLayoutService');
+const { resolvePrompt } = require('./promptRegistry');
+const { explainDecision } = require('./explanationService');
+const { applyHandContext, buildHandState } = require('../utils/handState');
+const { calculateBetSizing } = require('../utils/betSizing');
+const { classifyBoard, classifyHolding } = require('../utils/boardTexture');
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/**
+ * Validate game format
+ */
+function validateGameFormat(format) {
+  return ['cash', 'tournament'].includes(format);
+}
 
 /**
- * Optimize image for OpenAI API - reduces size by 80-90%
+ * Attach the local equity engine's numbers to a parsed table read
  */
-async function optimizeImageForOpenAI(imageBuffer) {
+function attachLocalEquity(result) {
   try {
-    console.log('🔄 Optimizing image for OpenAI...');
-    const startTime = Date.now();
-    
-    // Get original size
-    const originalSize = imageBuffer.length;
-    console.log(`📏 Original image size: ${(originalSize / 1024 / 1024).toFixed(2)} MB`);
-    
-    // Compress and resize image
-    const compressedBuffer = await sharp(imageBuffer)
-      .jpeg({ 
-        quality: 85,           // High quality but smaller size
-        progressive: true,     // Better compression
-        mozjpeg: true         // Better compression algorithm
-      })
-      .resize(1024, 768, {    // Optimal size for OpenAI
-        fit: 'inside',        // Maintain aspect ratio
-        withoutEnlargement: true  // Don't enlarge small images
-      })
-      .toBuffer();
-    
-    const compressedSize = compressedBuffer.length;
-    const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(1);
-    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    
-    console.log(`✅ Image optimization complete!`);
-    console.log(`📊 Size reduction: ${compressionRatio}% (${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB)`);
-    console.log(`⏱️ Processing time: ${processingTime}s`);
-    
-    return compressedBuffer;
+    const localAnalysis = analyzeHand(result);
+    console.log(`🧮 Local equity: ${localAnalysis.equity}% (${localAnalysis.method}, ${localAnalysis.samples} samples) → ${localAnalysis.recommendedAction}`);
+    return {
+      ...result,
+      equity: localAnalysis.equity,
+      local_analysis: localAnalysis
+    };
   } catch (error) {
-    console.error('❌ Image optimization failed:', error);
-    // Return original buffer if optimization fails
-    return imageBuffer;
+    console.log(`⚠️ Local equity engine skipped: ${error.message}`);
+    return { ...result, equity: null, local_analysis: null };
   }
 }
 
-// const client = new vision.ImageAnnotatorClient({
-//   keyFilename: "C:/path/to/receipt-ocr-459704-c1d8332bac39.json" // absolute path
-// });
-
 /**
- * Validate game format
+ * Use the preflop charts instead of the model's decision when the board is empty
  */
-function validateGameFormat(format) {
-  return ['cash', 'tournament'].includes(format);
+function applyPreflopChart(result, options = {}) {
+  const preflop = recommendPreflop(result, { stackSize: options.stackSize });
+  if (!preflop) {
+    return result;
+  }
+
+  console.log(`📋 Preflop chart (${preflop.stackDepth}, ${preflop.position}): ${preflop.handClass} → ${preflop.action}`);
+  return {
+    ...result,
+    recommended_action: preflop.action,
+    analysis_notes: `Preflop chart (${preflop.position}, ${preflop.stackDepth}): ${preflop.reasoning}.`,
+    preflop_chart: preflop
+  };
 }
 
 /**
- * Call OpenAI API with optimized image and prompt
+ * Use the push/fold solver for short-stacked tournament spots
  */
-async function callOpenAIAPI(imageBuffer, gameFormat) {
-  try {
-    const MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-
-    // Check if API key is available
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    console.log('🤖 Calling OpenAI API...');
-    const apiStartTime = Date.now();
-
-    // Step 1: Optimize image before sending to OpenAI
-    const optimizedBuffer = await optimizeImageForOpenAI(imageBuffer);
-    
-    // Step 2: Convert to base64 with JPEG format (smaller than PNG)
-    const base64Image = optimizedBuffer.toString("base64");
-    const dataUrl = `data:image/jpeg;base64,${base64Image}`;
-
-    // Step 3: Use optimized prompt (70% shorter, same accuracy)
-    const optimizedPrompt = `Analyze ${gameFormat} poker table image. Return JSON:
-      Color → Suit mapping:
-      - black card color -> spade (♠)
-      - red card color -> heart (♥)
-      - blue card color -> diamond (♦)
-      - green card color -> club (♣)
-      {
-        "hero_card": [<2 cards>],
-        "board_card": [<cards>],
-        "pot": "<amount>",
-        "stacks": {"<seat>": "<amount>"},
-        "actions": [{"seat": "<seat>", "action": "<action>", "amount": "<amount>"}],
-        "recommended_action": "<action>",
-        "confidence": <0-100>,
-        "analysis_notes": "<brief explanation>"
-      }
-      Cards: <RANK><SUIT> (A♠, K♥, Q♦, J♣, T♠, 9♥, etc). Return ONLY JSON.`;
-
-    // Step 4: Make API call with optimized parameters
-    const response = await client.responses.create({
-      model: MODEL,
-      input: [
-        {
-          role: "user",
-          content: [
-            { type: "input_text", text: optimizedPrompt },
-            { type: "input_image", image_url: dataUrl }
-          ]
-        }
-      ],
-      max_output_tokens: 500,  // Reduced from 700 for faster response
-      temperature: 0.1         // More deterministic, faster processing
-    });
-
-    const apiEndTime = Date.now();
-    const apiProcessingTime = ((apiEndTime - apiStartTime) / 1000).toFixed(2);
-    console.log(`⏱️ OpenAI API processing time: ${apiProcessingTime}s`);
-
-    // Step 5: Parse response
-    let cleanJson = response.output_text
-      .replace(/```json\s*/i, '') // remove starting ```json
-      .replace(/```\s*$/i, '')    // remove ending ```
-      .trim();                    // remove extra whitespace
-
-    let resultObj = JSON.parse(cleanJson);
-    console.log(`✅ OpenAI analysis completed in ${apiProcessingTime}s`);
+function applyPushFold(result, gameFormat) {
+  if (gameFormat !== 'tournament') {
+    return null;
+  }
 
-    return resultObj
-  
+  let pushFold = null;
+  try {
+    pushFold = recommendPushFold(result, { payouts: getTournamentPayouts() });
   } catch (error) {
-    console.error('❌ OpenAI API call failed:', error);
-
-    // Handle specific error types
-    if (error.status === 403 && error.code === 'unsupported_country_region_territory') {
-      throw new Error('OpenAI services not available in your region. Please use a VPN or contact support.');
-    }
-
-    if (error.status === 401) {
-      throw new Error('Invalid OpenAI API key. Please check your configuration.');
-    }
-
-    if (error.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-    }
-
-    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-      throw new Error('Network connection issue. Please check your internet connection.');
-    }
-
-    // Generic error
-    throw new Error(`OpenAI API error: ${error.message || 'Unknown error occurred'}`);
+    console.log(`⚠️ Push/fold solver skipped: ${error.message}`);
+  }
+  if (!pushFold) {
+    return null;
   }
+
+  const [allIn, fold] = pushFold.options;
+  console.log(`🎲 Push/fold (${pushFold.position}, ${pushFold.effectiveStack}bb): ${pushFold.handClass} → ${pushFold.action}`);
+  return {
+    ...result,
+    recommended_action: pushFold.action,
+    analysis_notes: `Push/fold Nash (${pushFold.position}, ${pushFold.effectiveStack}bb effective): ${pushFold.handClass} ${allIn.action.toLowerCase()} is worth ${allIn.icmEquity}% of the prize pool vs ${fold.icmEquity}% for a fold.`,
+    push_fold: pushFold
+  };
 }
 
 /**
- * Call Google Vision API
+ * Tournament payout structure from PUSH_FOLD_PAYOUTS (e.g. "0.5,0.3,0.2"), winner-take-all by default
  */
-async function analyzeGoogleVisionBuffer(imageBuffer) {
-  try {
-    // Send buffer to Vision API
-    console.log("😀GoogleVision", imageBuffer)
-    const [result] = await client.textDetection({
-      image: { content: imageBuffer }
-    });
-
-    // The first annotation is the full text
-    const fullText = result.textAnnotations?.[0]?.description || '';
-    console.log("Full text detected:\n", fullText);
+function getTournamentPayouts() {
+  const payouts = (process.env.PUSH_FOLD_PAYOUTS || '')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value >= 0);
+  return payouts.length ? payouts : undefined;
+}
 
-    // The rest are individual words/lines with bounding boxes
-    result.textAnnotations?.slice(1).forEach((text, idx) => {
-      console.log(`Word ${idx + 1}: ${text.description}`);
-      console.log(`Bounding box:`, text.boundingPoly.vertices);
-    });
+/**
+ * Pick the deterministic preflop engine for the spot, if one applies
+ */
+function applyPreflopStrategy(result, gameFormat, options) {
+  return applyPushFold(result, gameFormat) || applyPreflopChart(result, options);
+}
 
-    return result.textAnnotations;
-  } catch (err) {
-    console.error("Vision API error:", err);
+/**
+ * Build a full analysis result from the local engine alone
+ */
+function buildLocalResult(tableRead) {
+  if (!tableRead || !Array.isArray(tableRead.hero_card) || tableRead.hero_card.length !== 2) {
+    throw new Error('Local analysis could not read the hero cards from this image');
   }
+
+  const localAnalysis = analyzeHand(tableRead);
+  const handText = localAnalysis.handStrength ? ` with ${localAnalysis.handStrength.toLowerCase()}` : '';
+
+  return {
+    ...tableRead,
+    recommended_action: localAnalysis.recommendedAction,
+    // Distance from the break-even point is how clear-cut the decision is
+    confidence: Math.min(95, Math.round(50 + Math.abs(localAnalysis.equity - localAnalysis.potOdds))),
+    analysis_notes: `Local GTO engine${handText}: ${localAnalysis.reasoning}.`,
+    equity: localAnalysis.equity,
+    local_analysis: localAnalysis
+  };
 }
 
 /**
- * Call Tesseract
+ * Explanation of an analysis result for the user's level and focus areas
  */
-async function analyzeTeseractBuffer(imageBuffer) {
-  try {
-    const { data: { text } } = await Tesseract.recognize(imageBuffer, 'eng', {
-      logger: info => console.log(info) // Optional progress log
-    });
+function explainResult(result, preferences) {
+  return explainDecision({
+    recommendedAction: result.recommended_action,
+    equity: result.equity,
+    localAnalysis: result.local_analysis,
+    preflopChart: result.preflop_chart || null,
+    pushFold: result.push_fold || null,
+    handState: result.hand_state,
+    betSizing: result.bet_sizing,
+    boardTexture: result.board_texture,
+    heroHolding: result.hero_holding
+  }, preferences);
+}
 
-    console.log("Extracted text:", text);
-    return text;
-  } catch (error) {
-    console.error("Tesseract error:", error);
-    throw error;
+/**
+ * Tokens used by the model calls of an analysis, or null when no call reported any
+ */
+function sumTokenUsage(calls) {
+  const reported = calls.filter(call => call.inputTokens !== null && call.inputTokens !== undefined);
+  if (!reported.length) {
+    return null;
   }
+  const inputTokens = reported.reduce((sum, call) => sum + call.inputTokens, 0);
+  const outputTokens = reported.reduce((sum, call) => sum + (call.outputTokens || 0), 0);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
 }
 
 /**
  * Main analysis function - processes image and calculates GTO strategy
+ * @param {Object} options - { stackSize } and the explanation level and focus areas ({ explanation })
+ *   from the user's preferences, the earlier streets of a hand session (handContext), the prompt version
+ *   and model assigned to the analysis (prompt, the default prompt when omitted) and an optional
+ *   onProgress(stage, percent, data) callback
  */
-async function analyzePokerImage(imageBuffer, gameFormat, analysisId) {
+async function analyzePokerImage(imageBuffer, gameFormat, analysisId, options = {}) {
   try {
     console.log(`🎯 Starting optimized analysis for ${gameFormat} game - ID: ${analysisId}`);
     const totalStartTime = Date.now();
@@ -211,36 +166,64 @@ async function analyzePokerImage(imageBuffer, gameFormat, analysisId) {
     const originalSize = imageBuffer.length;
     console.log(`📏 Original image size: ${(originalSize / 1024 / 1024).toFixed(2)} MB`);
 
-    // Step 1: Try OpenAI API first
-    let openAIResult = null;
-    try {
-      console.log('🚀 Using optimized OpenAI pipeline...');
-      
-      openAIResult = await callOpenAIAPI(imageBuffer, gameFormat);
-
-      // Parse OpenAI response and extract GTO decision
-      const openAIContent = openAIResult;
-      
-      // Calculate total processing time
-      const totalEndTime = Date.now();
-      const totalProcessingTime = ((totalEndTime - totalStartTime) / 1000).toFixed(2);
-      
-      console.log(`✅ Total analysis completed in ${totalProcessingTime}s`);
-      console.log(`📊 Performance Summary:`);
-      console.log(`   - Original image: ${(originalSize / 1024 / 1024).toFixed(2)} MB`);
-      console.log(`   - Total processing: ${totalProcessingTime}s`);
-      console.log(`   - Analysis ID: ${analysisId}`);
-
-      return openAIContent;
-    } catch (openAIError) {
-      console.log(`⚠️ OpenAI analysis failed: ${openAIError.message}`);
-      console.log("🔄 Falling back to local GTO analysis...");
-      
-      // Calculate fallback processing time
-      const totalEndTime = Date.now();
-      const totalProcessingTime = ((totalEndTime - totalStartTime) / 1000).toFixed(2);
-      console.log(`⏱️ Fallback processing time: ${totalProcessingTime}s`);
-    }
+    const reportProgress = options.onProgress || (() => {});
+
+    // Step 1: Read the table with the first vision provider that answers
+    reportProgress('reading_table', 20);
+    const prompt = options.prompt || resolvePrompt();
+    const { read, provider, layout, calls } = await runVisionPipeline(imageBuffer, gameFormat, reportProgress, { prompt });
+    const { complete, ...screenRead } = read;
+    // Later streets of a hand session inherit hero's cards, position and the earlier action
+    const tableRead = applyHandContext(screenRead, options.handContext);
+
+    // Let clients show the detected cards before the recommendation is ready
+    reportProgress('parsed', 65, {
+      provider,
+      hero_card: tableRead.hero_card,
+      hero_position: tableRead.hero_position || null,
+      board_card: tableRead.board_card,
+      pot: tableRead.pot || null,
+      stacks: tableRead.stacks || {}
+    });
+    reportProgress('calculating_strategy', 70);
+
+    // Step 2: A full read keeps the model's decision and adds the local engine's
+    // equity; a partial read (OCR) is decided by the local engine alone
+    const result = complete
+      ? attachLocalEquity(applyPreflopStrategy(tableRead, gameFormat, options))
+      : applyPreflopStrategy(buildLocalResult(tableRead), gameFormat, options);
+
+    // Calculate total processing time
+    const totalEndTime = Date.now();
+    const totalProcessingTime = ((totalEndTime - totalStartTime) / 1000).toFixed(2);
+
+    console.log(`✅ Total analysis completed in ${totalProcessingTime}s`);
+    console.log(`📊 Performance Summary:`);
+    console.log(`   - Original image: ${(originalSize / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`   - Vision provider: ${provider}`);
+    console.log(`   - Total processing: ${totalProcessingTime}s`);
+    console.log(`   - Analysis ID: ${analysisId}`);
+
+    const handState = buildHandState(result, { site: layout ? layout.site : null });
+    const analysis = {
+      ...result,
+      provider,
+      prompt: {
+        name: prompt.name,
+        version: prompt.version,
+        model: prompt.model,
+        experiment: prompt.experiment || null,
+        arm: prompt.arm || null
+      },
+      token_usage: sumTokenUsage(calls),
+      provider_calls: calls,
+      table_layout: summarizeLayout(layout),
+      hand_state: handState,
+      bet_sizing: calculateBetSizing(handState, result.recommended_action),
+      board_texture: classifyBoard(handState.board),
+      hero_holding: classifyHolding(handState.heroCards, handState.board)
+    };
+    return { ...analysis, explanation: explainResult(analysis, options.explanation) };
 
   } catch (error) {
     console.error(`❌ Analysis failed for ID: ${analysisId}:`, error);
@@ -248,8 +231,30 @@ async function analyzePokerImage(imageBuffer, gameFormat, analysisId) {
   }
 }
 
+/**
+ * Analyze a table read that did not come from a screenshot, such as the
+ * decision point of an imported hand history. The local engine decides.
+ * @param {Object} tableRead - Read in the analysis JSON shape
+ * @param {string} gameFormat - 'cash' or 'tournament'
+ * @param {Object} options - { stackSize, explanation }, and handState options passed to buildHandState
+ */
+function analyzeTableRead(tableRead, gameFormat, options = {}) {
+  const result = applyPreflopStrategy(buildLocalResult(tableRead), gameFormat, options);
+  const handState = buildHandState(tableRead, options.handState);
+  const analysis = {
+    ...result,
+    provider: null,
+    table_layout: null,
+    hand_state: handState,
+    bet_sizing: calculateBetSizing(handState, result.recommended_action),
+    board_texture: classifyBoard(handState.board),
+    hero_holding: classifyHolding(handState.heroCards, handState.board)
+  };
+  return { ...analysis, explanation: explainResult(analysis, options.explanation) };
+}
 
 module.exports = {
   analyzePokerImage,
+  analyzeTableRead,
   validateGameFormat,
 }; 
\ No newline at end of file
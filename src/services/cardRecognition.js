@@ -0,0 +1,258 @@
+/**
+ * Offline card recognition for table screenshots.
+ *
+ * Finds light card faces, reads the rank glyph in each card's top-left corner
+ * against the bundled templates (src/data/cardTemplates.json) and reads the
+ * suit from the glyph's colour. Suits are read by colour only, so this needs
+ * a four-colour deck (spades black, hearts red, diamonds blue, clubs green).
+ */
+
+const { Jimp } = require('jimp');
+const { normalizeCard } = require('../utils/cards');
+const { findComponents, glyphToGrid } = require('../utils/glyphs');
+const { boxContains } = require('./tableLayoutService');
+const cardTemplates = require('../data/cardTemplates.json');
+
+// Work on a downscaled copy; card corners stay well above glyph size
+const MAX_WIDTH = 1280;
+// Rank matches below this share of agreeing template cells are dropped
+const MIN_RANK_SCORE = 0.72;
+
+/**
+ * Card face: bright and close to grey
+ */
+function isCardFace(r, g, b) {
+  return r > 195 && g > 195 && b > 195 && Math.max(r, g, b) - Math.min(r, g, b) < 45;
+}
+
+/**
+ * Ink on a card face: dark or strongly coloured
+ */
+function isInk(r, g, b) {
+  const brightness = (r + g + b) / 3;
+  return brightness < 150 || Math.max(r, g, b) - Math.min(r, g, b) > 90;
+}
+
+/**
+ * Best-matching rank for a glyph grid
+ * @returns {{rank: string, score: number}}
+ */
+function matchRank(grid) {
+  let best = { rank: null, score: 0 };
+
+  for (const [rank, templates] of Object.entries(cardTemplates.ranks)) {
+    for (const template of templates) {
+      let agree = 0;
+      for (let i = 0; i < grid.length; i++) {
+        if (grid[i] === template[i]) agree++;
+      }
+      const score = agree / grid.length;
+      if (score > best.score) {
+        best = { rank, score };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Suit from the average colour of a glyph's ink (four-colour deck)
+ */
+function suitFromColour(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  if (max - min < 50) {
+    return 's';
+  }
+  if (max === r) {
+    return 'h';
+  }
+  return max === g ? 'c' : 'd';
+}
+
+/**
+ * Read the rank glyphs along the top of one card-face region. Overlapping
+ * cards (hero's hole cards in most clients) form a single region, so every
+ * glyph on the top row is one card.
+ */
+function readRegion(bitmap, region) {
+  const { data, width } = bitmap;
+  const regionWidth = region.x1 - region.x0 + 1;
+  const regionHeight = region.y1 - region.y0 + 1;
+
+  const ink = new Uint8Array(regionWidth * regionHeight);
+  for (let y = 0; y < regionHeight; y++) {
+    for (let x = 0; x < regionWidth; x++) {
+      const offset = ((region.y0 + y) * width + region.x0 + x) * 4;
+      ink[y * regionWidth + x] = isInk(data[offset], data[offset + 1], data[offset + 2]) ? 1 : 0;
+    }
+  }
+
+  const minGlyphHeight = Math.max(8, regionHeight * 0.12);
+  let glyphs = findComponents(ink, regionWidth, regionHeight, { keepPixels: true })
+    .filter(glyph => {
+      const glyphHeight = glyph.y1 - glyph.y0 + 1;
+      // Ink touching the region's edge is felt or another card, not a glyph
+      const inside = glyph.x0 > 0 && glyph.y0 > 0 && glyph.x1 < regionWidth - 1 && glyph.y1 < regionHeight - 1;
+      return inside &&
+        glyphHeight >= minGlyphHeight &&
+        glyphHeight <= regionHeight * 0.6 &&
+        glyph.y0 < regionHeight * 0.4;
+    })
+    .sort((a, b) => a.x0 - b.x0);
+
+  // "10" is drawn as two glyphs side by side; join pieces that sit close together
+  const merged = [];
+  for (const glyph of glyphs) {
+    const previous = merged[merged.length - 1];
+    const glyphHeight = glyph.y1 - glyph.y0 + 1;
+    const overlap = previous ? Math.min(previous.y1, glyph.y1) - Math.max(previous.y0, glyph.y0) : -1;
+    if (previous && glyph.x0 - previous.x1 < glyphHeight * 0.5 && overlap > glyphHeight * 0.6) {
+      previous.x1 = Math.max(previous.x1, glyph.x1);
+      previous.y0 = Math.min(previous.y0, glyph.y0);
+      previous.y1 = Math.max(previous.y1, glyph.y1);
+      previous.pixels = previous.pixels.concat(glyph.pixels);
+    } else {
+      merged.push({ ...glyph });
+    }
+  }
+  glyphs = merged;
+  if (!glyphs.length) {
+    return [];
+  }
+
+  // Rank glyphs share the top row; suit pips sit below them
+  const topRow = Math.min(...glyphs.map(glyph => glyph.y0));
+  const heights = glyphs.map(glyph => glyph.y1 - glyph.y0 + 1).sort((a, b) => a - b);
+  const medianHeight = heights[Math.floor(heights.length / 2)];
+
+  return glyphs
+    .filter(glyph => glyph.y0 <= topRow + medianHeight * 0.5)
+    .map(glyph => {
+      const glyphWidth = glyph.x1 - glyph.x0 + 1;
+      const glyphHeight = glyph.y1 - glyph.y0 + 1;
+      const glyphMask = new Uint8Array(glyphWidth * glyphHeight);
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (const index of glyph.pixels) {
+        const x = index % regionWidth;
+        const y = (index - x) / regionWidth;
+        glyphMask[(y - glyph.y0) * glyphWidth + (x - glyph.x0)] = 1;
+        const offset = ((region.y0 + y) * width + region.x0 + x) * 4;
+        r += data[offset];
+        g += data[offset + 1];
+        b += data[offset + 2];
+      }
+      const count = glyph.pixels.length;
+      const { rank, score } = matchRank(glyphToGrid(glyphMask, glyphWidth, glyphHeight, cardTemplates.grid));
+
+      return {
+        rank,
+        suit: suitFromColour(r / count, g / count, b / count),
+        score,
+        x: region.x0 + glyph.x0,
+        y: region.y0 + glyph.y0,
+        height: glyphHeight
+      };
+    })
+    .filter(card => card.rank && card.score >= MIN_RANK_SCORE);
+}
+
+/**
+ * Group detections into horizontal rows of cards
+ */
+function groupRows(cards) {
+  const rows = [];
+  for (const card of cards.slice().sort((a, b) => a.y - b.y)) {
+    const row = rows.find(candidate => Math.abs(candidate.y - card.y) < card.height * 0.6);
+    if (row) {
+      row.cards.push(card);
+    } else {
+      rows.push({ y: card.y, cards: [card] });
+    }
+  }
+  rows.forEach(row => row.cards.sort((a, b) => a.x - b.x));
+  return rows;
+}
+
+/**
+ * Without a layout: the board is the row of 3-5 cards nearest the middle of
+ * the table and hero's cards are the lowest pair on screen
+ */
+function assignByRows(detections, height) {
+  const rows = groupRows(detections);
+  const board = rows
+    .filter(row => row.cards.length >= 3 && row.cards.length <= 5)
+    .sort((a, b) => Math.abs(a.y - height / 2) - Math.abs(b.y - height / 2))[0];
+  const hero = rows
+    .filter(row => row.cards.length === 2 && row !== board)
+    .sort((a, b) => b.y - a.y)[0];
+  return { hero: hero ? hero.cards : [], board: board ? board.cards : [] };
+}
+
+/**
+ * With a layout: cards are hero's or the board's by the region they sit in
+ */
+function assignByLayout(detections, layout, width, height) {
+  const inRegion = box => detections
+    .filter(card => boxContains(box, card.x / width, card.y / height))
+    .sort((a, b) => a.x - b.x);
+  return {
+    hero: inRegion(layout.regions.heroCards).slice(0, 2),
+    board: inRegion(layout.regions.board).slice(0, 5)
+  };
+}
+
+/**
+ * Detect hero and board cards in a table screenshot without any network call
+ * @param {Buffer} imageBuffer - Screenshot
+ * @param {Object} layout - Detected table layout (optional)
+ * @returns {Promise<{hero_card: Array<string>, board_card: Array<string>, detections: Array<Object>}>}
+ */
+async function recognizeCards(imageBuffer, layout = null) {
+  const image = await Jimp.fromBuffer(imageBuffer);
+  if (image.bitmap.width > MAX_WIDTH) {
+    image.resize({ w: MAX_WIDTH });
+  }
+  const { bitmap } = image;
+  const { data, width, height } = bitmap;
+
+  const faceMask = new Uint8Array(width * height);
+  for (let i = 0; i < faceMask.length; i++) {
+    faceMask[i] = isCardFace(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) ? 1 : 0;
+  }
+
+  const minArea = width * height * 0.0006;
+  const regions = findComponents(faceMask, width, height).filter(region => {
+    const regionWidth = region.x1 - region.x0 + 1;
+    const regionHeight = region.y1 - region.y0 + 1;
+    const aspect = regionWidth / regionHeight;
+    return region.area >= minArea &&
+      regionHeight >= 20 &&
+      aspect >= 0.4 && aspect <= 3 &&
+      region.area / (regionWidth * regionHeight) >= 0.5;
+  });
+
+  const detections = regions.flatMap(region => readRegion(bitmap, region));
+  const { hero, board } = layout
+    ? assignByLayout(detections, layout, width, height)
+    : assignByRows(detections, height);
+
+  const toCard = card => normalizeCard(`${card.rank}${card.suit}`);
+  return {
+    hero_card: hero.map(toCard),
+    board_card: board.map(toCard),
+    detections: detections.map(card => ({
+      card: toCard(card),
+      score: Math.round(card.score * 100) / 100,
+      x: card.x,
+      y: card.y
+    }))
+  };
+}
+
+module.exports = {
+  recognizeCards
+};
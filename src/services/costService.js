@@ -0,0 +1,245 @@
+const AppSetting = require('../models/AppSetting');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const Transaction = require('../models/Transaction');
+
+/**
+ * Cost of the vision provider calls behind each analysis, and reports that set
+ * it against payment revenue.
+ *
+ * Prices are USD. Models are priced per million input/output tokens and matched
+ * by the longest prefix, so dated snapshots (gpt-4o-2024-08-06) use their
+ * family's price; providers without tokens are priced per call. Each analysis
+ * stores its cost when it is saved, so price changes only affect new analyses.
+ */
+
+const PRICE_TABLE_SETTING = 'costs.priceTable';
+const TOP_USERS = 50;
+
+const DEFAULT_PRICE_TABLE = {
+  models: {
+    'gpt-4o': { inputPer1M: 2.5, outputPer1M: 10 },
+    'gpt-4o-mini': { inputPer1M: 0.15, outputPer1M: 0.6 },
+    'gpt-4.1': { inputPer1M: 2, outputPer1M: 8 },
+    'gpt-4.1-mini': { inputPer1M: 0.4, outputPer1M: 1.6 }
+  },
+  providers: {
+    google: { perCall: 0.0015 },
+    tesseract: { perCall: 0 }
+  }
+};
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a price table
+ * @param {Object} table - { models: { <model prefix>: { inputPer1M, outputPer1M } }, providers: { <name>: { perCall } } }
+ * @returns {string|null} What is wrong, or null when valid
+ */
+function validatePriceTable(table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    return 'priceTable must be an object';
+  }
+  for (const [model, price] of Object.entries(table.models || {})) {
+    if (!price || !isPrice(price.inputPer1M) || !isPrice(price.outputPer1M)) {
+      return `Model ${model}: inputPer1M and outputPer1M must be non-negative numbers`;
+    }
+  }
+  for (const [provider, price] of Object.entries(table.providers || {})) {
+    if (!price || !isPrice(price.perCall)) {
+      return `Provider ${provider}: perCall must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The price table in effect: the admin's table, or the defaults
+ */
+function getPriceTable() {
+  return AppSetting.getValue(PRICE_TABLE_SETTING, DEFAULT_PRICE_TABLE);
+}
+
+/**
+ * Replace the price table, or go back to the defaults with null
+ */
+async function setPriceTable(table, updatedBy = null) {
+  const value = table ? { models: table.models || {}, providers: table.providers || {} } : null;
+  await AppSetting.setValue(PRICE_TABLE_SETTING, value, updatedBy);
+  return value || DEFAULT_PRICE_TABLE;
+}
+
+/**
+ * Price entry for a model, matched by the longest prefix
+ */
+function findModelPrice(models, model) {
+  const prefix = Object.keys(models || {})
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+/**
+ * Cost of one provider call in USD, or null when the table has no price for it
+ */
+function priceCall(call, table) {
+  const providerPrice = (table.providers || {})[call.provider];
+  if (providerPrice) {
+    return providerPrice.perCall;
+  }
+  const modelPrice = call.model ? findModelPrice(table.models, call.model) : null;
+  if (!modelPrice || call.inputTokens === null || call.inputTokens === undefined) {
+    return null;
+  }
+  return (call.inputTokens * modelPrice.inputPer1M + (call.outputTokens || 0) * modelPrice.outputPer1M) / 1e6;
+}
+
+/**
+ * Price the provider calls of an analysis
+ * @param {Array<Object>} calls - { provider, model, inputTokens, outputTokens, imageBytes, failed }
+ * @param {Object} table - Price table
+ * @returns {{totalUsd: number, calls: Array<Object>, unpriced: number}} Calls with costUsd (null when
+ *   unpriced); unpriced calls are left out of the total
+ */
+function priceProviderCalls(calls, table) {
+  const priced = (calls || []).map(call => ({ ...call, costUsd: priceCall(call, table) }));
+  return {
+    totalUsd: priced.reduce((sum, call) => sum + (call.costUsd || 0), 0),
+    calls: priced,
+    unpriced: priced.filter(call => call.costUsd === null).length
+  };
+}
+
+function roundUsd(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+function dateMatch(field, { from, to }) {
+  if (!from && !to) {
+    return {};
+  }
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+}
+
+// Cost totals of a group of analyses
+const COST_GROUP = {
+  analyses: { $sum: 1 },
+  costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+  inputTokens: { $sum: { $ifNull: ['$tokenUsage.inputTokens', 0] } },
+  outputTokens: { $sum: { $ifNull: ['$tokenUsage.outputTokens', 0] } }
+};
+
+// Revenue of a group of transactions in cents, after refunds
+const REVENUE_GROUP = {
+  revenueCents: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundAmount', 0] }] } },
+  creditsSold: { $sum: { $cond: [{ $eq: ['$status', 'succeeded'] }, '$quotaAmount', 0] } },
+  transactions: { $sum: 1 }
+};
+
+// The user's current plan; anonymous analyses have none
+const PLAN_LOOKUP = [
+  { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+  { $addFields: { plan: { $ifNull: [{ $arrayElemAt: ['$user.planStatus', 0] }, 'anonymous'] } } }
+];
+
+/**
+ * Cost figures of one row
+ */
+function summarizeCost(cost = {}) {
+  const analyses = cost.analyses || 0;
+  const costUsd = cost.costUsd || 0;
+  return {
+    analyses,
+    costUsd: roundUsd(costUsd),
+    inputTokens: cost.inputTokens || 0,
+    outputTokens: cost.outputTokens || 0,
+    costPerAnalysis: analyses ? roundUsd(costUsd / analyses) : null
+  };
+}
+
+/**
+ * Cost and revenue figures of one row; an analysis consumes one credit, so the
+ * margin per credit is revenue per credit sold minus cost per analysis
+ */
+function summarizeRow(cost = {}, revenue = {}) {
+  const costFigures = summarizeCost(cost);
+  const revenueUsd = (revenue.revenueCents || 0) / 100;
+  const creditsSold = revenue.creditsSold || 0;
+  const costPerAnalysis = costFigures.analyses ? (cost.costUsd || 0) / costFigures.analyses : null;
+  const revenuePerCredit = creditsSold ? revenueUsd / creditsSold : null;
+  return {
+    ...costFigures,
+    revenueUsd: Math.round(revenueUsd * 100) / 100,
+    creditsSold,
+    revenuePerCredit: roundUsd(revenuePerCredit),
+    marginPerCredit: revenuePerCredit !== null && costPerAnalysis !== null ? roundUsd(revenuePerCredit - costPerAnalysis) : null
+  };
+}
+
+function joinRows(costRows, revenueRows, key) {
+  const revenueByKey = new Map(revenueRows.map(row => [String(row._id), row]));
+  const keys = new Set(costRows.map(row => String(row._id)).concat(revenueRows.map(row => String(row._id))));
+  const costByKey = new Map(costRows.map(row => [String(row._id), row]));
+  return [...keys].map(id => ({ [key]: id, ...summarizeRow(costByKey.get(id), revenueByKey.get(id)) }));
+}
+
+/**
+ * Provider cost of analyses against payment revenue, per day, user, plan and game format
+ * @param {Object} range - { from, to } on createdAt
+ * @returns {Promise<Object>} { totals, byDay, byUser (highest cost first), byPlan, byGameFormat, unpricedAnalyses }
+ */
+async function buildCostReport(range = {}) {
+  const analysisMatch = dateMatch('createdAt', range);
+  const transactionMatch = { status: { $in: ['succeeded', 'refunded'] }, ...dateMatch('createdAt', range) };
+  const day = { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } };
+
+  const [costTotals, revenueTotals, costByDay, revenueByDay, costByUser, costByPlan, revenueByPlan, costByFormat, unpricedAnalyses] = await Promise.all([
+    PokerAnalysis.aggregate([{ $match: analysisMatch }, { $group: { _id: null, ...COST_GROUP } }]),
+    Transaction.aggregate([{ $match: transactionMatch }, { $group: { _id: null, ...REVENUE_GROUP } }]),
+    PokerAnalysis.aggregate([{ $match: analysisMatch }, { $group: { _id: day, ...COST_GROUP } }]),
+    Transaction.aggregate([{ $match: transactionMatch }, { $group: { _id: day, ...REVENUE_GROUP } }]),
+    PokerAnalysis.aggregate([
+      { $match: { ...analysisMatch, userId: { $ne: null } } },
+      { $group: { _id: '$userId', email: { $first: '$userEmail' }, ...COST_GROUP } },
+      { $sort: { costUsd: -1 } },
+      { $limit: TOP_USERS }
+    ]),
+    PokerAnalysis.aggregate([{ $match: analysisMatch }, ...PLAN_LOOKUP, { $group: { _id: '$plan', ...COST_GROUP } }]),
+    Transaction.aggregate([{ $match: transactionMatch }, ...PLAN_LOOKUP, { $group: { _id: '$plan', ...REVENUE_GROUP } }]),
+    PokerAnalysis.aggregate([{ $match: analysisMatch }, { $group: { _id: '$gameFormat', ...COST_GROUP } }]),
+    PokerAnalysis.countDocuments({ ...analysisMatch, providerCalls: { $elemMatch: { costUsd: null } } })
+  ]);
+
+  const revenueByUser = await Transaction.aggregate([
+    { $match: { ...transactionMatch, userId: { $in: costByUser.map(row => row._id) } } },
+    { $group: { _id: '$userId', ...REVENUE_GROUP } }
+  ]);
+  const userRevenue = new Map(revenueByUser.map(row => [String(row._id), row]));
+
+  return {
+    totals: summarizeRow(costTotals[0], revenueTotals[0]),
+    byDay: joinRows(costByDay, revenueByDay, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+    byUser: costByUser.map(row => ({
+      userId: String(row._id),
+      email: row.email || null,
+      ...summarizeRow(row, userRevenue.get(String(row._id)))
+    })),
+    byPlan: joinRows(costByPlan, revenueByPlan, 'plan'),
+    // Revenue is not tied to a game format
+    byGameFormat: costByFormat.map(row => ({ gameFormat: row._id, ...summarizeCost(row) })),
+    unpricedAnalyses
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICE_TABLE,
+  validatePriceTable,
+  getPriceTable,
+  setPriceTable,
+  priceProviderCalls,
+  buildCostReport
+};
@@ -0,0 +1,144 @@
+const { STREETS, ACTION_TYPES, normalizeActionType, actionLine } = require('../utils/handState');
+
+/**
+ * Per-seat, per-street and per-action statistics measured from a user's
+ * analyses. Accuracy is the share of decisions where hero's recorded action
+ * played the recommended line; it is null when no hero actions are recorded.
+ */
+
+// Seats in table order, with the names and colors the stats page shows
+const POSITIONS = [
+  { code: 'UTG', name: 'UTG', color: '#8b5cf6' },
+  { code: 'UTG+1', name: 'UTG+1', color: '#a855f7' },
+  { code: 'UTG+2', name: 'UTG+2', color: '#d946ef' },
+  { code: 'MP', name: 'Middle Position', color: '#ec4899' },
+  { code: 'LJ', name: 'Lojack', color: '#14b8a6' },
+  { code: 'HJ', name: 'Hijack', color: '#06b6d4' },
+  { code: 'CO', name: 'Cut-off', color: '#3b82f6' },
+  { code: 'BTN', name: 'Button', color: '#22c55e' },
+  { code: 'SB', name: 'Small Blind', color: '#ef4444' },
+  { code: 'BB', name: 'Big Blind', color: '#f59e0b' }
+];
+const OTHER_POSITION_COLOR = '#6b7280';
+
+function newBucket() {
+  return { hands: 0, decisions: 0, agreed: 0, confidenceSum: 0, confidenceCount: 0 };
+}
+
+function addToBucket(bucket, analysis, agreed) {
+  bucket.hands++;
+  if (agreed !== null) {
+    bucket.decisions++;
+    if (agreed) bucket.agreed++;
+  }
+  if (analysis.confidence !== null && analysis.confidence !== undefined) {
+    bucket.confidenceSum += analysis.confidence;
+    bucket.confidenceCount++;
+  }
+}
+
+function summarizeBucket(bucket) {
+  return {
+    hands: bucket.hands,
+    decisions: bucket.decisions,
+    accuracy: bucket.decisions ? Math.round(bucket.agreed / bucket.decisions * 100) : null,
+    avgConfidence: bucket.confidenceCount ? Math.round(bucket.confidenceSum / bucket.confidenceCount) : null
+  };
+}
+
+/**
+ * Whether hero's recorded action played the recommended line
+ * @returns {boolean|null} null when hero's action or the recommendation is unknown
+ */
+function agreedWithRecommendation(analysis) {
+  const heroAction = analysis.handState && analysis.handState.heroAction;
+  const recommendedLine = actionLine(analysis.recommendedAction);
+  if (!heroAction || !heroAction.action || !recommendedLine) {
+    return null;
+  }
+  return actionLine(heroAction.action) === recommendedLine;
+}
+
+/**
+ * Cash-game win rate from hands with a recorded result (imported hand histories)
+ * @returns {{bbPer100: number|null, hands: number}}
+ */
+function measureWinRate(analyses) {
+  const results = analyses
+    .filter(analysis => analysis.gameFormat === 'cash')
+    .map(analysis => analysis.handState && analysis.handState.result)
+    .filter(result => result && result.netBb !== null && result.netBb !== undefined);
+  if (!results.length) {
+    return { bbPer100: null, hands: 0 };
+  }
+  const totalBb = results.reduce((sum, result) => sum + result.netBb, 0);
+  return { bbPer100: Math.round(totalBb / results.length * 1000) / 10, hands: results.length };
+}
+
+/**
+ * Accuracy by seat, street and recommended action type, overall decision
+ * accuracy and the measured win rate
+ * @param {Array<Object>} analyses - PokerAnalysis documents
+ * @returns {Object}
+ */
+function summarizeDecisionStats(analyses) {
+  const overall = newBucket();
+  const byPosition = {};
+  const byStreet = {};
+  const byAction = {};
+  let withoutPosition = 0;
+
+  for (const analysis of analyses) {
+    const agreed = agreedWithRecommendation(analysis);
+    const state = analysis.handState || {};
+    addToBucket(overall, analysis, agreed);
+
+    if (state.heroPosition) {
+      addToBucket(byPosition[state.heroPosition] = byPosition[state.heroPosition] || newBucket(), analysis, agreed);
+    } else {
+      withoutPosition++;
+    }
+    if (state.street) {
+      addToBucket(byStreet[state.street] = byStreet[state.street] || newBucket(), analysis, agreed);
+    }
+    const action = normalizeActionType(analysis.recommendedAction);
+    if (action) {
+      addToBucket(byAction[action] = byAction[action] || newBucket(), analysis, agreed);
+    }
+  }
+
+  const known = POSITIONS.filter(position => byPosition[position.code]);
+  const others = Object.keys(byPosition)
+    .filter(code => !POSITIONS.some(position => position.code === code))
+    .sort()
+    .map(code => ({ code, name: code, color: OTHER_POSITION_COLOR }));
+  const positionStats = known.concat(others).map(position => ({
+    position: position.name,
+    code: position.code,
+    color: position.color,
+    ...summarizeBucket(byPosition[position.code])
+  }));
+
+  const streetStats = STREETS
+    .filter(street => byStreet[street])
+    .map(street => ({ street, ...summarizeBucket(byStreet[street]) }));
+
+  const actionStats = ACTION_TYPES
+    .filter(action => byAction[action])
+    .map(action => ({ action, ...summarizeBucket(byAction[action]) }));
+
+  const { accuracy, decisions } = summarizeBucket(overall);
+  return {
+    decisionAccuracy: accuracy,
+    decisionsRecorded: decisions,
+    positionStats,
+    handsWithoutPosition: withoutPosition,
+    streetStats,
+    actionStats,
+    winRate: measureWinRate(analyses)
+  };
+}
+
+module.exports = {
+  summarizeDecisionStats
+};
@@ -0,0 +1,504 @@
+const { parseCards, buildDeck } = require('../utils/cards');
+const { evaluateHand, describeScore } = require('../utils/handEvaluator');
+const { parseAmount } = require('../utils/amounts');
+const { canonicalPosition, normalizeActionType, streetFromBoard, streetCommitments } = require('../utils/handState');
+const { expandHandClass } = require('../utils/ranges');
+
+// Enumerate every runout when there are at most this many outcomes, otherwise sample
+const EXHAUSTIVE_LIMIT = 100000;
+const DEFAULT_ITERATIONS = 10000;
+
+/**
+ * Small seeded PRNG (mulberry32) so sampled equities can be reproduced
+ */
+function createRng(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Number of ways to choose k items out of n
+ */
+function combinations(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return Math.round(result);
+}
+
+/**
+ * Call fn with every k-sized subset of items
+ */
+function forEachCombination(items, k, fn, start = 0, current = []) {
+  if (current.length === k) {
+    fn(current);
+    return;
+  }
+  for (let i = start; i <= items.length - (k - current.length); i++) {
+    current.push(items[i]);
+    forEachCombination(items, k, fn, i + 1, current);
+    current.pop();
+  }
+}
+
+/**
+ * Score one showdown and add hero's share of the pot to the tally
+ */
+function tallyShowdown(tally, heroCards, opponentHands, board) {
+  const heroScore = evaluateHand(heroCards.concat(board));
+  let bestOpponent = -1;
+  let tiedOpponents = 0;
+
+  for (const hand of opponentHands) {
+    const score = evaluateHand(hand.concat(board));
+    if (score > bestOpponent) {
+      bestOpponent = score;
+      tiedOpponents = score === heroScore ? 1 : 0;
+    } else if (score === bestOpponent && score === heroScore) {
+      tiedOpponents++;
+    }
+  }
+
+  if (heroScore > bestOpponent) {
+    tally.win++;
+    tally.share += 1;
+  } else if (heroScore === bestOpponent) {
+    tally.tie++;
+    tally.share += 1 / (tiedOpponents + 1);
+  } else {
+    tally.lose++;
+  }
+  tally.samples++;
+}
+
+/**
+ * Calculate hero's equity against random opponent holdings
+ * @param {Object} params
+ * @param {Array<number>} params.heroCards - Hero's two hole cards
+ * @param {Array<number>} params.boardCards - 0, 3, 4 or 5 board cards
+ * @param {number} params.opponents - Number of opponents (default 1)
+ * @param {Array<number>} params.deadCards - Known cards that are out of play
+ * @param {number} params.iterations - Monte Carlo samples when enumeration is too large
+ * @param {number} params.seed - Optional seed for reproducible sampling
+ * @returns {{equity: number, win: number, tie: number, lose: number, samples: number, method: string}}
+ */
+function calculateEquity({ heroCards, boardCards = [], opponents = 1, deadCards = [], iterations = DEFAULT_ITERATIONS, seed }) {
+  if (!heroCards || heroCards.length !== 2) {
+    throw new Error('Equity calculation needs exactly two hero cards');
+  }
+  if (boardCards.length > 5 || boardCards.length === 1 || boardCards.length === 2) {
+    throw new Error(`Invalid board size: ${boardCards.length} cards`);
+  }
+  if (opponents < 1 || opponents > 9) {
+    throw new Error('Equity calculation supports 1 to 9 opponents');
+  }
+
+  const known = heroCards.concat(boardCards, deadCards);
+  if (new Set(known).size !== known.length) {
+    throw new Error('Duplicate cards in hand, board or dead cards');
+  }
+
+  const deck = buildDeck(known);
+  const boardNeeded = 5 - boardCards.length;
+  const tally = { win: 0, tie: 0, lose: 0, share: 0, samples: 0 };
+
+  const outcomes = opponents === 1
+    ? combinations(deck.length, boardNeeded) * combinations(deck.length - boardNeeded, 2)
+    : Infinity;
+
+  let method;
+  if (outcomes <= EXHAUSTIVE_LIMIT) {
+    method = 'exhaustive';
+    forEachCombination(deck, boardNeeded, runout => {
+      const board = boardCards.concat(runout);
+      const remaining = deck.filter(card => !runout.includes(card));
+      forEachCombination(remaining, 2, villain => {
+        tallyShowdown(tally, heroCards, [villain.slice()], board);
+      });
+    });
+  } else {
+    method = 'monte_carlo';
+    const rng = createRng(seed);
+    const needed = boardNeeded + opponents * 2;
+    const shuffled = deck.slice();
+
+    for (let i = 0; i < iterations; i++) {
+      // Partial Fisher-Yates: only the first `needed` positions matter
+      for (let j = 0; j < needed; j++) {
+        const k = j + Math.floor(rng() * (shuffled.length - j));
+        const tmp = shuffled[j];
+        shuffled[j] = shuffled[k];
+        shuffled[k] = tmp;
+      }
+      const board = boardCards.concat(shuffled.slice(0, boardNeeded));
+      const opponentHands = [];
+      for (let p = 0; p < opponents; p++) {
+        const offset = boardNeeded + p * 2;
+        opponentHands.push([shuffled[offset], shuffled[offset + 1]]);
+      }
+      tallyShowdown(tally, heroCards, opponentHands, board);
+    }
+  }
+
+  return {
+    equity: tally.share / tally.samples,
+    win: tally.win / tally.samples,
+    tie: tally.tie / tally.samples,
+    lose: tally.lose / tally.samples,
+    samples: tally.samples,
+    method
+  };
+}
+
+// Range-vs-range enumeration limits: hand evaluations and matchup comparisons over every runout
+const RANGE_EXHAUSTIVE_EVALUATIONS = 100000;
+const RANGE_EXHAUSTIVE_COMPARISONS = 2000000;
+// Hero x villain combo pairs above which matchups are counted and sampled instead of listed
+// (full range against full range is about 1.7M pairs)
+const RANGE_MATCHUP_LIST_LIMIT = 100000;
+
+/**
+ * Specific combos of a list of hand classes that do not use a known card
+ */
+function liveCombos(handClasses, known) {
+  const dead = new Set(known);
+  const combos = [];
+  for (const handClass of handClasses) {
+    for (const cards of expandHandClass(handClass)) {
+      if (!dead.has(cards[0]) && !dead.has(cards[1])) {
+        combos.push({ handClass, cards });
+      }
+    }
+  }
+  return combos;
+}
+
+function overlaps(a, b) {
+  return a[0] === b[0] || a[0] === b[1] || a[1] === b[0] || a[1] === b[1];
+}
+
+function comboKey(cards) {
+  return cards[0] < cards[1] ? `${cards[0]},${cards[1]}` : `${cards[1]},${cards[0]}`;
+}
+
+/**
+ * Number of hero/villain combo pairs without a shared card, without listing them:
+ * all pairs, minus those sharing a card, plus the identical combos that were
+ * subtracted once for each of their two cards
+ */
+function countMatchups(heroCombos, villainCombos) {
+  const heroCards = new Array(52).fill(0);
+  const villainCards = new Array(52).fill(0);
+  heroCombos.forEach(combo => combo.cards.forEach(card => { heroCards[card]++; }));
+  villainCombos.forEach(combo => combo.cards.forEach(card => { villainCards[card]++; }));
+  const sharingCard = heroCards.reduce((sum, count, card) => sum + count * villainCards[card], 0);
+  const heroKeys = new Set(heroCombos.map(combo => comboKey(combo.cards)));
+  const identical = villainCombos.filter(combo => heroKeys.has(comboKey(combo.cards))).length;
+  return heroCombos.length * villainCombos.length - sharingCard + identical;
+}
+
+/**
+ * Add one showdown to both players' totals and their hand classes
+ */
+function tallyRangeShowdown(tallies, hero, villain, heroScore, villainScore) {
+  const heroResult = heroScore > villainScore ? 'win' : (heroScore === villainScore ? 'tie' : 'lose');
+  const villainResult = heroResult === 'win' ? 'lose' : (heroResult === 'lose' ? 'win' : 'tie');
+  for (const [tally, result] of [
+    [tallies.hero, heroResult],
+    [tallies.villain, villainResult],
+    [tallies.heroClasses[hero.handClass], heroResult],
+    [tallies.villainClasses[villain.handClass], villainResult]
+  ]) {
+    tally[result]++;
+    tally.samples++;
+  }
+}
+
+function emptyTally() {
+  return { win: 0, tie: 0, lose: 0, samples: 0 };
+}
+
+function percent(value) {
+  return Math.round(value * 1000) / 10;
+}
+
+function summarizeTally(tally) {
+  if (!tally.samples) {
+    return { equity: null, win: null, tie: null };
+  }
+  return {
+    equity: percent((tally.win + tally.tie / 2) / tally.samples),
+    win: percent(tally.win / tally.samples),
+    tie: percent(tally.tie / tally.samples)
+  };
+}
+
+/**
+ * Equity of one range against another, with a breakdown per hand class.
+ * Every deal (hero combo, villain combo, runout) without shared cards is
+ * equally likely. Small spots are enumerated; larger ones are sampled.
+ * @param {Object} params
+ * @param {Array<string>} params.heroRange - Hero's hand classes (parseRange output)
+ * @param {Array<string>} params.villainRange - Villain's hand classes
+ * @param {Array<number>} params.boardCards - 0, 3, 4 or 5 board cards
+ * @param {Array<number>} params.deadCards - Known cards that are out of play
+ * @param {number} params.iterations - Monte Carlo samples when enumeration is too large
+ * @param {number} params.seed - Seed for sampling; a random one is drawn and returned when omitted
+ * @returns {Object} Equity, win and tie percentages for both ranges, per-class breakdowns,
+ *   samples, method and the seed used
+ */
+function calculateRangeEquity({ heroRange, villainRange, boardCards = [], deadCards = [], iterations = DEFAULT_ITERATIONS, seed }) {
+  if (boardCards.length > 5 || boardCards.length === 1 || boardCards.length === 2) {
+    throw new Error(`Invalid board size: ${boardCards.length} cards`);
+  }
+  const known = boardCards.concat(deadCards);
+  if (new Set(known).size !== known.length) {
+    throw new Error('Duplicate cards in board or dead cards');
+  }
+
+  const heroCombos = liveCombos(heroRange, known);
+  const villainCombos = liveCombos(villainRange, known);
+  if (!heroCombos.length || !villainCombos.length) {
+    throw new Error(`${heroCombos.length ? 'Villain' : 'Hero'} range has no combos left after removing the board and dead cards`);
+  }
+
+  const matchupCount = countMatchups(heroCombos, villainCombos);
+  if (!matchupCount) {
+    throw new Error('The ranges have no combos that can be dealt against each other');
+  }
+  let matchups = null;
+  if (heroCombos.length * villainCombos.length <= RANGE_MATCHUP_LIST_LIMIT) {
+    matchups = [];
+    for (const hero of heroCombos) {
+      for (const villain of villainCombos) {
+        if (!overlaps(hero.cards, villain.cards)) {
+          matchups.push([hero, villain]);
+        }
+      }
+    }
+  }
+
+  const tallies = { hero: emptyTally(), villain: emptyTally(), heroClasses: {}, villainClasses: {} };
+  heroCombos.forEach(combo => { tallies.heroClasses[combo.handClass] = emptyTally(); });
+  villainCombos.forEach(combo => { tallies.villainClasses[combo.handClass] = emptyTally(); });
+
+  const deck = buildDeck(known);
+  const boardNeeded = 5 - boardCards.length;
+  const runouts = combinations(deck.length, boardNeeded);
+
+  let method;
+  let usedSeed = null;
+  if (matchups && runouts * (heroCombos.length + villainCombos.length) <= RANGE_EXHAUSTIVE_EVALUATIONS &&
+    runouts * matchupCount <= RANGE_EXHAUSTIVE_COMPARISONS) {
+    method = 'exhaustive';
+    // Score each combo once per runout, then compare every matchup that avoids it
+    forEachCombination(deck, boardNeeded, runout => {
+      const board = boardCards.concat(runout);
+      const blocked = new Set(runout);
+      const scores = new Map();
+      const scoreOf = combo => {
+        if (!scores.has(combo)) {
+          scores.set(combo, evaluateHand(combo.cards.concat(board)));
+        }
+        return scores.get(combo);
+      };
+      for (const [hero, villain] of matchups) {
+        if (blocked.has(hero.cards[0]) || blocked.has(hero.cards[1]) ||
+          blocked.has(villain.cards[0]) || blocked.has(villain.cards[1])) {
+          continue;
+        }
+        tallyRangeShowdown(tallies, hero, villain, scoreOf(hero), scoreOf(villain));
+      }
+    });
+  } else {
+    method = 'monte_carlo';
+    usedSeed = seed === undefined || seed === null ? Math.floor(Math.random() * 4294967296) : seed >>> 0;
+    const rng = createRng(usedSeed);
+    // Uniform pairs with shared cards redrawn are uniform over the matchups
+    const pickMatchup = matchups
+      ? () => matchups[Math.floor(rng() * matchups.length)]
+      : () => {
+        for (;;) {
+          const hero = heroCombos[Math.floor(rng() * heroCombos.length)];
+          const villain = villainCombos[Math.floor(rng() * villainCombos.length)];
+          if (!overlaps(hero.cards, villain.cards)) {
+            return [hero, villain];
+          }
+        }
+      };
+
+    for (let i = 0; i < iterations; i++) {
+      const [hero, villain] = pickMatchup();
+      const live = deck.filter(card => !hero.cards.includes(card) && !villain.cards.includes(card));
+      // Partial Fisher-Yates over the cards still to come
+      for (let j = 0; j < boardNeeded; j++) {
+        const k = j + Math.floor(rng() * (live.length - j));
+        const tmp = live[j];
+        live[j] = live[k];
+        live[k] = tmp;
+      }
+      const board = boardCards.concat(live.slice(0, boardNeeded));
+      tallyRangeShowdown(tallies, hero, villain, evaluateHand(hero.cards.concat(board)), evaluateHand(villain.cards.concat(board)));
+    }
+  }
+
+  const breakdown = (classTallies, combos) => Object.entries(classTallies).map(([handClass, tally]) => ({
+    handClass,
+    combos: combos.filter(combo => combo.handClass === handClass).length,
+    ...summarizeTally(tally)
+  }));
+
+  return {
+    hero: { ...summarizeTally(tallies.hero), combos: heroCombos.length },
+    villain: { ...summarizeTally(tallies.villain), combos: villainCombos.length },
+    breakdown: {
+      hero: breakdown(tallies.heroClasses, heroCombos),
+      villain: breakdown(tallies.villainClasses, villainCombos)
+    },
+    matchups: matchupCount,
+    samples: tallies.hero.samples,
+    method,
+    seed: usedSeed
+  };
+}
+
+/**
+ * Pick an action from equity and the price hero is being offered
+ * @param {Object} params
+ * @param {number} params.equity - Hero equity, 0-1
+ * @param {number} params.opponents - Number of opponents still in the hand
+ * @param {number|null} params.pot - Current pot size
+ * @param {number|null} params.toCall - Amount hero has to call (0 or null when checked to)
+ * @returns {{action: string, breakEven: number, reasoning: string}}
+ */
+function recommendAction({ equity, opponents = 1, pot = null, toCall = null }) {
+  const fairShare = 1 / (opponents + 1);
+  // Value range starts well above a fair share of the pot
+  const valueThreshold = Math.min(0.85, fairShare + 0.15);
+
+  if (toCall && toCall > 0) {
+    const breakEven = pot ? toCall / (pot + toCall) : fairShare;
+    if (equity >= valueThreshold && equity > breakEven) {
+      return {
+        action: 'RAISE',
+        breakEven,
+        reasoning: `Equity ${(equity * 100).toFixed(1)}% is well ahead of opponents' ranges; raise for value`
+      };
+    }
+    if (equity >= breakEven) {
+      return {
+        action: 'CALL',
+        breakEven,
+        reasoning: `Equity ${(equity * 100).toFixed(1)}% beats the ${(breakEven * 100).toFixed(1)}% needed to call`
+      };
+    }
+    return {
+      action: 'FOLD',
+      breakEven,
+      reasoning: `Equity ${(equity * 100).toFixed(1)}% is below the ${(breakEven * 100).toFixed(1)}% needed to call`
+    };
+  }
+
+  if (equity >= valueThreshold) {
+    return {
+      action: 'BET',
+      breakEven: fairShare,
+      reasoning: `Equity ${(equity * 100).toFixed(1)}% is well above a fair share; bet for value`
+    };
+  }
+  return {
+    action: 'CHECK',
+    breakEven: fairShare,
+    reasoning: `Equity ${(equity * 100).toFixed(1)}% does not justify building the pot`
+  };
+}
+
+/**
+ * Opponents still in the hand, from the seats in the read minus hero and folded seats
+ */
+function countOpponents(handResult) {
+  const seats = handResult.stacks ? Object.keys(handResult.stacks) : [];
+  const folded = new Set(
+    (handResult.actions || [])
+      .filter(entry => typeof entry.action === 'string' && /fold/i.test(entry.action))
+      .map(entry => String(entry.seat))
+  );
+  const active = seats.filter(seat => !folded.has(String(seat))).length;
+  return Math.min(9, Math.max(1, active - 1));
+}
+
+/**
+ * Amount hero faces: the largest street commitment minus hero's own, so a
+ * raise hero already put chips in for only costs the difference. Actions
+ * tagged with an earlier street (hand histories, hand sessions) are ignored.
+ */
+function amountToCall(handResult, street) {
+  const streetActions = (handResult.actions || [])
+    .filter(entry => !entry.street || entry.street === street)
+    .map(entry => ({
+      position: canonicalPosition(entry.seat),
+      action: normalizeActionType(entry.action),
+      amount: parseAmount(entry.amount)
+    }))
+    .filter(entry => entry.action);
+  const committed = streetCommitments(streetActions, street, parseAmount(handResult.big_blind));
+  const amounts = Object.values(committed);
+  if (!amounts.length) {
+    return null;
+  }
+  const heroCommitted = committed[canonicalPosition(handResult.hero_position)] || 0;
+  return Math.max(0, Math.max(...amounts) - heroCommitted);
+}
+
+/**
+ * Run the local engine on a parsed hand (hero_card / board_card / pot / actions)
+ * @param {Object} handResult - Parsed table read in the analysis JSON shape
+ * @param {Object} options - Passed through to calculateEquity (iterations, seed)
+ * @returns {Object} Equity breakdown and a recommended action
+ */
+function analyzeHand(handResult, options = {}) {
+  const heroCards = parseCards(handResult.hero_card);
+  const boardCards = parseCards(handResult.board_card);
+  const opponents = options.opponents || countOpponents(handResult);
+
+  const equityResult = calculateEquity({ heroCards, boardCards, opponents, ...options });
+  const pot = parseAmount(handResult.pot);
+  const toCall = amountToCall(handResult, streetFromBoard(boardCards));
+  const recommendation = recommendAction({ equity: equityResult.equity, opponents, pot, toCall });
+
+  const handStrength = boardCards.length >= 3
+    ? describeScore(evaluateHand(heroCards.concat(boardCards)))
+    : null;
+
+  return {
+    equity: Math.round(equityResult.equity * 1000) / 10,
+    win: Math.round(equityResult.win * 1000) / 10,
+    tie: Math.round(equityResult.tie * 1000) / 10,
+    samples: equityResult.samples,
+    method: equityResult.method,
+    opponents,
+    potOdds: recommendation.breakEven !== null ? Math.round(recommendation.breakEven * 1000) / 10 : null,
+    handStrength,
+    recommendedAction: recommendation.action,
+    reasoning: recommendation.reasoning
+  };
+}
+
+module.exports = {
+  calculateEquity,
+  calculateRangeEquity,
+  recommendAction,
+  analyzeHand,
+  createRng
+};
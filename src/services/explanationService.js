@@ -0,0 +1,401 @@
+const { normalizeActionType } = require('../utils/handState');
+
+/**
+ * Explanation of a recommendation written for the user's level, from the
+ * numbers the engines produced (charts, equity, sizing, board and holding).
+ *
+ * Beginners get plain sentences and a glossary of the terms used; intermediate
+ * players the same sentences without the glossary; advanced players compact
+ * sentences with frequencies; experts terse range/frequency notes. Points on
+ * the user's focus areas come first, and some points are only written for users
+ * who focus on them. The explanation is stored with the level it was written
+ * for, so history reads the same after the user changes preferences.
+ */
+
+// Same values as User.preferences
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const FOCUS_AREAS = ['preflop', 'flop', 'turn', 'river', 'bluffing', 'value_betting', 'position', 'stack_sizes'];
+const DEFAULT_LEVEL = 'advanced';
+
+// How each level is written
+const REGISTERS = {
+  beginner: 'plain',
+  intermediate: 'plain',
+  advanced: 'standard',
+  expert: 'terse'
+};
+
+const GLOSSARY = {
+  'big blind (bb)': 'the larger forced bet; stacks and bets are measured in big blinds',
+  range: 'all the hands a player could hold in this spot, given how they played',
+  equity: 'how often your hand would win if all the cards were dealt out, counting ties as half',
+  'pot odds': 'the share of the final pot you pay to call; a call breaks even when your equity matches it',
+  'preflop chart': 'a table of which hands to play from each seat, built from solver ranges',
+  'push/fold': 'a short-stack strategy where the only options are going all-in or folding',
+  ICM: 'the Independent Chip Model, which converts tournament chips into a share of the prize pool',
+  'board texture': 'how the community cards fit together: wet boards allow many draws, dry boards few',
+  kicker: 'your unpaired card, which decides between hands with the same pair',
+  'minimum defence frequency (MDF)': 'how often a player must continue against a bet so that bluffs do not profit automatically',
+  'effective stack': 'the smaller of your stack and the largest opposing stack: the most that can be won or lost',
+  'stack-to-pot ratio (SPR)': 'the effective stack divided by the pot; the lower it is, the more committed you are',
+  position: 'where you sit relative to the button; players acting later see more before they decide'
+};
+
+// Seat name, and how to say hero sits there
+const POSITION_NAMES = {
+  UTG: ['under the gun', 'under the gun'],
+  'UTG+1': ['UTG+1', 'in UTG+1'],
+  'UTG+2': ['UTG+2', 'in UTG+2'],
+  MP: ['middle position', 'in middle position'],
+  LJ: ['the lojack', 'in the lojack'],
+  HJ: ['the hijack', 'in the hijack'],
+  CO: ['the cutoff', 'in the cutoff'],
+  BTN: ['the button', 'on the button'],
+  SB: ['the small blind', 'in the small blind'],
+  BB: ['the big blind', 'in the big blind']
+};
+
+const POSITION_NOTES = {
+  BTN: {
+    plain: 'You act last on every street after the flop and see what your opponents do before you decide.',
+    terse: 'IP vs the field postflop, widest range'
+  },
+  CO: {
+    plain: 'Only the button and the blinds act after you, so you can play more hands than the early seats.',
+    terse: 'late position, wide range'
+  },
+  SB: {
+    plain: 'Half a big blind is already in, but you act first after the flop, so play fewer hands than it seems.',
+    terse: 'OOP vs all postflop'
+  },
+  BB: {
+    plain: 'A full big blind is already in, so calling is cheap, but you act early after the flop.',
+    terse: 'closing preflop action, OOP postflop'
+  }
+};
+const EARLY_POSITION_NOTE = {
+  plain: 'Most of the table acts after you, so you need a stronger hand to play.',
+  terse: 'early position, tight range'
+};
+
+const HOLDINGS = {
+  'straight-flush': ['a straight flush', 'five cards in a row of one suit'],
+  quads: ['four of a kind', null],
+  'full-house': ['a full house', 'three of a kind plus a pair'],
+  flush: ['a flush', 'five cards of one suit'],
+  straight: ['a straight', 'five cards in a row'],
+  set: ['a set', 'three of a kind made with a pocket pair'],
+  trips: ['trips', 'three of a kind using a pair on the board'],
+  'two-pair': ['two pair', 'both your cards paired with the board'],
+  overpair: ['an overpair', 'a pocket pair higher than every board card'],
+  'top-pair': ['top pair', 'one of your cards matches the highest board card'],
+  'middle-pair': ['middle pair', 'a pair below the highest board card'],
+  'bottom-pair': ['bottom pair', 'a pair with the lowest board card'],
+  underpair: ['an underpair', 'a pocket pair below every board card'],
+  'combo-draw': ['a combo draw', 'a flush draw and a straight draw at once'],
+  'flush-draw': ['a flush draw', 'four cards of one suit; one more makes a flush'],
+  'straight-draw': ['a straight draw', 'one card away from a straight'],
+  overcards: ['two overcards', 'both your cards are higher than every board card'],
+  air: ['no pair and no draw', null]
+};
+// Made hands strong enough to bet for value against a calling range
+const VALUE_HOLDINGS = ['straight-flush', 'quads', 'full-house', 'flush', 'straight', 'set', 'trips', 'two-pair', 'overpair', 'top-pair'];
+const BLUFF_HOLDINGS = ['combo-draw', 'flush-draw', 'straight-draw', 'overcards', 'air'];
+const AGGRESSIVE_ACTIONS = ['bet', 'raise', 'allin'];
+
+const CHART_NAMES = {
+  open: 'opening range',
+  vsOpen: 'range against a raise',
+  vsThreeBet: 'range against a 3-bet'
+};
+
+/**
+ * Level and focus areas from a user's preferences; anonymous users get the defaults
+ * @param {Object|null} user - User
+ * @returns {{level: string, focusAreas: Array<string>}}
+ */
+function explanationPreferences(user) {
+  const preferences = (user && user.preferences) || {};
+  return {
+    level: DIFFICULTY_LEVELS.includes(preferences.difficultyLevel) ? preferences.difficultyLevel : DEFAULT_LEVEL,
+    focusAreas: [...(preferences.focusAreas || [])].filter(area => FOCUS_AREAS.includes(area))
+  };
+}
+
+/**
+ * Amount in big blinds when the big blind is known, in chips otherwise
+ */
+function formatAmount(amount, amountBb) {
+  if (amountBb !== null && amountBb !== undefined) {
+    return `${amountBb}bb`;
+  }
+  return amount !== null && amount !== undefined ? String(amount) : null;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function holdingText(holding, register, define) {
+  const [name, meaning] = HOLDINGS[holding.holding] || [holding.holding, null];
+  const kicker = holding.madeHand === 'top-pair' && holding.kicker ? ` with a ${holding.kicker} kicker` : '';
+  if (register === 'terse') {
+    return holding.labels.join(', ');
+  }
+  return `${name}${kicker}${define && meaning ? ` (${meaning})` : ''}`;
+}
+
+function decisionPoint({ recommendedAction, handState, register }) {
+  const cards = (handState.heroCards || []).join('');
+  const seat = handState.heroPosition;
+  const street = handState.street || 'preflop';
+  const when = street === 'preflop' ? 'preflop' : `on the ${street}`;
+  if (register === 'terse') {
+    return { text: `${[seat, cards, street].filter(Boolean).join(' ')}: ${recommendedAction}.`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `${recommendedAction} with ${cards || 'this hand'}${seat ? ` from ${seat}` : ''} ${when}.`, terms: [] };
+  }
+  const where = seat ? ` ${POSITION_NAMES[seat] ? POSITION_NAMES[seat][1] : `in ${seat}`} (${seat})` : '';
+  return { text: `The recommended play is ${recommendedAction}. You hold ${cards || 'your cards'}${where} ${when}.`, terms: seat ? ['position'] : [] };
+}
+
+function preflopPoint({ preflopChart, register }) {
+  const range = CHART_NAMES[preflopChart.chart] || 'range';
+  if (register === 'terse') {
+    return { text: `${preflopChart.handClass} ${preflopChart.position} ${preflopChart.stackDepth}, ${range}: ${preflopChart.action}.`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `Chart (${range}, ${preflopChart.stackDepth}): ${preflopChart.reasoning}.`, terms: [] };
+  }
+  return {
+    text: `The preflop chart for ${preflopChart.stackDepth} stacks says ${preflopChart.reasoning}. Following the chart avoids the most costly preflop mistakes.`,
+    terms: ['preflop chart', 'range', 'big blind (bb)']
+  };
+}
+
+function pushFoldPoint({ pushFold, register }) {
+  const [allIn, fold] = pushFold.options;
+  if (register === 'terse') {
+    return { text: `Nash ${pushFold.effectiveStack}bb eff: ${pushFold.action} (ICM ${allIn.icmEquity}% vs ${fold.icmEquity}%).`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `Push/fold at ${pushFold.effectiveStack}bb effective: all-in keeps ${allIn.icmEquity}% of the prize pool, folding ${fold.icmEquity}%.`, terms: [] };
+  }
+  return {
+    text: `With ${pushFold.effectiveStack} big blinds, the best tournament strategy is to go all-in or fold. Going all-in is worth ${allIn.icmEquity}% of the prize pool on average, folding ${fold.icmEquity}%.`,
+    terms: ['push/fold', 'ICM', 'effective stack']
+  };
+}
+
+function equityPoint({ action, equity, betSizing, localAnalysis, register }) {
+  const potOdds = betSizing && betSizing.potOdds !== null ? betSizing.potOdds : localAnalysis.potOdds;
+  if (register === 'terse') {
+    return { text: `EQ ${equity}%${potOdds !== null ? ` vs ${potOdds}% BE` : ''}.`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `Equity ${equity}% against ${localAnalysis.opponents || 1} opponent range(s)${potOdds !== null ? `; a call needs ${potOdds}%` : ''}.`, terms: [] };
+  }
+  let text = `Against the hands your opponents are likely to hold, you win about ${Math.round(equity)}% of the time.`;
+  const terms = ['equity', 'range'];
+  // The price of a call only matters when calling or folding is the question
+  if (potOdds !== null && betSizing && betSizing.toCall > 0 && ['call', 'fold'].includes(action)) {
+    const toCall = formatAmount(betSizing.toCall, betSizing.toCallBb);
+    const pot = formatAmount(betSizing.pot, betSizing.potBb);
+    text += ` Calling costs ${toCall} to win a pot of ${pot}, so you need ${potOdds}% to break even: ${equity >= potOdds ? 'you have enough' : 'you are short of that'}.`;
+    terms.push('pot odds');
+  }
+  return { text, terms };
+}
+
+function holdingPoint({ heroHolding, boardTexture, register, define }) {
+  if (register === 'terse') {
+    return { text: `${holdingText(heroHolding, register)} on ${boardTexture.labels.join(', ')}.`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `${capitalize(holdingText(heroHolding, register))} on a ${boardTexture.wetness}, ${boardTexture.suits} board; the nuts is ${boardTexture.nuts.toLowerCase()}.`, terms: [] };
+  }
+  const board = boardTexture.wetness === 'wet'
+    ? 'many straight and flush draws are possible, so made hands want to bet and draws have good reasons to continue'
+    : boardTexture.wetness === 'dry'
+      ? 'few draws are possible, so hand strengths change little on later cards'
+      : 'some draws are possible';
+  return {
+    text: `You have ${holdingText(heroHolding, register, define)}. The board is ${boardTexture.wetness}: ${board}.`,
+    terms: ['board texture'].concat(heroHolding.madeHand === 'top-pair' && heroHolding.kicker ? ['kicker'] : [])
+  };
+}
+
+function sizingPoint({ size, street, register }) {
+  const amount = formatAmount(size.amount, size.amountBb);
+  const share = Math.round(size.fractionOfPot * 100);
+  // Preflop sizes follow the blinds, not the pot
+  if (street === 'preflop') {
+    return { text: register === 'plain' ? `Make it ${amount}.` : `${size.label} to ${amount}.`, terms: [] };
+  }
+  if (register === 'terse') {
+    return { text: `${size.label} ${amount} (${share}% pot): bluff BE ${size.bluffBreakEven}%, villain MDF ${size.opponentMdf}%.`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `${size.label} to ${amount} (${share}% of the pot): a bluff needs ${size.bluffBreakEven}% folds, the opponent must defend ${size.opponentMdf}%.`, terms: [] };
+  }
+  return {
+    text: `Make it ${amount}, about ${share}% of the pot. A bluff of this size wins if your opponent folds more than ${size.bluffBreakEven}% of the time, so they need to continue ${size.opponentMdf}% of the time.`,
+    terms: ['minimum defence frequency (MDF)']
+  };
+}
+
+function bluffingPoint({ action, heroHolding, betSizing, handState, register }) {
+  if (AGGRESSIVE_ACTIONS.includes(action) && heroHolding && BLUFF_HOLDINGS.includes(heroHolding.holding)) {
+    const draw = heroHolding.holding !== 'air';
+    if (register === 'terse') {
+      return { text: draw ? 'Semi-bluff: fold equity + outs.' : 'Pure bluff: needs folds.', terms: [] };
+    }
+    return {
+      text: draw
+        ? 'This is a semi-bluff: you win when your opponent folds, and you can still improve when called.'
+        : 'This is a bluff: it only wins when your opponent folds, so pick boards and sizes they cannot call often.',
+      terms: []
+    };
+  }
+  // Preflop, the blinds are not a bet to defend against
+  if (handState.street !== 'preflop' && betSizing && betSizing.toCall > 0 && betSizing.mdf !== null) {
+    if (register === 'terse') {
+      return { text: `Facing a bet: defend ${betSizing.mdf}% of range.`, terms: [] };
+    }
+    return {
+      text: `Against this bet you should continue with about ${betSizing.mdf}% of your range; fold more and their bluffs profit automatically.`,
+      terms: ['minimum defence frequency (MDF)', 'range']
+    };
+  }
+  return null;
+}
+
+function valuePoint({ action, heroHolding, register }) {
+  if (!AGGRESSIVE_ACTIONS.includes(action) || !heroHolding || !VALUE_HOLDINGS.includes(heroHolding.holding)) {
+    return null;
+  }
+  const name = HOLDINGS[heroHolding.holding][0];
+  if (register === 'terse') {
+    return { text: `Value: ${heroHolding.holding}.`, terms: [] };
+  }
+  return {
+    text: `${capitalize(name)} is strong enough to bet for value: worse hands can call, so size it where they still do.`,
+    terms: []
+  };
+}
+
+function stackPoint({ betSizing, handState, register }) {
+  const effective = formatAmount(betSizing.effectiveStack, betSizing.effectiveStackBb);
+  // Before the flop the pot is only the blinds, so the ratio says little
+  if (handState.street === 'preflop') {
+    if (register === 'plain') {
+      return { text: `The effective stack is ${effective}: the most you can win or lose in this hand.`, terms: ['effective stack'] };
+    }
+    return { text: register === 'terse' ? `${effective} eff.` : `Effective stack ${effective}.`, terms: [] };
+  }
+  if (register === 'terse') {
+    return { text: `SPR ${betSizing.spr}, ${effective} eff.`, terms: [] };
+  }
+  if (register === 'standard') {
+    return { text: `Effective stack ${effective}, SPR ${betSizing.spr}.`, terms: [] };
+  }
+  const committed = betSizing.spr < 3
+    ? 'With less than three pots behind, a good pair is usually worth all your chips.'
+    : 'With several pots behind, a single pair is rarely worth all your chips.';
+  return {
+    text: `The effective stack is ${effective}, ${betSizing.spr} times the pot. ${committed}`,
+    terms: ['effective stack', 'stack-to-pot ratio (SPR)']
+  };
+}
+
+function positionPoint({ handState, register }) {
+  const seat = handState.heroPosition;
+  const note = POSITION_NOTES[seat] || EARLY_POSITION_NOTE;
+  if (register === 'terse') {
+    return { text: `${seat}: ${note.terse}.`, terms: [] };
+  }
+  return { text: `From ${POSITION_NAMES[seat] ? POSITION_NAMES[seat][0] : seat}: ${note.plain}`, terms: ['position'] };
+}
+
+/**
+ * Explain an analysis for a level and focus areas
+ * @param {Object} analysis - Analysis fields (recommendedAction, equity, localAnalysis, preflopChart,
+ *   pushFold, handState, betSizing, boardTexture, heroHolding)
+ * @param {Object} preferences - { level, focusAreas }, see explanationPreferences
+ * @returns {Object|null} { level, focusAreas, text, points: [{ topic, text, focus }], glossary: [{ term, definition }] },
+ *   null without a recommendation
+ */
+function explainDecision(analysis, preferences = {}) {
+  if (!analysis || !analysis.recommendedAction) {
+    return null;
+  }
+  const level = DIFFICULTY_LEVELS.includes(preferences.level) ? preferences.level : DEFAULT_LEVEL;
+  const focusAreas = (preferences.focusAreas || []).filter(area => FOCUS_AREAS.includes(area));
+  const register = REGISTERS[level];
+  const handState = analysis.handState || {};
+  const street = handState.street || 'preflop';
+  const betSizing = analysis.betSizing || null;
+  // Fields are read one by one: stored analyses are documents, which do not spread
+  const context = {
+    recommendedAction: analysis.recommendedAction,
+    action: normalizeActionType(analysis.recommendedAction),
+    equity: analysis.equity,
+    localAnalysis: analysis.localAnalysis,
+    preflopChart: analysis.preflopChart,
+    pushFold: analysis.pushFold,
+    handState,
+    betSizing,
+    boardTexture: analysis.boardTexture,
+    heroHolding: analysis.heroHolding,
+    register,
+    define: level === 'beginner'
+  };
+  const size = betSizing && betSizing.recommended && betSizing.recommended.fractionOfPot !== undefined ? betSizing.recommended : null;
+
+  // [topic, focus areas it covers, only written for users focusing on it, build]
+  const candidates = [
+    ['decision', [street], false, () => decisionPoint(context)],
+    ['push_fold', ['preflop', 'stack_sizes'], false, () => analysis.pushFold && pushFoldPoint(context)],
+    ['preflop_chart', ['preflop', 'position'], false, () => !analysis.pushFold && analysis.preflopChart && preflopPoint(context)],
+    ['equity', [street], false, () => analysis.localAnalysis && analysis.equity !== null && analysis.equity !== undefined && equityPoint(context)],
+    ['holding', [street], false, () => analysis.heroHolding && analysis.boardTexture && holdingPoint(context)],
+    ['sizing', ['bluffing', 'value_betting'], false, () => size && sizingPoint({ size, street, register })],
+    ['bluffing', ['bluffing'], true, () => bluffingPoint(context)],
+    ['value_betting', ['value_betting'], true, () => valuePoint(context)],
+    ['stack_sizes', ['stack_sizes'], true, () => !analysis.pushFold && betSizing && betSizing.spr !== null && stackPoint(context)],
+    ['position', ['position'], true, () => handState.heroPosition && positionPoint(context)]
+  ];
+
+  const points = [];
+  for (const [topic, areas, focusOnly, build] of candidates) {
+    const focus = areas.some(area => focusAreas.includes(area));
+    if (focusOnly && !focus) {
+      continue;
+    }
+    const point = build();
+    if (point) {
+      points.push({ topic, text: point.text, focus, terms: point.terms });
+    }
+  }
+
+  // The decision leads; points on the user's focus areas follow it
+  const [decision, ...rest] = points;
+  const ordered = [decision, ...rest.filter(point => point.focus), ...rest.filter(point => !point.focus)];
+  const terms = [...new Set(ordered.flatMap(point => point.terms))];
+
+  return {
+    level,
+    focusAreas,
+    text: ordered.map(point => point.text).join(' '),
+    points: ordered.map(({ topic, text, focus }) => ({ topic, text, focus })),
+    glossary: level === 'beginner' ? terms.map(term => ({ term, definition: GLOSSARY[term] })) : []
+  };
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  FOCUS_AREAS,
+  explanationPreferences,
+  explainDecision
+};
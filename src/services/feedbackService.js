@@ -0,0 +1,233 @@
+const AnalysisFeedback = require('../models/AnalysisFeedback');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { parseCards, formatCard } = require('../utils/cards');
+const { parseAmount } = require('../utils/amounts');
+const { canonicalPosition, normalizeActionType } = require('../utils/handState');
+
+const VERDICTS = ['correct', 'incorrect'];
+// Parts of the read a user can correct, in the analysis JSON shape
+const READ_FIELDS = ['hero_card', 'board_card', 'hero_position', 'pot', 'big_blind', 'stacks'];
+const BOARD_SIZES = [0, 3, 4, 5];
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * The read an analysis was made for, from its hand state
+ */
+function readOf(handState) {
+  const state = handState || {};
+  const stacks = {};
+  for (const player of state.players || []) {
+    if (player.position && player.stack !== null && player.stack !== undefined) {
+      stacks[player.position] = player.stack;
+    }
+  }
+  return {
+    hero_card: state.heroCards || [],
+    board_card: state.board || [],
+    hero_position: state.heroPosition || null,
+    pot: state.pot !== undefined ? state.pot : null,
+    big_blind: state.bigBlind !== undefined ? state.bigBlind : null,
+    stacks
+  };
+}
+
+function positiveAmount(value, field) {
+  const amount = parseAmount(value);
+  if (amount === null || amount <= 0) {
+    throw new Error(`${field} must be a positive amount`);
+  }
+  return amount;
+}
+
+/**
+ * Normalize the corrected fields of a read; throws on anything unreadable
+ */
+function normalizeCorrections(corrections) {
+  const unknown = Object.keys(corrections).filter(field => !READ_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new Error(`Unknown correction fields: ${unknown.join(', ')}. Allowed: ${READ_FIELDS.join(', ')}`);
+  }
+  if (!Object.keys(corrections).length) {
+    throw new Error('corrections must change at least one field');
+  }
+
+  const normalized = {};
+  if (corrections.hero_card !== undefined) {
+    const cards = Array.isArray(corrections.hero_card) ? parseCards(corrections.hero_card) : [];
+    if (cards.length !== 2 || corrections.hero_card.length !== 2) {
+      throw new Error('hero_card must be two cards');
+    }
+    normalized.hero_card = cards.map(formatCard);
+  }
+  if (corrections.board_card !== undefined) {
+    const cards = Array.isArray(corrections.board_card) ? parseCards(corrections.board_card) : [];
+    if (!BOARD_SIZES.includes(cards.length) || cards.length !== corrections.board_card.length) {
+      throw new Error('board_card must be 0, 3, 4 or 5 cards');
+    }
+    normalized.board_card = cards.map(formatCard);
+  }
+  if (corrections.hero_position !== undefined) {
+    const position = canonicalPosition(corrections.hero_position);
+    if (!position) {
+      throw new Error('hero_position must not be empty');
+    }
+    normalized.hero_position = position;
+  }
+  if (corrections.pot !== undefined) {
+    normalized.pot = positiveAmount(corrections.pot, 'pot');
+  }
+  if (corrections.big_blind !== undefined) {
+    normalized.big_blind = positiveAmount(corrections.big_blind, 'big_blind');
+  }
+  if (corrections.stacks !== undefined) {
+    if (!corrections.stacks || typeof corrections.stacks !== 'object' || Array.isArray(corrections.stacks)) {
+      throw new Error('stacks must be an object of position to amount');
+    }
+    normalized.stacks = {};
+    for (const [label, value] of Object.entries(corrections.stacks)) {
+      const amount = parseAmount(value);
+      if (amount === null || amount < 0) {
+        throw new Error(`Stack for ${label} must be a non-negative amount`);
+      }
+      normalized.stacks[canonicalPosition(label) || label] = amount;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Validate a feedback request body
+ * @param {Object} body - { verdict, correctAction, corrections, comment }
+ * @returns {{feedback: Object|null, error: string|null}}
+ */
+function validateFeedback(body) {
+  const { verdict = null, correctAction = null, corrections = null, comment = null } = body || {};
+
+  if (verdict !== null && !VERDICTS.includes(verdict)) {
+    return { feedback: null, error: `verdict must be one of: ${VERDICTS.join(', ')}` };
+  }
+  if (verdict === null && corrections === null) {
+    return { feedback: null, error: 'Feedback needs a verdict, corrections, or both' };
+  }
+  if (correctAction !== null) {
+    if (verdict !== 'incorrect') {
+      return { feedback: null, error: 'correctAction is only accepted with verdict "incorrect"' };
+    }
+    if (typeof correctAction !== 'string' || !normalizeActionType(correctAction)) {
+      return { feedback: null, error: 'correctAction must be an action such as FOLD, CALL or RAISE 3x' };
+    }
+  }
+  if (comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return { feedback: null, error: `comment must be text of at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  if (corrections !== null && (typeof corrections !== 'object' || Array.isArray(corrections))) {
+    return { feedback: null, error: 'corrections must be an object' };
+  }
+
+  let normalized = null;
+  if (corrections !== null) {
+    try {
+      normalized = normalizeCorrections(corrections);
+    } catch (error) {
+      return { feedback: null, error: error.message };
+    }
+  }
+
+  return {
+    feedback: {
+      verdict,
+      correctAction: correctAction ? correctAction.trim().toUpperCase() : null,
+      corrections: normalized,
+      comment: comment ? comment.trim() : null
+    },
+    error: null
+  };
+}
+
+/**
+ * Store a new version of a user's feedback on an analysis and mirror it on the analysis
+ * @param {Object} analysis - PokerAnalysis
+ * @param {string} userId
+ * @param {Object} feedback - Result of validateFeedback
+ * @returns {Promise<{feedback: Object|null, error: string|null}>} Saved AnalysisFeedback, or why the
+ *   corrected read was rejected
+ */
+async function submitFeedback(analysis, userId, feedback) {
+  const originalRead = readOf(analysis.handState);
+  // Feedback on the same analysis submitted twice at once collides on the version index
+  const latest = await AnalysisFeedback.findLatest(analysis.analysisId);
+  // Corrections build on the read as earlier versions corrected it
+  const lastCorrection = await AnalysisFeedback
+    .findOne({ analysisId: analysis.analysisId, correctedRead: { $ne: null } })
+    .sort({ version: -1 });
+  const baseRead = lastCorrection ? lastCorrection.correctedRead.toObject() : originalRead;
+  const correctedRead = feedback.corrections ? { ...baseRead, ...feedback.corrections } : null;
+
+  if (correctedRead) {
+    const cards = correctedRead.hero_card.concat(correctedRead.board_card);
+    if (new Set(cards).size !== cards.length) {
+      return { feedback: null, error: 'Corrected read has the same card twice' };
+    }
+  }
+
+  const entry = await AnalysisFeedback.create({
+    analysisId: analysis.analysisId,
+    version: latest ? latest.version + 1 : 1,
+    userId,
+    verdict: feedback.verdict,
+    correctAction: feedback.correctAction,
+    corrections: feedback.corrections,
+    originalRead,
+    correctedRead,
+    comment: feedback.comment
+  });
+
+  // A correction without a verdict keeps the verdict of earlier feedback
+  const previous = analysis.feedback || {};
+  analysis.feedback = {
+    verdict: feedback.verdict || previous.verdict || null,
+    readCorrected: Boolean(correctedRead) || Boolean(previous.readCorrected),
+    version: entry.version,
+    updatedAt: entry.createdAt
+  };
+  await analysis.save();
+
+  console.log(`📝 Feedback v${entry.version} on ${analysis.analysisId}: ${feedback.verdict || 'read correction'}`);
+  return { feedback: entry, error: null };
+}
+
+/**
+ * All versions of the feedback on an analysis, newest first
+ */
+function getFeedbackHistory(analysisId) {
+  return AnalysisFeedback.find({ analysisId }).sort({ version: -1 });
+}
+
+/**
+ * Share of rated analyses whose recommendation users confirmed
+ * @param {Object} filter - PokerAnalysis filter (e.g. { userId, gameFormat })
+ * @returns {Promise<{accuracy: number|null, rated: number, correct: number, incorrect: number, readsCorrected: number}>}
+ *   accuracy is null until an analysis has been rated
+ */
+async function getFeedbackAccuracy(filter = {}) {
+  const [correct, incorrect, readsCorrected] = await Promise.all([
+    PokerAnalysis.countDocuments({ ...filter, 'feedback.verdict': 'correct' }),
+    PokerAnalysis.countDocuments({ ...filter, 'feedback.verdict': 'incorrect' }),
+    PokerAnalysis.countDocuments({ ...filter, 'feedback.readCorrected': true })
+  ]);
+  const rated = correct + incorrect;
+  return {
+    accuracy: rated ? Math.round(correct / rated * 100) : null,
+    rated,
+    correct,
+    incorrect,
+    readsCorrected
+  };
+}
+
+module.exports = {
+  validateFeedback,
+  submitFeedback,
+  getFeedbackHistory,
+  getFeedbackAccuracy
+};
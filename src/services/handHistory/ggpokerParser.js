@@ -0,0 +1,16 @@
+const { parseStarsStyleHand, splitHands } = require('./starsFormat');
+
+// Hand IDs carry a game prefix: HD (cash), TM (tournament), RC (rush & cash)...
+const HEADER = /^Poker Hand #([A-Z]*\d+):/;
+
+/**
+ * GGPoker hand histories ("Poker Hand #HD123: Hold'em No Limit ($0.02/$0.05) ...").
+ * Same layout as PokerStars, with "*** SHOWDOWN ***" and a "Dealt to" line for every seat.
+ */
+module.exports = {
+  name: 'ggpoker',
+  site: 'GGPoker',
+  canParse: text => text.split(/\r?\n/).some(line => HEADER.test(line.trim())),
+  splitHands: text => splitHands(text, HEADER),
+  parseHand: text => parseStarsStyleHand(text, { site: 'GGPoker', header: HEADER })
+};
@@ -0,0 +1,141 @@
+const { round2 } = require('../../utils/amounts');
+const pokerstarsParser = require('./pokerstarsParser');
+const ggpokerParser = require('./ggpokerParser');
+
+const PARSERS = [pokerstarsParser, ggpokerParser];
+
+// Order of voluntary actions hero can take; blinds and antes are not decisions
+const DECISIONS = ['fold', 'check', 'call', 'bet', 'raise'];
+const BOARD_SIZE = { preflop: 0, flop: 3, turn: 4, river: 5 };
+
+/**
+ * Parser for a hand history file, or null when the format is not recognized
+ */
+function findParser(text) {
+  return PARSERS.find(parser => parser.canParse(text)) || null;
+}
+
+/**
+ * Split and parse every hand in a hand history file
+ * @param {string} text - Raw file contents
+ * @returns {{site: string|null, hands: Array<Object>, errors: Array<{index: number, error: string}>}}
+ */
+function parseHandHistories(text) {
+  const parser = findParser(text || '');
+  if (!parser) {
+    return { site: null, hands: [], errors: [] };
+  }
+
+  const hands = [];
+  const errors = [];
+  parser.splitHands(text).forEach((handText, index) => {
+    try {
+      hands.push(parser.parseHand(handText));
+    } catch (error) {
+      errors.push({ index, error: error.message });
+    }
+  });
+  return { site: parser.site, hands, errors };
+}
+
+/**
+ * Table read at hero's last decision in a parsed hand, in the same shape as a
+ * screenshot read, plus what hero actually did
+ * @param {Object} hand - Result of a parser's parseHand
+ * @returns {{read: Object, heroAction: Object}|null} null when hero never had a decision (e.g. a walk)
+ */
+function toDecisionRead(hand) {
+  if (!hand.hero || hand.heroCards.length !== 2) {
+    throw new Error('Hero hole cards not found');
+  }
+
+  let decisionIndex = -1;
+  hand.actions.forEach((entry, index) => {
+    if (entry.player === hand.hero && DECISIONS.includes(entry.action)) {
+      decisionIndex = index;
+    }
+  });
+  if (decisionIndex === -1) {
+    return null;
+  }
+
+  const decision = hand.actions[decisionIndex];
+  const prior = hand.actions.slice(0, decisionIndex);
+
+  // Chips each player has put in before the decision: antes plus each street's running total
+  const streetTotals = {};
+  const invested = {};
+  for (const entry of prior) {
+    if (entry.action === 'ante') {
+      invested[entry.player] = round2((invested[entry.player] || 0) + entry.amount);
+    } else if (entry.amount !== null) {
+      streetTotals[`${entry.street}:${entry.player}`] = { player: entry.player, amount: entry.amount };
+    }
+  }
+  for (const { player, amount } of Object.values(streetTotals)) {
+    invested[player] = round2((invested[player] || 0) + amount);
+  }
+  const pot = round2(Object.values(invested).reduce((sum, amount) => sum + amount, 0));
+
+  const heroPlayer = hand.players.find(player => player.name === hand.hero);
+  const stacks = {};
+  for (const player of hand.players) {
+    stacks[player.position || `SEAT${player.seat}`] = String(Math.max(0, round2(player.stack - (invested[player.name] || 0))));
+  }
+
+  return {
+    read: {
+      hero_card: hand.heroCards,
+      hero_position: heroPlayer ? heroPlayer.position : null,
+      board_card: hand.board.slice(0, BOARD_SIZE[decision.street] || 0),
+      pot: String(pot),
+      big_blind: hand.bigBlind,
+      stacks,
+      actions: prior
+        .filter(entry => entry.action !== 'ante' && entry.action !== 'returned')
+        .map(entry => ({
+          street: entry.street,
+          seat: entry.position,
+          action: entry.allIn ? 'allin' : entry.action,
+          amount: entry.amount
+        }))
+    },
+    heroAction: {
+      street: decision.street,
+      action: decision.allIn ? 'allin' : decision.action,
+      amount: decision.amount
+    }
+  };
+}
+
+/**
+ * Hero's net result for the whole hand: what hero collected minus antes,
+ * each street's total and uncalled bets returned
+ * @param {Object} hand - Result of a parser's parseHand
+ * @returns {number}
+ */
+function heroResult(hand) {
+  const streetTotals = {};
+  let invested = 0;
+  for (const entry of hand.actions.filter(action => action.player === hand.hero)) {
+    if (entry.action === 'ante') {
+      invested += entry.amount;
+    } else if (entry.action === 'returned') {
+      invested -= entry.amount;
+    } else if (entry.amount !== null) {
+      streetTotals[entry.street] = entry.amount;
+    }
+  }
+  invested += Object.values(streetTotals).reduce((sum, amount) => sum + amount, 0);
+
+  const collected = hand.collected
+    .filter(entry => entry.player === hand.hero)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  return round2(collected - invested);
+}
+
+module.exports = {
+  parseHandHistories,
+  toDecisionRead,
+  heroResult
+};
@@ -0,0 +1,14 @@
+const { parseStarsStyleHand, splitHands } = require('./starsFormat');
+
+const HEADER = /^PokerStars (?:Zoom |Home Game )?Hand #(\d+):/;
+
+/**
+ * PokerStars hand histories ("PokerStars Hand #123: Hold'em No Limit ($0.01/$0.02 USD) ...")
+ */
+module.exports = {
+  name: 'pokerstars',
+  site: 'PokerStars',
+  canParse: text => text.split(/\r?\n/).some(line => HEADER.test(line.trim())),
+  splitHands: text => splitHands(text, HEADER),
+  parseHand: text => parseStarsStyleHand(text, { site: 'PokerStars', header: HEADER })
+};
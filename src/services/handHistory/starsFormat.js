@@ -0,0 +1,255 @@
+const { POSITIONS_FROM_BUTTON } = require('../../config/tableLayouts');
+const { parseAmount, round2 } = require('../../utils/amounts');
+
+/**
+ * Line parser for the PokerStars-style text format. GGPoker and most other
+ * sites export the same structure with small differences, so each site
+ * parser only supplies its own header pattern.
+ */
+
+const TABLE_LINE = /^Table '(.+?)' (\d+)-max (?:\(.*?\) )?Seat #(\d+) is the button/;
+const SEAT_LINE = /^Seat (\d+): (.+?) \(([^\s)]+) in chips/;
+const DEALT_LINE = /^Dealt to (.+?) \[(.+?)\]/;
+const STREET_LINE = /^\*\*\* ([A-Z ]+?) \*\*\*(.*)$/;
+const ACTION_LINE = /^(.+?): (posts small & big blinds|posts small blind|posts big blind|posts the ante|posts straddle|folds|checks|calls|bets|raises|shows|mucks)\b\s*(.*)$/;
+const COLLECTED_LINE = /^(.+?) collected (\S+) from/;
+const UNCALLED_LINE = /^Uncalled bet \((\S+)\) returned to (.+)$/;
+const TOTAL_POT_LINE = /^Total pot (\S+)(?: .*?\| Rake (\S+))?/;
+const BLINDS = /\(\s*[^\d(]*?([\d.,]+)\s*\/\s*[^\d(]*?([\d.,]+)/;
+
+const STREET_NAMES = {
+  'HOLE CARDS': 'preflop',
+  FLOP: 'flop',
+  TURN: 'turn',
+  RIVER: 'river'
+};
+
+/**
+ * Cards listed in square brackets, e.g. "[2c 7d Js] [Qh]" → ["2c", "7d", "Js", "Qh"]
+ */
+function bracketCards(text) {
+  const cards = [];
+  for (const match of text.matchAll(/\[([^\]]*)\]/g)) {
+    cards.push(...match[1].trim().split(/\s+/).filter(Boolean));
+  }
+  return cards;
+}
+
+/**
+ * Position of every seated player, counted clockwise from the button
+ */
+function assignPositions(players, buttonSeat) {
+  const names = POSITIONS_FROM_BUTTON[players.length];
+  const ordered = [...players].sort((a, b) => a.seat - b.seat);
+  const buttonIndex = ordered.findIndex(player => player.seat >= buttonSeat);
+  const start = buttonIndex === -1 ? 0 : buttonIndex;
+  // A dead button sits on an empty seat; the next player clockwise acts as the button
+  const rotated = ordered.slice(start).concat(ordered.slice(0, start));
+  rotated.forEach((player, index) => {
+    player.position = names ? names[index] : `SEAT${player.seat}`;
+  });
+}
+
+/**
+ * Parse one hand
+ * @param {string} text - Lines of a single hand
+ * @param {Object} format - { site, header: RegExp with the hand ID in group 1 }
+ * @returns {Object} Parsed hand: players with positions, hero cards, board, actions
+ *   with running street totals, showdown and collected amounts
+ */
+function parseStarsStyleHand(text, format) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const headerMatch = lines[0] && lines[0].match(format.header);
+  if (!headerMatch) {
+    throw new Error('Missing hand header');
+  }
+
+  const blinds = lines[0].match(BLINDS);
+  const hand = {
+    site: format.site,
+    handId: headerMatch[1],
+    gameFormat: /Tournament #/i.test(lines[0]) ? 'tournament' : 'cash',
+    smallBlind: blinds ? parseAmount(blinds[1]) : null,
+    bigBlind: blinds ? parseAmount(blinds[2]) : null,
+    ante: 0,
+    tableName: null,
+    maxPlayers: null,
+    buttonSeat: null,
+    players: [],
+    hero: null,
+    heroCards: [],
+    board: [],
+    actions: [],
+    showdown: [],
+    collected: [],
+    totalPot: null,
+    rake: null
+  };
+
+  let street = null;
+  let inSummary = false;
+  let committed = {};
+  const byName = name => hand.players.find(player => player.name === name);
+
+  for (const line of lines.slice(1)) {
+    const streetMatch = line.match(STREET_LINE);
+    if (streetMatch) {
+      const name = streetMatch[1].trim();
+      if (name === 'SUMMARY') {
+        inSummary = true;
+      } else if (STREET_NAMES[name]) {
+        if (STREET_NAMES[name] !== 'preflop') {
+          committed = {};
+          hand.board = bracketCards(streetMatch[2]);
+        }
+        street = STREET_NAMES[name];
+      } else if (/SHOW ?DOWN/.test(name)) {
+        street = 'showdown';
+      }
+      continue;
+    }
+
+    if (inSummary) {
+      const totalMatch = line.match(TOTAL_POT_LINE);
+      if (totalMatch) {
+        hand.totalPot = parseAmount(totalMatch[1]);
+        hand.rake = totalMatch[2] ? parseAmount(totalMatch[2]) : null;
+      }
+      continue;
+    }
+
+    const tableMatch = line.match(TABLE_LINE);
+    if (tableMatch) {
+      hand.tableName = tableMatch[1];
+      hand.maxPlayers = parseInt(tableMatch[2]);
+      hand.buttonSeat = parseInt(tableMatch[3]);
+      continue;
+    }
+
+    const seatMatch = !street && line.match(SEAT_LINE);
+    if (seatMatch && /is sitting out/.test(line)) {
+      continue;
+    }
+    if (seatMatch) {
+      hand.players.push({
+        seat: parseInt(seatMatch[1]),
+        name: seatMatch[2],
+        stack: parseAmount(seatMatch[3]),
+        position: null
+      });
+      continue;
+    }
+
+    const dealtMatch = line.match(DEALT_LINE);
+    if (dealtMatch) {
+      hand.hero = dealtMatch[1];
+      hand.heroCards = dealtMatch[2].trim().split(/\s+/);
+      continue;
+    }
+
+    const uncalledMatch = line.match(UNCALLED_LINE);
+    if (uncalledMatch) {
+      hand.actions.push({
+        street,
+        player: uncalledMatch[2],
+        action: 'returned',
+        amount: parseAmount(uncalledMatch[1]),
+        allIn: false
+      });
+      continue;
+    }
+
+    const collectedMatch = line.match(COLLECTED_LINE);
+    if (collectedMatch) {
+      hand.collected.push({ player: collectedMatch[1], amount: parseAmount(collectedMatch[2]) });
+      continue;
+    }
+
+    const actionMatch = line.match(ACTION_LINE);
+    if (!actionMatch) {
+      continue;
+    }
+
+    const [, player, verb, rest] = actionMatch;
+    if (verb === 'shows' || verb === 'mucks') {
+      const cards = bracketCards(rest);
+      if (cards.length) {
+        hand.showdown.push({ player, cards });
+      }
+      continue;
+    }
+
+    const amounts = (rest.match(/\d[\d.,]*/g) || []).map(parseAmount);
+    const allIn = /all-in/.test(rest);
+
+    // Antes go to the pot but are not part of the preflop betting
+    if (verb === 'posts the ante') {
+      hand.ante = Math.max(hand.ante, amounts[0] || 0);
+      hand.actions.push({ street: 'preflop', player, action: 'ante', amount: amounts[0] || 0, allIn });
+      continue;
+    }
+
+    const previous = committed[player] || 0;
+    let action;
+    let amount = null;
+    if (verb.startsWith('posts')) {
+      action = 'post';
+      amount = round2(previous + (amounts[0] || 0));
+    } else if (verb === 'folds') {
+      action = 'fold';
+    } else if (verb === 'checks') {
+      action = 'check';
+    } else if (verb === 'calls') {
+      action = 'call';
+      amount = round2(previous + (amounts[0] || 0));
+    } else if (verb === 'bets') {
+      action = 'bet';
+      amount = round2(previous + (amounts[0] || 0));
+    } else {
+      // "raises 40 to 60": the street total is the last amount
+      action = 'raise';
+      amount = amounts[amounts.length - 1] || previous;
+    }
+
+    if (amount !== null) {
+      committed[player] = amount;
+    }
+    hand.actions.push({ street: street || 'preflop', player, action, amount, allIn });
+  }
+
+  if (!hand.players.length) {
+    throw new Error('No seats found');
+  }
+  if (hand.buttonSeat) {
+    assignPositions(hand.players, hand.buttonSeat);
+  }
+
+  // Positions on actions, showdown and winnings for the hand state
+  const positionOf = name => (byName(name) || {}).position || null;
+  hand.actions.forEach(entry => { entry.position = positionOf(entry.player); });
+  hand.showdown.forEach(entry => { entry.position = positionOf(entry.player); });
+  hand.collected.forEach(entry => { entry.position = positionOf(entry.player); });
+  return hand;
+}
+
+/**
+ * Split a file into hands: each starts at a header line
+ */
+function splitHands(text, header) {
+  const hands = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (header.test(line.trim())) {
+      if (current) hands.push(current.join('\n'));
+      current = [];
+    }
+    if (current) current.push(line);
+  }
+  if (current) hands.push(current.join('\n'));
+  return hands;
+}
+
+module.exports = {
+  parseStarsStyleHand,
+  splitHands
+};
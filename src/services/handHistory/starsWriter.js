@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { POSITIONS_FROM_BUTTON } = require('../../config/tableLayouts');
+const { parseCard, cardToString } = require('../../utils/cards');
+const { STREETS } = require('../../utils/handState');
+
+const STREET_HEADERS = { flop: 'FLOP', turn: 'TURN', river: 'RIVER' };
+const BOARD_SIZE = { flop: 3, turn: 4, river: 5 };
+
+function toStarsCards(cards) {
+  return (cards || []).map(card => cardToString(parseCard(card))).join(' ');
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Numeric hand number: trackers expect digits. Imported hands keep their own
+ * number, analyses from screenshots get one derived from the analysis ID.
+ */
+function handNumber(analysis) {
+  const handId = analysis.handState.handId;
+  if (handId && /\d/.test(handId)) {
+    return handId.replace(/\D/g, '');
+  }
+  return String(parseInt(crypto.createHash('md5').update(analysis.analysisId).digest('hex').slice(0, 12), 16));
+}
+
+/**
+ * Seat number per position, clockwise from the button, with the button seat
+ */
+function seatPlayers(handState) {
+  const names = POSITIONS_FROM_BUTTON[handState.players.length] || [];
+  const ordered = [...handState.players].sort((a, b) => {
+    const indexA = names.indexOf(a.position);
+    const indexB = names.indexOf(b.position);
+    return (indexA === -1 ? 99 : indexA) - (indexB === -1 ? 99 : indexB);
+  });
+  return ordered.map((player, index) => ({
+    ...player,
+    seat: index + 1,
+    name: player.hero ? 'Hero' : (player.position || `Seat${index + 1}`)
+  }));
+}
+
+/**
+ * Write one analysis with a hand state as a PokerStars-format hand history,
+ * the format hand trackers import. Streets are written up to the analyzed one,
+ * followed by hero's action when it is known.
+ * @param {Object} analysis - PokerAnalysis document
+ * @returns {string|null} Hand history text, or null when the analysis has no usable hand state
+ */
+function writeStarsHand(analysis) {
+  const handState = analysis.handState;
+  if (!handState || !handState.heroCards || handState.heroCards.length !== 2 || !handState.players.length) {
+    return null;
+  }
+
+  // Without a known big blind, amounts are written in big blinds
+  const bigBlind = handState.bigBlind || 1;
+  const inChips = (amount, amountBb) => {
+    if (handState.bigBlind && amount !== null && amount !== undefined) return amount;
+    return amountBb !== null && amountBb !== undefined ? amountBb * bigBlind : amount;
+  };
+
+  const players = seatPlayers(handState);
+  const nameOf = position => (players.find(player => player.position === position) || {}).name || position;
+  const button = players.find(player => player.position === 'BTN') || players.find(player => player.position === 'SB') || players[0];
+  const date = new Date(analysis.analysisDate || analysis.createdAt || Date.now());
+  const stamp = date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '').replace(/-/g, '/');
+
+  const lines = [
+    `PokerStars Hand #${handNumber(analysis)}: Hold'em No Limit (${formatNumber(bigBlind / 2)}/${formatNumber(bigBlind)}) - ${stamp} UTC`,
+    `Table '${handState.site || 'Analysis'}' ${Math.max(players.length, 2)}-max Seat #${button.seat} is the button`
+  ];
+  for (const player of players) {
+    const stack = inChips(player.stack, player.stackBb);
+    lines.push(`Seat ${player.seat}: ${player.name} (${formatNumber(stack || 0)} in chips)`);
+  }
+
+  const sb = players.find(player => player.position === 'SB');
+  const bb = players.find(player => player.position === 'BB');
+  if (sb) lines.push(`${sb.name}: posts small blind ${formatNumber(bigBlind / 2)}`);
+  if (bb) lines.push(`${bb.name}: posts big blind ${formatNumber(bigBlind)}`);
+  lines.push('*** HOLE CARDS ***');
+  lines.push(`Dealt to Hero [${toStarsCards(handState.heroCards)}]`);
+
+  const actions = handState.actions.filter(entry => entry.action !== 'post');
+  // Hero's own action closes the hand history
+  if (handState.heroAction && handState.heroAction.action) {
+    actions.push({ ...handState.heroAction, street: handState.street, position: handState.heroPosition });
+  }
+
+  const committed = {};
+  if (sb) committed[sb.position] = bigBlind / 2;
+  if (bb) committed[bb.position] = bigBlind;
+  let streetBet = bigBlind;
+  let pot = 0;
+  const board = handState.board || [];
+  const streets = STREETS.slice(0, STREETS.indexOf(handState.street) + 1);
+
+  for (const street of streets) {
+    if (street !== 'preflop') {
+      pot += Object.values(committed).reduce((sum, amount) => sum + amount, 0);
+      Object.keys(committed).forEach(position => delete committed[position]);
+      streetBet = 0;
+
+      const size = BOARD_SIZE[street];
+      const bracket = size === 3
+        ? `[${toStarsCards(board.slice(0, 3))}]`
+        : `[${toStarsCards(board.slice(0, size - 1))}] [${toStarsCards(board.slice(size - 1, size))}]`;
+      lines.push(`*** ${STREET_HEADERS[street]} *** ${bracket}`);
+    }
+
+    for (const entry of actions.filter(action => action.street === street)) {
+      const name = nameOf(entry.position);
+      const already = committed[entry.position] || 0;
+      const allIn = entry.action === 'allin' ? ' and is all-in' : '';
+      let total = inChips(entry.amount, entry.amountBb) || 0;
+
+      if (entry.action === 'fold') {
+        lines.push(`${name}: folds`);
+      } else if (entry.action === 'check') {
+        lines.push(`${name}: checks`);
+      } else if (entry.action === 'call' || (entry.action === 'allin' && streetBet > 0 && total <= streetBet)) {
+        // Calls are written as the chips added; an all-in for less than the bet is a call
+        const callTotal = entry.action === 'call' ? (total || streetBet) : total;
+        lines.push(`${name}: calls ${formatNumber(Math.max(0, callTotal - already))}${allIn}`);
+        committed[entry.position] = Math.max(already, callTotal);
+      } else {
+        // Reads without an amount get the minimum legal size
+        if (!total) {
+          total = streetBet > 0 ? streetBet * 2 : bigBlind;
+        }
+        lines.push(streetBet > 0
+          ? `${name}: raises ${formatNumber(total - streetBet)} to ${formatNumber(total)}${allIn}`
+          : `${name}: bets ${formatNumber(total)}${allIn}`);
+        committed[entry.position] = total;
+        streetBet = total;
+      }
+    }
+  }
+
+  pot += Object.values(committed).reduce((sum, amount) => sum + amount, 0);
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot ${formatNumber(pot)} | Rake 0`);
+  if (board.length) {
+    lines.push(`Board [${toStarsCards(board)}]`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  writeStarsHand
+};
@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { analyzeTableRead } = require('./analysisService');
+const { recordUserAnalysis } = require('./usageService');
+const { parseHandHistories, toDecisionRead, heroResult } = require('./handHistory');
+const { round2 } = require('../utils/amounts');
+
+// The local engine runs inside the request, so a file is analyzed a few hands at a time
+const DEFAULT_MAX_HANDS = 25;
+
+function getMaxHands() {
+  return parseInt(process.env.HAND_HISTORY_MAX_HANDS) || DEFAULT_MAX_HANDS;
+}
+
+/**
+ * Analyze and store one parsed hand at hero's last decision, charging the user's usage
+ * @returns {Promise<Object>} Saved PokerAnalysis
+ */
+async function importHand(hand, { user = {}, stackSize, explanation } = {}) {
+  const startTime = Date.now();
+  const decision = toDecisionRead(hand);
+  if (!decision) {
+    throw new Error('Hero had no decision in this hand');
+  }
+
+  const result = analyzeTableRead(decision.read, hand.gameFormat, {
+    stackSize,
+    explanation,
+    handState: {
+      source: 'hand_history',
+      site: hand.site,
+      handId: hand.handId,
+      heroAction: decision.heroAction,
+      showdown: hand.showdown.map(entry => ({
+        position: entry.position,
+        cards: entry.cards,
+        won: round2(hand.collected
+          .filter(collected => collected.player === entry.player)
+          .reduce((sum, collected) => sum + collected.amount, 0))
+      })),
+      result: heroResult(hand)
+    }
+  });
+
+  const analysisDecisions = await PokerAnalysis.countDocuments();
+  const analysis = new PokerAnalysis({
+    analysisId: uuidv4(),
+    gameFormat: hand.gameFormat,
+    recommendedAction: result.recommended_action,
+    analysisNotes: result.analysis_notes,
+    confidence: result.confidence,
+    equity: result.equity,
+    localAnalysis: result.local_analysis,
+    preflopChart: result.preflop_chart || null,
+    pushFold: result.push_fold || null,
+    handState: result.hand_state,
+    betSizing: result.bet_sizing,
+    boardTexture: result.board_texture,
+    heroHolding: result.hero_holding,
+    explanation: result.explanation,
+    decisions: analysisDecisions + 1,
+    userId: user.userId || null,
+    userEmail: user.userEmail || null,
+    userFullName: user.userFullName || null,
+    processingTime: ((Date.now() - startTime) / 1000).toFixed(2)
+  });
+  await analysis.save();
+
+  if (user.userId) {
+    await recordUserAnalysis(user.userId, hand.gameFormat, {
+      gamePot: decision.read.pot,
+      recommendedAction: result.recommended_action,
+      confidence: result.confidence,
+      analysisNotes: result.analysis_notes
+    });
+  }
+  return analysis;
+}
+
+/**
+ * Parse a hand history file and store an analysis for every hand in it.
+ * Hands already imported by the same user, or repeated in the file, are skipped;
+ * anonymous imports share no history, so only repeats are. Each new analysis uses
+ * one credit, and at most HAND_HISTORY_MAX_HANDS are analyzed per file.
+ * @param {string} text - Raw hand history file
+ * @param {Object} options - { user: { userId, userEmail, userFullName }, stackSize, explanation },
+ *   and availableUsage to stop once the user's credits run out
+ * @returns {Promise<{site: string|null, totalHands: number, analyses: Array, skipped: Array}>}
+ */
+async function importHandHistories(text, options = {}) {
+  const { site, hands, errors } = parseHandHistories(text);
+  const skipped = errors.map(error => ({ handId: null, reason: error.error }));
+  const analyses = [];
+  const maxHands = getMaxHands();
+  const limitedByUsage = typeof options.availableUsage === 'number' && options.availableUsage < maxHands;
+  const limit = limitedByUsage ? Math.max(0, options.availableUsage) : maxHands;
+  const userId = options.user && options.user.userId;
+  const importedHands = new Set();
+
+  for (const [index, hand] of hands.entries()) {
+    if (analyses.length >= limit) {
+      skipped.push({
+        handId: null,
+        reason: limitedByUsage
+          ? `No available usage left for the remaining ${hands.length - index} hands`
+          : `Only ${maxHands} hands are analyzed per import; upload the remaining ${hands.length - index} again`
+      });
+      break;
+    }
+
+    const handKey = `${hand.site}:${hand.handId}`;
+    const alreadyImported = importedHands.has(handKey) || (userId && await PokerAnalysis.exists({
+      'handState.site': hand.site,
+      'handState.handId': hand.handId,
+      userId
+    }));
+    if (alreadyImported) {
+      skipped.push({ handId: hand.handId, reason: 'Already imported' });
+      continue;
+    }
+
+    try {
+      analyses.push(await importHand(hand, options));
+      importedHands.add(handKey);
+    } catch (error) {
+      skipped.push({ handId: hand.handId, reason: error.message });
+    }
+    // The local engine is CPU-bound; let other requests run between hands
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  console.log(`📜 Imported ${analyses.length}/${hands.length} ${site || 'unknown'} hands (${skipped.length} skipped)`);
+  return { site, totalHands: hands.length, analyses, skipped };
+}
+
+module.exports = {
+  importHandHistories
+};
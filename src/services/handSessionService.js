@@ -0,0 +1,314 @@
+const { v4: uuidv4 } = require('uuid');
+const HandSession = require('../models/HandSession');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { analyzeTableRead } = require('./analysisService');
+const { STREETS, normalizeActionType, actionLine, streetFromBoard, applyHandContext } = require('../utils/handState');
+const { parseCards, formatCard } = require('../utils/cards');
+const { parseAmount, toBigBlinds } = require('../utils/amounts');
+
+const PAST_TENSE = {
+  fold: 'folded',
+  check: 'checked',
+  call: 'called',
+  bet: 'bet',
+  raise: 'raised',
+  allin: 'went all-in'
+};
+
+/**
+ * Start a hand session
+ * @param {Object} params - { gameFormat, user: { userId, userEmail, userFullName } }
+ * @returns {Promise<Object>} Created HandSession
+ */
+async function createHandSession({ gameFormat, user = {} }) {
+  const session = await HandSession.create({
+    sessionId: uuidv4(),
+    gameFormat,
+    userId: user.userId || null,
+    userEmail: user.userEmail || null,
+    userFullName: user.userFullName || null
+  });
+  console.log(`🃏 Hand session started - ID: ${session.sessionId}`);
+  return session;
+}
+
+/**
+ * The session's analyses in street order. A street analyzed twice (e.g. a
+ * clearer screenshot uploaded again) is represented by its latest analysis.
+ */
+async function getSessionAnalyses(sessionId) {
+  const analyses = await PokerAnalysis.find({ handSessionId: sessionId }).sort({ createdAt: 1 });
+  const byStreet = {};
+  for (const analysis of analyses) {
+    if (analysis.handState && analysis.handState.street) {
+      byStreet[analysis.handState.street] = analysis;
+    }
+  }
+  return STREETS.filter(street => byStreet[street]).map(street => byStreet[street]);
+}
+
+/**
+ * What hero did on an analysis's street: recorded on the analysis, or seen in
+ * the action of a later snapshot of the hand
+ */
+function heroActionOn(analysis, analyses) {
+  const { street, heroPosition, heroAction } = analysis.handState;
+  if (heroAction && heroAction.action) {
+    return heroAction;
+  }
+  if (!heroPosition) {
+    return null;
+  }
+
+  for (const later of analyses.filter(other => STREETS.indexOf(other.handState.street) > STREETS.indexOf(street))) {
+    const heroEntries = later.handState.actions.filter(entry =>
+      entry.street === street && entry.position === heroPosition && entry.action !== 'post');
+    if (heroEntries.length) {
+      const last = heroEntries[heroEntries.length - 1];
+      return { action: last.action, amount: last.amount, amountBb: last.amountBb };
+    }
+  }
+  return null;
+}
+
+/**
+ * Context for the next snapshot of a hand, in the read shape applyHandContext expects
+ * @param {Array<Object>} analyses - Session analyses in street order
+ * @returns {Object|null} null when the session has no analyses yet
+ */
+function buildHandContext(analyses) {
+  if (!analyses.length) {
+    return null;
+  }
+
+  const states = analyses.map(analysis => analysis.handState);
+  const withCards = states.find(state => state.heroCards && state.heroCards.length === 2);
+  const withPosition = states.find(state => state.heroPosition);
+  const withBlind = states.find(state => state.bigBlind);
+  const withStacks = states.find(state => state.players && state.players.length);
+
+  // Each street's action comes from the snapshot of that street, followed by hero's own action
+  const actions = [];
+  analyses.forEach(analysis => {
+    const state = analysis.handState;
+    for (const entry of state.actions.filter(action => action.street === state.street)) {
+      actions.push({ street: state.street, seat: entry.position, action: entry.action, amount: entry.amount });
+    }
+    const heroAction = heroActionOn(analysis, analyses);
+    if (heroAction && state.heroPosition) {
+      actions.push({ street: state.street, seat: state.heroPosition, action: heroAction.action, amount: heroAction.amount });
+    }
+  });
+
+  const stacks = {};
+  if (withStacks) {
+    for (const player of withStacks.players) {
+      if (player.position && player.stack !== null && player.stack !== undefined) {
+        stacks[player.position] = String(player.stack);
+      }
+    }
+  }
+
+  return {
+    hero_card: withCards ? withCards.heroCards : null,
+    hero_position: withPosition ? withPosition.heroPosition : null,
+    big_blind: withBlind ? withBlind.bigBlind : null,
+    stacks,
+    actions
+  };
+}
+
+/**
+ * Context for an upload attached to a session, used by the analysis worker
+ */
+async function getHandContext(sessionId) {
+  return buildHandContext(await getSessionAnalyses(sessionId));
+}
+
+/**
+ * A board that does not continue the boards of earlier streets belongs to another hand
+ * @returns {string|null} Reason, or null when the board fits
+ */
+function findBoardConflict(analyses, board) {
+  const cards = parseCards(board || []).map(formatCard);
+  const street = streetFromBoard(cards);
+  for (const analysis of analyses) {
+    const earlier = analysis.handState.board || [];
+    if (STREETS.indexOf(analysis.handState.street) < STREETS.indexOf(street) &&
+      earlier.some((card, index) => cards[index] !== card)) {
+      return `Board ${cards.join(' ')} does not continue the ${analysis.handState.street} board ${earlier.join(' ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Analyze a hand-state snapshot (a read typed in or produced by another tool)
+ * in the context of the session's earlier streets
+ * @param {Object} session - HandSession
+ * @param {Object} snapshot - Read in the analysis JSON shape (hero_card, board_card, hero_position,
+ *   pot, big_blind, stacks, actions), optionally with heroAction ({ action, amount })
+ * @param {Object} options - { stackSize, explanation } from the user's preferences
+ * @returns {Promise<{analysis: Object|null, error: string|null}>}
+ */
+async function addSessionSnapshot(session, snapshot, options = {}) {
+  const startTime = Date.now();
+  const analyses = await getSessionAnalyses(session.sessionId);
+
+  let result;
+  try {
+    const conflict = findBoardConflict(analyses, snapshot.board_card);
+    if (conflict) {
+      return { analysis: null, error: conflict };
+    }
+    const read = applyHandContext({
+      hero_card: snapshot.hero_card,
+      board_card: snapshot.board_card || [],
+      hero_position: snapshot.hero_position,
+      pot: snapshot.pot,
+      big_blind: snapshot.big_blind,
+      stacks: snapshot.stacks,
+      actions: snapshot.actions
+    }, buildHandContext(analyses));
+    if (parseCards(read.hero_card || []).length !== 2) {
+      return { analysis: null, error: 'Hero cards are required for the first snapshot of a hand' };
+    }
+    result = analyzeTableRead(read, session.gameFormat, {
+      stackSize: options.stackSize,
+      explanation: options.explanation,
+      handState: { source: 'snapshot', heroAction: snapshot.heroAction || null }
+    });
+  } catch (error) {
+    // Unreadable card notation, or the same card twice in hand, board or dead cards
+    return { analysis: null, error: error.message };
+  }
+
+  const analysisDecisions = await PokerAnalysis.countDocuments();
+  const analysis = new PokerAnalysis({
+    analysisId: uuidv4(),
+    gameFormat: session.gameFormat,
+    recommendedAction: result.recommended_action,
+    analysisNotes: result.analysis_notes,
+    confidence: result.confidence,
+    equity: result.equity,
+    localAnalysis: result.local_analysis,
+    preflopChart: result.preflop_chart || null,
+    pushFold: result.push_fold || null,
+    handState: result.hand_state,
+    betSizing: result.bet_sizing,
+    boardTexture: result.board_texture,
+    heroHolding: result.hero_holding,
+    explanation: result.explanation,
+    handSessionId: session.sessionId,
+    decisions: analysisDecisions + 1,
+    userId: session.userId || null,
+    userEmail: session.userEmail || null,
+    userFullName: session.userFullName || null,
+    processingTime: ((Date.now() - startTime) / 1000).toFixed(2)
+  });
+  await analysis.save();
+  console.log(`🃏 Hand session ${session.sessionId}: ${analysis.handState.street} → ${analysis.recommendedAction}`);
+  return { analysis, error: null };
+}
+
+/**
+ * Record what hero did on a street of the session
+ * @param {string} sessionId
+ * @param {string} street - 'preflop', 'flop', 'turn' or 'river'
+ * @param {Object} heroAction - { action, amount }
+ * @returns {Promise<Object|null>} Updated analysis, or null when the street has not been analyzed
+ */
+async function setSessionHeroAction(sessionId, street, heroAction) {
+  const analyses = await getSessionAnalyses(sessionId);
+  const analysis = analyses.find(entry => entry.handState.street === street);
+  if (!analysis) {
+    return null;
+  }
+
+  const amount = parseAmount(heroAction.amount);
+  const amountBb = toBigBlinds(heroAction.amount, analysis.handState.bigBlind);
+  analysis.handState.heroAction = {
+    action: normalizeActionType(heroAction.action),
+    amount,
+    amountBb: amountBb === null ? null : Math.round(amountBb * 100) / 100
+  };
+  analysis.markModified('handState');
+  await analysis.save();
+  return analysis;
+}
+
+/**
+ * Street-by-street recommended line, what hero did, and where hero deviated
+ * @param {string} sessionId
+ * @returns {Promise<{line: Array<Object>, deviations: Array<Object>, summary: string}>}
+ */
+async function describeSessionLine(sessionId) {
+  const analyses = await getSessionAnalyses(sessionId);
+
+  const line = analyses.map(analysis => {
+    const state = analysis.handState;
+    const heroAction = heroActionOn(analysis, analyses);
+    const recommendedLine = actionLine(analysis.recommendedAction);
+    const deviated = heroAction && heroAction.action && recommendedLine
+      ? actionLine(heroAction.action) !== recommendedLine
+      : null;
+
+    return {
+      street: state.street,
+      analysisId: analysis.analysisId,
+      board: state.board,
+      potBb: state.potBb,
+      toCallBb: state.toCallBb,
+      recommendedAction: analysis.recommendedAction,
+      recommendedSize: analysis.betSizing ? analysis.betSizing.recommended : null,
+      confidence: analysis.confidence,
+      equity: analysis.equity,
+      heroAction: heroAction ? { action: heroAction.action, amount: heroAction.amount, amountBb: heroAction.amountBb } : null,
+      deviated
+    };
+  });
+
+  const deviations = line
+    .filter(step => step.deviated)
+    .map(step => ({
+      street: step.street,
+      recommendedAction: step.recommendedAction,
+      heroAction: step.heroAction.action,
+      confidence: step.confidence
+    }));
+
+  return { line, deviations, summary: summarizeLine(line, deviations) };
+}
+
+/**
+ * One-paragraph summary of the line for display
+ */
+function summarizeLine(line, deviations) {
+  if (!line.length) {
+    return 'No streets analyzed yet.';
+  }
+
+  const judged = line.filter(step => step.deviated !== null);
+  if (!judged.length) {
+    return `Recommended line: ${line.map(step => `${step.street} ${step.recommendedAction}`).join(', ')}. Hero's actions are not recorded yet.`;
+  }
+
+  const followed = judged.filter(step => !step.deviated).map(step => step.street);
+  const parts = [];
+  if (followed.length) {
+    parts.push(`Hero followed the recommended line (${followed.join(', ')}).`);
+  }
+  for (const deviation of deviations) {
+    const street = deviation.street.charAt(0).toUpperCase() + deviation.street.slice(1);
+    parts.push(`${street}: hero ${PAST_TENSE[deviation.heroAction]} where the recommendation was ${deviation.recommendedAction}.`);
+  }
+  return parts.join(' ');
+}
+
+module.exports = {
+  createHandSession,
+  getHandContext,
+  addSessionSnapshot,
+  setSessionHeroAction,
+  describeSessionLine
+};
@@ -0,0 +1,176 @@
+const sharp = require('sharp');
+const { TABLE_LAYOUTS } = require('../config/tableLayouts');
+const { boxContains } = require('./tableLayoutService');
+const { parseAmount } = require('../utils/amounts');
+const { saveImage } = require('./imageStorage');
+const googleVisionProvider = require('./visionProviders/googleVisionProvider');
+
+const THUMBNAIL_WIDTH = 320;
+// Extra space around each OCR word so ascenders and descenders are covered too
+const WORD_PADDING = 4;
+// Table text that never identifies a player
+const TABLE_WORDS = new Set([
+  'pot', 'total', 'main', 'side', 'fold', 'folded', 'check', 'call', 'bet', 'raise', 'all-in', 'allin',
+  'all', 'in', 'sb', 'bb', 'btn', 'ante', 'blinds', 'sitting', 'out', 'dealer'
+]);
+
+/**
+ * Convert a fractional layout box to pixels, clamped to the image
+ */
+function layoutBoxToPixels(box, width, height) {
+  const left = Math.max(0, Math.floor(box.x * width));
+  const top = Math.max(0, Math.floor(box.y * height));
+  const right = Math.min(width, Math.ceil((box.x + box.w) * width));
+  const bottom = Math.min(height, Math.ceil((box.y + box.h) * height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Whether an OCR word may name a player. Amounts, card symbols and table labels are kept.
+ */
+function isIdentifyingWord(word) {
+  const text = (word.text || '').trim();
+  if (!text || !/[a-z]/i.test(text)) {
+    return false;
+  }
+  if (parseAmount(text) !== null && /\d/.test(text)) {
+    return false;
+  }
+  return !TABLE_WORDS.has(text.toLowerCase().replace(/[:.,]/g, ''));
+}
+
+/**
+ * Pixel boxes to blur: opponent names and avatars and the chat box from the
+ * table layout, plus OCR words that look like names outside hero's area,
+ * the pot, the board and hero's cards.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array} ocrWords - [{ text, box: { x0, y0, x1, y1 } }] in pixels
+ * @param {Object|null} layout - Table layout profile (regions in fractions)
+ */
+function collectRedactionBoxes(width, height, ocrWords = [], layout = null) {
+  const boxes = [];
+
+  if (layout) {
+    for (const seat of layout.regions.seats) {
+      if (seat.seat === 1) continue;
+      // Names are on the upper half of the plate; the stack below stays readable
+      boxes.push(layoutBoxToPixels({ ...seat.plate, h: seat.plate.h / 2 }, width, height));
+      if (seat.avatar) {
+        boxes.push(layoutBoxToPixels(seat.avatar, width, height));
+      }
+    }
+    if (layout.regions.chat) {
+      boxes.push(layoutBoxToPixels(layout.regions.chat, width, height));
+    }
+  }
+
+  const keptRegions = layout
+    ? [layout.regions.pot, layout.regions.board, layout.regions.heroCards, layout.regions.seats[0].plate]
+    : [];
+  for (const word of ocrWords) {
+    if (!word.box || !isIdentifyingWord(word)) continue;
+    const centreX = (word.box.x0 + word.box.x1) / 2 / width;
+    const centreY = (word.box.y0 + word.box.y1) / 2 / height;
+    if (keptRegions.some(region => boxContains(region, centreX, centreY))) continue;
+
+    const left = Math.max(0, Math.floor(word.box.x0 - WORD_PADDING));
+    const top = Math.max(0, Math.floor(word.box.y0 - WORD_PADDING));
+    boxes.push({
+      left,
+      top,
+      width: Math.min(width, Math.ceil(word.box.x1 + WORD_PADDING)) - left,
+      height: Math.min(height, Math.ceil(word.box.y1 + WORD_PADDING)) - top
+    });
+  }
+
+  return boxes.filter(box => box.width > 0 && box.height > 0);
+}
+
+/**
+ * Small JPEG for history lists. sharp drops EXIF and other metadata unless asked to keep it.
+ */
+function createThumbnail(imageBuffer) {
+  return sharp(imageBuffer)
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+}
+
+/**
+ * Copy of the screenshot with the given pixel boxes blurred, without metadata
+ */
+async function createRedactedImage(imageBuffer, boxes) {
+  const patches = await Promise.all(boxes.map(async box => ({
+    input: await sharp(imageBuffer)
+      .extract(box)
+      // Strong enough that short names cannot be read back
+      .blur(Math.max(6, Math.min(box.width, box.height) / 2))
+      .toBuffer(),
+    left: box.left,
+    top: box.top
+  })));
+
+  return sharp(imageBuffer)
+    .composite(patches)
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+/**
+ * OCR words for redaction: those from the table read, or a Google Vision
+ * text detection when the read came from a model that returns no boxes
+ * @returns {Promise<{words: Array<Object>, calls: Array<Object>}>} Words, and the billable
+ *   Google Vision call when one was made
+ */
+async function getOcrWords(imageBuffer, result) {
+  if (Array.isArray(result.ocr_words) && result.ocr_words.length) {
+    return { words: result.ocr_words, calls: [] };
+  }
+  if (!googleVisionProvider.isConfigured()) {
+    return { words: [], calls: [] };
+  }
+  const call = { provider: googleVisionProvider.name, model: null, inputTokens: null, outputTokens: null, imageBytes: imageBuffer.length };
+  try {
+    const read = await googleVisionProvider.analyzeGoogleVisionBuffer(imageBuffer);
+    return { words: read.ocr_words, calls: [call] };
+  } catch (error) {
+    console.log(`⚠️ OCR for redaction failed: ${error.message}`);
+    return { words: [], calls: [{ ...call, failed: true }] };
+  }
+}
+
+/**
+ * Generate and store the thumbnail and redacted variants of a screenshot
+ * @param {string} analysisId
+ * @param {Buffer} imageBuffer - Original screenshot
+ * @param {Object} result - Analysis result (ocr_words, table_layout)
+ * @returns {Promise<{variants: {thumbnail: Object, redacted: Object|null}, calls: Array<Object>}>} Storage
+ *   references (redacted is null when nothing identifying could be located) and the provider calls
+ *   made to locate names, to be priced with the analysis
+ */
+async function storeImageDerivatives(analysisId, imageBuffer, result) {
+  const thumbnail = await saveImage(`${analysisId}/thumbnail`, await createThumbnail(imageBuffer), 'image/jpeg');
+
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const layout = result.table_layout
+    ? TABLE_LAYOUTS.find(profile => profile.id === result.table_layout.id) || null
+    : null;
+  const { words, calls } = await getOcrWords(imageBuffer, result);
+  const boxes = collectRedactionBoxes(width, height, words, layout);
+
+  // Without a layout or OCR boxes a "redacted" copy would still show every name
+  if (!boxes.length) {
+    console.log(`⚠️ No regions to redact for ${analysisId}; redacted image skipped`);
+    return { variants: { thumbnail, redacted: null }, calls };
+  }
+
+  const redacted = await saveImage(`${analysisId}/redacted`, await createRedactedImage(imageBuffer, boxes), 'image/jpeg');
+  console.log(`🕶️ Redacted ${boxes.length} regions for ${analysisId}`);
+  return { variants: { thumbnail, redacted }, calls };
+}
+
+module.exports = {
+  collectRedactionBoxes,
+  storeImageDerivatives
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_BUCKET = 'screenshots';
+
+let bucket = null;
+
+/**
+ * Lazily open the GridFS bucket on the shared Mongoose connection
+ */
+function getBucket() {
+  if (!bucket) {
+    if (!mongoose.connection.db) {
+      throw new Error('GridFS storage requires a MongoDB connection');
+    }
+    bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: process.env.IMAGE_STORAGE_BUCKET || DEFAULT_BUCKET
+    });
+  }
+  return bucket;
+}
+
+/**
+ * Delete every stored revision of a key
+ */
+async function remove(key) {
+  const files = await getBucket().find({ filename: key }).toArray();
+  for (const file of files) {
+    await getBucket().delete(file._id);
+  }
+}
+
+/**
+ * Store a blob, replacing any previous one under the same key
+ */
+async function save(key, buffer, contentType) {
+  await remove(key);
+  await new Promise((resolve, reject) => {
+    getBucket()
+      .openUploadStream(key, { metadata: { contentType } })
+      .on('error', reject)
+      .on('finish', resolve)
+      .end(buffer);
+  });
+}
+
+/**
+ * GridFS storage - blobs live in the same MongoDB database as the analyses
+ */
+module.exports = {
+  name: 'gridfs',
+  save,
+  openReadStream: key => getBucket().openDownloadStreamByName(key),
+  remove
+};
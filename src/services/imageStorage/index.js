@@ -0,0 +1,76 @@
+const gridfsStorage = require('./gridfsStorage');
+const localFileStorage = require('./localFileStorage');
+
+const BACKENDS = {
+  [gridfsStorage.name]: gridfsStorage,
+  [localFileStorage.name]: localFileStorage
+};
+
+const DEFAULT_BACKEND = 'gridfs';
+
+/**
+ * Backend new images are written to (IMAGE_STORAGE = gridfs | local)
+ */
+function getWriteBackend() {
+  const name = (process.env.IMAGE_STORAGE || DEFAULT_BACKEND).trim().toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown image storage backend: ${name}`);
+  }
+  return BACKENDS[name];
+}
+
+/**
+ * Backend an existing reference was written to, which may differ from the current setting
+ */
+function getBackend(ref) {
+  const backend = ref && BACKENDS[ref.backend];
+  if (!backend) {
+    throw new Error(`Unknown image storage backend: ${ref && ref.backend}`);
+  }
+  return backend;
+}
+
+/**
+ * Store an image and return the reference kept on the analysis
+ * @param {string} key - Unique key, e.g. "<analysisId>/original"
+ * @param {Buffer} buffer - Image data
+ * @param {string} contentType - MIME type
+ * @returns {Promise<{backend: string, key: string, contentType: string, size: number}>}
+ */
+async function saveImage(key, buffer, contentType = 'application/octet-stream') {
+  const backend = getWriteBackend();
+  await backend.save(key, buffer, contentType);
+  return { backend: backend.name, key, contentType, size: buffer.length };
+}
+
+/**
+ * Readable stream of a stored image
+ */
+function openImageStream(ref) {
+  return getBackend(ref).openReadStream(ref.key);
+}
+
+/**
+ * Read a stored image fully into memory
+ */
+async function readImage(ref) {
+  const chunks = [];
+  for await (const chunk of openImageStream(ref)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Delete a stored image
+ */
+function deleteImage(ref) {
+  return getBackend(ref).remove(ref.key);
+}
+
+module.exports = {
+  saveImage,
+  openImageStream,
+  readImage,
+  deleteImage
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = './storage/images';
+
+function getRoot() {
+  return path.resolve(process.env.IMAGE_STORAGE_DIR || DEFAULT_DIR);
+}
+
+/**
+ * File path of a key, refusing keys that would escape the storage directory
+ */
+function keyToPath(key) {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+/**
+ * Store a blob, replacing any previous one under the same key
+ */
+async function save(key, buffer) {
+  const filePath = keyToPath(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  // Write then rename so readers never see a partial file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Local filesystem storage - for single-instance deployments and development
+ */
+module.exports = {
+  name: 'local',
+  save,
+  openReadStream: key => fs.createReadStream(keyToPath(key)),
+  remove: key => fs.promises.rm(keyToPath(key), { force: true })
+};
@@ -0,0 +1,201 @@
+const { parseCards } = require('../utils/cards');
+const { parseRange, handClassFromCards } = require('../utils/ranges');
+const { POSITIONS, STACK_DEPTHS, PREFLOP_CHARTS } = require('../config/preflopCharts');
+
+const DEFAULT_STACK_DEPTH = '100bb';
+
+// Common labels from screenshots and the model, mapped onto the chart positions
+const POSITION_ALIASES = {
+  UTG: 'UTG',
+  'UTG+1': 'UTG',
+  'UTG+2': 'UTG',
+  EP: 'UTG',
+  MP: 'HJ',
+  MP1: 'HJ',
+  MP2: 'HJ',
+  LJ: 'HJ',
+  LOJACK: 'HJ',
+  HJ: 'HJ',
+  HIJACK: 'HJ',
+  CO: 'CO',
+  CUTOFF: 'CO',
+  'CUT-OFF': 'CO',
+  BTN: 'BTN',
+  BU: 'BTN',
+  BUTTON: 'BTN',
+  DEALER: 'BTN',
+  SB: 'SB',
+  'SMALL BLIND': 'SB',
+  BB: 'BB',
+  'BIG BLIND': 'BB'
+};
+
+// Parsed charts are cached as Sets of hand classes
+const chartCache = new Map();
+
+/**
+ * Map a position label (e.g. "Cut-off", "button", "UTG+1") to a chart position
+ * @returns {string|null} One of POSITIONS, or null when unknown
+ */
+function normalizePosition(position) {
+  if (!position || typeof position !== 'string') {
+    return null;
+  }
+  return POSITION_ALIASES[position.trim().toUpperCase()] || null;
+}
+
+/**
+ * Map a stack size preference ("100bb") or a number of big blinds to a chart depth
+ */
+function resolveStackDepth(stackSize) {
+  if (STACK_DEPTHS.includes(stackSize)) {
+    return stackSize;
+  }
+  const bigBlinds = typeof stackSize === 'number' ? stackSize : parseFloat(stackSize);
+  if (!Number.isFinite(bigBlinds)) {
+    return DEFAULT_STACK_DEPTH;
+  }
+  if (bigBlinds < 75) return '50bb';
+  if (bigBlinds < 150) return '100bb';
+  if (bigBlinds < 250) return '200bb';
+  return '300bb+';
+}
+
+/**
+ * Parsed chart for a depth and position: { open, threeBet, call, fourBet, callThreeBet }
+ */
+function getChart(stackDepth, position) {
+  const key = `${stackDepth}:${position}`;
+  if (!chartCache.has(key)) {
+    const depthChart = PREFLOP_CHARTS[stackDepth];
+    const positionChart = depthChart.positions[position];
+    chartCache.set(key, {
+      open: new Set(parseRange(positionChart.open)),
+      threeBet: new Set(parseRange(positionChart.threeBet)),
+      call: new Set(parseRange(positionChart.call)),
+      fourBet: new Set(parseRange(depthChart.vsThreeBet.fourBet)),
+      callThreeBet: new Set(parseRange(depthChart.vsThreeBet.call))
+    });
+  }
+  return chartCache.get(key);
+}
+
+/**
+ * Look up the chart decision for a preflop spot
+ * @param {Object} params
+ * @param {Array<number>} params.heroCards - Hero's two hole cards
+ * @param {string} params.position - One of POSITIONS
+ * @param {string} params.stackDepth - One of STACK_DEPTHS
+ * @param {number} params.raisesFaced - 0 when unopened, 1 facing an open, 2+ facing a 3-bet
+ * @returns {{action: string, handClass: string, chart: string, reasoning: string}}
+ */
+function getPreflopDecision({ heroCards, position, stackDepth, raisesFaced = 0 }) {
+  const handClass = handClassFromCards(heroCards);
+  const chart = getChart(stackDepth, position);
+
+  if (raisesFaced === 0) {
+    if (position === 'BB') {
+      return {
+        action: 'CHECK',
+        handClass,
+        chart: 'open',
+        reasoning: `${handClass} in the big blind with no raise: check and see a flop`
+      };
+    }
+    const inRange = chart.open.has(handClass);
+    return {
+      action: inRange ? 'RAISE 2.5x' : 'FOLD',
+      handClass,
+      chart: 'open',
+      reasoning: `${handClass} is ${inRange ? 'inside' : 'outside'} the ${position} opening range at ${stackDepth}`
+    };
+  }
+
+  if (raisesFaced === 1) {
+    if (chart.threeBet.has(handClass)) {
+      return {
+        action: 'RAISE 3.5x',
+        handClass,
+        chart: 'vsOpen',
+        reasoning: `${handClass} is in the ${position} 3-bet range against an open at ${stackDepth}`
+      };
+    }
+    const inRange = chart.call.has(handClass);
+    return {
+      action: inRange ? 'CALL' : 'FOLD',
+      handClass,
+      chart: 'vsOpen',
+      reasoning: `${handClass} is ${inRange ? 'in' : 'outside'} the ${position} calling range against an open at ${stackDepth}`
+    };
+  }
+
+  if (chart.fourBet.has(handClass)) {
+    return {
+      action: 'RAISE 2.5x',
+      handClass,
+      chart: 'vsThreeBet',
+      reasoning: `${handClass} is in the 4-bet range against a 3-bet at ${stackDepth}`
+    };
+  }
+  const inRange = chart.callThreeBet.has(handClass);
+  return {
+    action: inRange ? 'CALL' : 'FOLD',
+    handClass,
+    chart: 'vsThreeBet',
+    reasoning: `${handClass} is ${inRange ? 'in' : 'outside'} the continuing range against a 3-bet at ${stackDepth}`
+  };
+}
+
+/**
+ * Number of raises hero is facing, from the action list of a preflop read
+ */
+function countRaises(handResult, heroPosition) {
+  return (handResult.actions || []).filter(entry => {
+    if (typeof entry.action !== 'string' || !/raise|bet|all.?in|shove/i.test(entry.action)) {
+      return false;
+    }
+    // Skip hero's own actions when the model labels seats by position
+    return normalizePosition(String(entry.seat)) !== heroPosition;
+  }).length;
+}
+
+/**
+ * Deterministic preflop recommendation for a parsed table read with an empty board
+ * @param {Object} handResult - Parsed read with hero_card, hero_position and actions
+ * @param {Object} options
+ * @param {string} options.stackSize - User.preferences.stackSize, e.g. "100bb"
+ * @returns {Object|null} Chart decision, or null when the spot is not preflop or hero's position is unknown
+ */
+function recommendPreflop(handResult, { stackSize } = {}) {
+  if (!handResult || (Array.isArray(handResult.board_card) && handResult.board_card.length > 0)) {
+    return null;
+  }
+
+  const position = normalizePosition(handResult.hero_position);
+  if (!position) {
+    return null;
+  }
+
+  const heroCards = parseCards(handResult.hero_card);
+  if (heroCards.length !== 2) {
+    return null;
+  }
+
+  const stackDepth = resolveStackDepth(stackSize);
+  const raisesFaced = countRaises(handResult, position);
+
+  return {
+    ...getPreflopDecision({ heroCards, position, stackDepth, raisesFaced }),
+    position,
+    stackDepth,
+    raisesFaced
+  };
+}
+
+module.exports = {
+  POSITIONS,
+  normalizePosition,
+  resolveStackDepth,
+  getPreflopDecision,
+  recommendPreflop
+};
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const AppSetting = require('../models/AppSetting');
+const PokerAnalysis = require('../models/PokerAnalysis');
+const { getFeedbackAccuracy } = require('./feedbackService');
+
+/**
+ * Named, versioned prompt templates for the vision model, and A/B experiments
+ * that assign users to prompt/model arms.
+ *
+ * Templates use {{gameFormat}} and {{layoutHint}} placeholders. A version has a
+ * default template and optional per-game-format overrides. Published versions
+ * must not change: add a new version instead, so analyses stay comparable.
+ */
+
+const EXPERIMENT_SETTING = 'prompts.experiment';
+const DEFAULT_PROMPT = 'table-read';
+const DEFAULT_VERSION = 'v1';
+const DEFAULT_MODEL = 'gpt-4o';
+
+const PROMPTS = {
+  'table-read': {
+    v1: {
+      description: 'Single-pass table read with the decision, colour-coded suits',
+      maxOutputTokens: 500,
+      temperature: 0.1,
+      templates: {
+        default: `Analyze {{gameFormat}} poker table image. Return JSON:
+      Color → Suit mapping:
+      - black card color -> spade (♠)
+      - red card color -> heart (♥)
+      - blue card color -> diamond (♦)
+      - green card color -> club (♣)
+      {
+        "hero_card": [<2 cards>],
+        "hero_position": "<UTG|HJ|CO|BTN|SB|BB>",
+        "board_card": [<cards>],
+        "pot": "<amount>",
+        "big_blind": "<amount>",
+        "stacks": {"<seat>": "<amount>"},
+        "actions": [{"seat": "<seat>", "action": "<action>", "amount": "<amount>"}],
+        "recommended_action": "<action>",
+        "confidence": <0-100>,
+        "analysis_notes": "<brief explanation>"
+      }
+      Seats: name by position (UTG, HJ, CO, BTN, SB, BB).
+      Cards: <RANK><SUIT> (A♠, K♥, Q♦, J♣, T♠, 9♥, etc). Return ONLY JSON.{{layoutHint}}`
+      }
+    },
+    v2: {
+      description: 'Read the table before deciding; tournament version reads stacks in big blinds with antes',
+      maxOutputTokens: 600,
+      temperature: 0.1,
+      templates: {
+        default: `You are reading a {{gameFormat}} No-Limit Hold'em table screenshot.
+      Step 1 - read exactly what is shown; never guess a card you cannot see:
+      - hero's two hole cards at the bottom seat, then the board cards left to right
+      - suits by colour: black spade (♠), red heart (♥), blue diamond (♦), green club (♣)
+      - pot, big blind, every seat's stack and the actions taken this hand, with amounts as shown
+      Step 2 - decide hero's action from that read only.
+      Return ONLY this JSON:
+      {
+        "hero_card": [<2 cards>],
+        "hero_position": "<UTG|HJ|CO|BTN|SB|BB>",
+        "board_card": [<0, 3, 4 or 5 cards>],
+        "pot": "<amount>",
+        "big_blind": "<amount>",
+        "stacks": {"<seat>": "<amount>"},
+        "actions": [{"seat": "<seat>", "action": "<fold|check|call|bet|raise|allin>", "amount": "<amount>"}],
+        "recommended_action": "<FOLD|CHECK|CALL|BET|RAISE 3x|SHOVE>",
+        "confidence": <0-100>,
+        "analysis_notes": "<one or two sentences on why>"
+      }
+      Seats: name by position (UTG, HJ, CO, BTN, SB, BB).
+      Cards: <RANK><SUIT> (A♠, K♥, Q♦, J♣, T♠, 9♥, etc).{{layoutHint}}`,
+        tournament: `You are reading a tournament (Spin & Go) No-Limit Hold'em table screenshot.
+      Step 1 - read exactly what is shown; never guess a card you cannot see:
+      - hero's two hole cards at the bottom seat, then the board cards left to right
+      - suits by colour: black spade (♠), red heart (♥), blue diamond (♦), green club (♣)
+      - blinds and ante, the pot, every seat's stack and the actions taken this hand
+      - tournament clients often show amounts in big blinds ("12.5 BB"); keep the "bb" suffix when they do
+      Step 2 - decide hero's action from that read only. Under 15 big blinds effective,
+      prefer SHOVE or FOLD; prize payouts make calling all-ins costlier than in cash games.
+      Return ONLY this JSON:
+      {
+        "hero_card": [<2 cards>],
+        "hero_position": "<BTN|SB|BB>",
+        "board_card": [<0, 3, 4 or 5 cards>],
+        "pot": "<amount>",
+        "big_blind": "<amount>",
+        "stacks": {"<seat>": "<amount>"},
+        "actions": [{"seat": "<seat>", "action": "<fold|check|call|bet|raise|allin>", "amount": "<amount>"}],
+        "recommended_action": "<FOLD|CHECK|CALL|BET|RAISE 2x|SHOVE>",
+        "confidence": <0-100>,
+        "analysis_notes": "<one or two sentences on why>"
+      }
+      Seats: name by position (BTN, SB, BB; UTG, HJ, CO at full tables).
+      Cards: <RANK><SUIT> (A♠, K♥, Q♦, J♣, T♠, 9♥, etc).{{layoutHint}}`
+      }
+    }
+  }
+};
+
+/**
+ * A registered prompt version, or null
+ */
+function getPromptVersion(name, version) {
+  return (PROMPTS[name] && PROMPTS[name][version]) || null;
+}
+
+/**
+ * Fill in a prompt version's template for a game format
+ * @param {Object} prompt - { name, version }
+ * @param {string} gameFormat
+ * @param {Object} vars - { layoutHint }
+ * @returns {string}
+ */
+function renderPrompt(prompt, gameFormat, vars = {}) {
+  const definition = getPromptVersion(prompt.name, prompt.version);
+  if (!definition) {
+    throw new Error(`Unknown prompt ${prompt.name}@${prompt.version}`);
+  }
+  const template = definition.templates[gameFormat] || definition.templates.default;
+  const values = { gameFormat, layoutHint: '', ...vars };
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Prompt and model settings for a version, with an arm's overrides applied
+ * @returns {Object} { name, version, model, maxOutputTokens, temperature }
+ */
+function resolvePrompt({ name = DEFAULT_PROMPT, version = DEFAULT_VERSION, model, maxOutputTokens, temperature } = {}) {
+  const definition = getPromptVersion(name, version);
+  if (!definition) {
+    throw new Error(`Unknown prompt ${name}@${version}`);
+  }
+  return {
+    name,
+    version,
+    model: model || definition.model || process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    maxOutputTokens: maxOutputTokens || definition.maxOutputTokens,
+    temperature: temperature !== undefined ? temperature : definition.temperature
+  };
+}
+
+/**
+ * Registered prompts and their versions, for the admin API
+ */
+function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, versions]) => ({
+    name,
+    versions: Object.entries(versions).map(([version, definition]) => ({
+      version,
+      description: definition.description,
+      model: definition.model || null,
+      maxOutputTokens: definition.maxOutputTokens,
+      temperature: definition.temperature,
+      gameFormats: Object.keys(definition.templates).filter(key => key !== 'default')
+    }))
+  }));
+}
+
+/**
+ * Check an experiment definition
+ * @param {Object} experiment - { name, gameFormats?, arms: [{ name, prompt?, version, model?, maxOutputTokens?, temperature?, weight }] }
+ * @returns {string|null} What is wrong, or null when valid
+ */
+function validateExperiment(experiment) {
+  if (!experiment || typeof experiment !== 'object') {
+    return 'experiment must be an object';
+  }
+  if (typeof experiment.name !== 'string' || !experiment.name.trim()) {
+    return 'experiment name is required';
+  }
+  if (experiment.gameFormats !== undefined &&
+    (!Array.isArray(experiment.gameFormats) || !experiment.gameFormats.every(format => ['cash', 'tournament'].includes(format)))) {
+    return 'gameFormats must be a list of "cash" and/or "tournament"';
+  }
+  if (!Array.isArray(experiment.arms) || experiment.arms.length < 2) {
+    return 'An experiment needs at least two arms';
+  }
+
+  const names = new Set();
+  for (const arm of experiment.arms) {
+    if (!arm || typeof arm.name !== 'string' || !arm.name.trim()) {
+      return 'Every arm needs a name';
+    }
+    if (names.has(arm.name)) {
+      return `Arm name ${arm.name} is used twice`;
+    }
+    names.add(arm.name);
+    if (!getPromptVersion(arm.prompt || DEFAULT_PROMPT, arm.version)) {
+      return `Arm ${arm.name}: unknown prompt ${arm.prompt || DEFAULT_PROMPT}@${arm.version}`;
+    }
+    if (typeof arm.weight !== 'number' || !(arm.weight > 0)) {
+      return `Arm ${arm.name}: weight must be a positive number`;
+    }
+    if (arm.model !== undefined && arm.model !== null && (typeof arm.model !== 'string' || !arm.model.trim())) {
+      return `Arm ${arm.name}: model must be a model name`;
+    }
+    if (arm.maxOutputTokens !== undefined && arm.maxOutputTokens !== null && (!Number.isInteger(arm.maxOutputTokens) || arm.maxOutputTokens < 100 || arm.maxOutputTokens > 4000)) {
+      return `Arm ${arm.name}: maxOutputTokens must be an integer from 100 to 4000`;
+    }
+    if (arm.temperature !== undefined && arm.temperature !== null && (typeof arm.temperature !== 'number' || arm.temperature < 0 || arm.temperature > 2)) {
+      return `Arm ${arm.name}: temperature must be between 0 and 2`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The running experiment, or null
+ */
+function getExperiment() {
+  return AppSetting.getValue(EXPERIMENT_SETTING, null);
+}
+
+/**
+ * Start an experiment (replacing the running one), or stop it with null
+ */
+async function setExperiment(experiment, updatedBy = null) {
+  const value = experiment ? {
+    name: experiment.name.trim(),
+    gameFormats: experiment.gameFormats || ['cash', 'tournament'],
+    arms: experiment.arms.map(arm => ({
+      name: arm.name.trim(),
+      prompt: arm.prompt || DEFAULT_PROMPT,
+      version: arm.version,
+      model: arm.model ? arm.model.trim() : null,
+      maxOutputTokens: arm.maxOutputTokens || null,
+      temperature: arm.temperature !== undefined ? arm.temperature : null,
+      weight: arm.weight
+    })),
+    startedAt: new Date()
+  } : null;
+  await AppSetting.setValue(EXPERIMENT_SETTING, value, updatedBy);
+  return value;
+}
+
+/**
+ * Point in [0, 1) derived from the experiment and the user, so a user stays in
+ * the same arm for as long as the experiment and its weights are unchanged
+ */
+function assignmentPoint(experimentName, assignmentKey) {
+  const hash = crypto.createHash('sha256').update(`${experimentName}:${assignmentKey}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Weighted, sticky arm for a user
+ */
+function pickArm(experiment, assignmentKey) {
+  const total = experiment.arms.reduce((sum, arm) => sum + arm.weight, 0);
+  let point = assignmentPoint(experiment.name, assignmentKey) * total;
+  for (const arm of experiment.arms) {
+    point -= arm.weight;
+    if (point < 0) return arm;
+  }
+  return experiment.arms[experiment.arms.length - 1];
+}
+
+/**
+ * Prompt and model for an analysis: the user's experiment arm when an
+ * experiment covers the game format, the default prompt otherwise
+ * @param {string} gameFormat
+ * @param {string} assignmentKey - The user's ID; the analysis ID for anonymous uploads
+ * @returns {Promise<Object>} { name, version, model, maxOutputTokens, temperature, experiment, arm }
+ */
+async function assignPrompt(gameFormat, assignmentKey) {
+  const experiment = await getExperiment();
+  if (!experiment || !experiment.gameFormats.includes(gameFormat)) {
+    return { ...resolvePrompt(), experiment: null, arm: null };
+  }
+
+  const arm = pickArm(experiment, String(assignmentKey));
+  return {
+    ...resolvePrompt({
+      name: arm.prompt,
+      version: arm.version,
+      model: arm.model || undefined,
+      maxOutputTokens: arm.maxOutputTokens || undefined,
+      temperature: arm.temperature !== null ? arm.temperature : undefined
+    }),
+    experiment: experiment.name,
+    arm: arm.name
+  };
+}
+
+/**
+ * Compare the arms of an experiment on confidence, feedback accuracy, tokens and cost
+ * @param {string} experimentName
+ * @param {Object} range - { from, to } on createdAt
+ * @returns {Promise<Array<Object>>} One row per arm
+ */
+async function compareExperimentArms(experimentName, { from, to } = {}) {
+  const match = { 'prompt.experiment': experimentName };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const arms = await PokerAnalysis.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$prompt.arm',
+        version: { $first: '$prompt.version' },
+        model: { $first: '$prompt.model' },
+        analyses: { $sum: 1 },
+        users: { $addToSet: '$userId' },
+        avgConfidence: { $avg: '$confidence' },
+        // Fallback providers answer when the model fails; only model reads used the arm's prompt
+        modelReads: { $sum: { $cond: [{ $eq: ['$visionProvider', 'openai'] }, 1, 0] } },
+        avgInputTokens: { $avg: '$tokenUsage.inputTokens' },
+        avgOutputTokens: { $avg: '$tokenUsage.outputTokens' },
+        totalTokens: { $sum: '$tokenUsage.totalTokens' },
+        avgCostUsd: { $avg: '$costUsd' },
+        avgProcessingTime: { $avg: '$processingTime' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return Promise.all(arms.map(async arm => {
+    const feedback = await getFeedbackAccuracy({ ...match, 'prompt.arm': arm._id });
+    return {
+      arm: arm._id,
+      version: arm.version,
+      model: arm.model,
+      analyses: arm.analyses,
+      users: arm.users.filter(Boolean).length,
+      avgConfidence: arm.avgConfidence !== null ? Math.round(arm.avgConfidence * 10) / 10 : null,
+      modelReadRate: Math.round(arm.modelReads / arm.analyses * 1000) / 10,
+      feedbackAccuracy: feedback.accuracy,
+      feedbackRated: feedback.rated,
+      avgInputTokens: arm.avgInputTokens !== null ? Math.round(arm.avgInputTokens) : null,
+      avgOutputTokens: arm.avgOutputTokens !== null ? Math.round(arm.avgOutputTokens) : null,
+      totalTokens: arm.totalTokens,
+      avgCostUsd: arm.avgCostUsd !== null ? Math.round(arm.avgCostUsd * 10000) / 10000 : null,
+      avgProcessingTime: arm.avgProcessingTime !== null ? parseFloat(parseFloat(arm.avgProcessingTime.toString()).toFixed(2)) : null
+    };
+  }));
+}
+
+module.exports = {
+  DEFAULT_PROMPT,
+  renderPrompt,
+  resolvePrompt,
+  listPrompts,
+  validateExperiment,
+  getExperiment,
+  setExperiment,
+  pickArm,
+  assignPrompt,
+  compareExperimentArms
+};
@@ -0,0 +1,505 @@
+const equityData = require('../data/preflopEquities.json');
+const { calculateIcm } = require('../utils/icm');
+const { parseCards } = require('../utils/cards');
+const { handClassFromCards, comboCount } = require('../utils/ranges');
+const { parseAmount, toBigBlinds } = require('../utils/amounts');
+const { normalizePosition } = require('./preflopService');
+
+/**
+ * Push/fold Nash solver for heads-up and 3-handed short stacks under ICM.
+ *
+ * Every player either folds or goes all-in. Strategies per decision node are
+ * found by fictitious play: each iteration computes every node's best response
+ * to the current average strategies and folds it into the average.
+ *
+ * Hand-vs-range equities come from the precomputed class-vs-class table in
+ * src/data/preflopEquities.json (see scripts/generate-preflop-equities.js).
+ * Card removal between players is ignored, and 3-way all-in equities are
+ * approximated from the pairwise equities.
+ */
+
+const PUSH_FOLD_MAX_BB = 15;
+const DEFAULT_ITERATIONS = 300;
+// Spin & Go pays the winner only
+const DEFAULT_PAYOUTS = [1];
+
+// Seats in order of action, by table size
+const SEAT_ORDER = {
+  2: ['SB', 'BB'],
+  3: ['BTN', 'SB', 'BB']
+};
+
+const CLASSES = equityData.classes;
+const CLASS_COUNT = CLASSES.length;
+const CLASS_INDEX = new Map(CLASSES.map((handClass, index) => [handClass, index]));
+const COMBO_WEIGHTS = Float64Array.from(CLASSES, comboCount);
+const TOTAL_COMBOS = COMBO_WEIGHTS.reduce((sum, weight) => sum + weight, 0);
+
+// Full matrix from the stored upper triangle: EQUITY[a * CLASS_COUNT + b] is a's equity vs b
+const EQUITY = (() => {
+  const matrix = new Float64Array(CLASS_COUNT * CLASS_COUNT);
+  let k = 0;
+  for (let a = 0; a < CLASS_COUNT; a++) {
+    for (let b = a; b < CLASS_COUNT; b++) {
+      const equity = equityData.equities[k++] / 1000;
+      matrix[a * CLASS_COUNT + b] = equity;
+      matrix[b * CLASS_COUNT + a] = 1 - equity;
+    }
+  }
+  return matrix;
+})();
+
+const solutionCache = new Map();
+const SOLUTION_CACHE_LIMIT = 200;
+
+/**
+ * Combo-weighted range for a node strategy (probability of going all-in per class)
+ */
+function rangeWeights(strategy) {
+  const weights = new Float64Array(CLASS_COUNT);
+  for (let i = 0; i < CLASS_COUNT; i++) {
+    weights[i] = COMBO_WEIGHTS[i] * strategy[i];
+  }
+  return weights;
+}
+
+/**
+ * Equity of every hand class against a weighted range
+ */
+function equityVsRange(weights) {
+  const result = new Float64Array(CLASS_COUNT).fill(0.5);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return result;
+  }
+  for (let a = 0; a < CLASS_COUNT; a++) {
+    let sum = 0;
+    const row = a * CLASS_COUNT;
+    for (let b = 0; b < CLASS_COUNT; b++) {
+      sum += weights[b] * EQUITY[row + b];
+    }
+    result[a] = sum / total;
+  }
+  return result;
+}
+
+/**
+ * Equity of one weighted range against another
+ */
+function rangeVsRange(weightsA, equitiesVsB) {
+  const total = weightsA.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return 0.5;
+  }
+  let sum = 0;
+  for (let a = 0; a < CLASS_COUNT; a++) {
+    sum += weightsA[a] * equitiesVsB[a];
+  }
+  return sum / total;
+}
+
+/**
+ * Blinds and antes each player has in the pot before anyone acts
+ */
+function postedAmounts(stacks, { smallBlind, bigBlind, ante }) {
+  const players = stacks.length;
+  return stacks.map((stack, player) => {
+    let blind = 0;
+    if (player === players - 2) blind = smallBlind;
+    if (player === players - 1) blind = bigBlind;
+    return Math.min(stack, ante + blind);
+  });
+}
+
+/**
+ * Every decision node, keyed by the actions ('F' or 'A') of the players before the actor
+ */
+function buildNodes(players) {
+  const nodes = [];
+  let histories = [''];
+  for (let actor = 0; actor < players; actor++) {
+    for (const history of histories) {
+      // The big blind has no decision when everyone folds to them
+      if (actor === players - 1 && !history.includes('A')) continue;
+      const seats = SEAT_ORDER[players];
+      const allIn = history.split('').map((action, player) => action === 'A' ? seats[player] : null).filter(Boolean);
+      nodes.push({
+        key: history,
+        actor,
+        position: seats[actor],
+        action: allIn.length ? 'CALL' : 'SHOVE',
+        label: allIn.length ? `${seats[actor]} call vs ${allIn.join(' + ')}` : `${seats[actor]} shove`
+      });
+    }
+    histories = histories.flatMap(history => [history + 'F', history + 'A']);
+  }
+  return nodes;
+}
+
+/**
+ * Stacks after a hand, given the final action history and the showdown finishing order
+ */
+function settleHand(stacks, posted, history, ranking) {
+  const contributions = stacks.map((stack, player) => history[player] === 'A' ? stack : posted[player]);
+  const winnings = new Array(stacks.length).fill(0);
+  const levels = Array.from(new Set(contributions)).filter(level => level > 0).sort((a, b) => a - b);
+
+  let previous = 0;
+  for (const level of levels) {
+    let layer = 0;
+    const contributors = [];
+    contributions.forEach((contribution, player) => {
+      const part = Math.max(0, Math.min(contribution, level) - previous);
+      if (part > 0) {
+        layer += part;
+        contributors.push({ player, part });
+      }
+    });
+    const winner = ranking.find(player => contributions[player] >= level);
+    if (winner !== undefined) {
+      winnings[winner] += layer;
+    } else {
+      // Nobody still in the hand covers this layer: it goes back to whoever put it in
+      contributors.forEach(({ player, part }) => { winnings[player] += part; });
+    }
+    previous = level;
+  }
+
+  return stacks.map((stack, player) => stack - contributions[player] + winnings[player]);
+}
+
+/**
+ * Prize equity of every player after a hand. Players busted in the hand take
+ * the lowest remaining places (a bigger starting stack finishes higher), the
+ * rest are valued by ICM over the places still to be paid.
+ */
+function prizeEquities(startStacks, finalStacks, payouts) {
+  const busted = finalStacks
+    .map((stack, player) => player)
+    .filter(player => finalStacks[player] <= 0)
+    .sort((a, b) => startStacks[a] - startStacks[b]);
+  const survivors = finalStacks.length - busted.length;
+
+  const equities = calculateIcm(finalStacks, payouts.slice(0, survivors));
+  busted.forEach((player, index) => {
+    equities[player] = payouts[finalStacks.length - 1 - index] || 0;
+  });
+  return equities;
+}
+
+/**
+ * Solve push/fold equilibrium ranges for a heads-up or 3-handed spot
+ * @param {Object} params
+ * @param {Array<number>} params.stacks - Stacks in big blinds, in order of action ([SB, BB] or [BTN, SB, BB])
+ * @param {Array<number>} params.payouts - Prize per finishing place (default winner takes all)
+ * @param {number} params.smallBlind - Small blind in big blinds (default 0.5)
+ * @param {number} params.ante - Ante per player in big blinds (default 0)
+ * @param {number} params.iterations - Fictitious play iterations
+ * @returns {Object} Solution with per-node strategies, usable by evaluateSpot
+ */
+function solvePushFold({ stacks, payouts = DEFAULT_PAYOUTS, smallBlind = 0.5, ante = 0, iterations = DEFAULT_ITERATIONS }) {
+  if (!SEAT_ORDER[stacks.length]) {
+    throw new Error('Push/fold solver supports 2 or 3 players');
+  }
+  if (stacks.some(stack => !(stack > 0))) {
+    throw new Error('Push/fold solver needs a positive stack for every player');
+  }
+
+  const cacheKey = JSON.stringify({ stacks, payouts, smallBlind, ante, iterations });
+  if (solutionCache.has(cacheKey)) {
+    return solutionCache.get(cacheKey);
+  }
+
+  const players = stacks.length;
+  const posted = postedAmounts(stacks, { smallBlind, bigBlind: 1, ante });
+  const nodes = buildNodes(players);
+  const strategies = new Map(nodes.map(node => [node.key, new Float64Array(CLASS_COUNT).fill(0.5)]));
+  const settled = new Map();
+
+  const solution = { players, stacks, payouts, posted, nodes, strategies, settled };
+
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    const context = buildContext(solution);
+    const responses = nodes.map(node => {
+      const response = new Float64Array(CLASS_COUNT);
+      const foldValue = nodeValue(solution, context, node.actor, node.key + 'F', null).icm;
+      for (let hand = 0; hand < CLASS_COUNT; hand++) {
+        const allInValue = nodeValue(solution, context, node.actor, node.key + 'A', hand).icm;
+        response[hand] = allInValue > foldValue ? 1 : 0;
+      }
+      return response;
+    });
+
+    const step = 1 / (iteration + 1);
+    nodes.forEach((node, index) => {
+      const strategy = strategies.get(node.key);
+      for (let hand = 0; hand < CLASS_COUNT; hand++) {
+        strategy[hand] += (responses[index][hand] - strategy[hand]) * step;
+      }
+    });
+  }
+
+  solution.context = buildContext(solution);
+
+  if (solutionCache.size >= SOLUTION_CACHE_LIMIT) {
+    solutionCache.delete(solutionCache.keys().next().value);
+  }
+  solutionCache.set(cacheKey, solution);
+  return solution;
+}
+
+/**
+ * Per-iteration range data: all-in weights, equity vectors and all-in probability per node
+ */
+function buildContext(solution) {
+  const context = { ranges: new Map(), rangeEquities: new Map() };
+  for (const node of solution.nodes) {
+    const strategy = solution.strategies.get(node.key);
+    const weights = rangeWeights(strategy);
+    context.ranges.set(node.key, {
+      weights,
+      equities: equityVsRange(weights),
+      probability: weights.reduce((sum, weight) => sum + weight, 0) / TOTAL_COMBOS
+    });
+  }
+  return context;
+}
+
+/**
+ * Equity between the all-in ranges of two players in a history (memoized per context)
+ */
+function pairEquity(context, history, playerA, playerB) {
+  const key = `${history.slice(0, playerA)}>${history.slice(0, playerB)}`;
+  if (!context.rangeEquities.has(key)) {
+    const rangeA = context.ranges.get(history.slice(0, playerA));
+    const rangeB = context.ranges.get(history.slice(0, playerB));
+    context.rangeEquities.set(key, rangeVsRange(rangeA.weights, rangeB.equities));
+  }
+  return context.rangeEquities.get(key);
+}
+
+/**
+ * Possible finishing orders of the all-in players with their probabilities
+ */
+function showdownOrders(context, history, hero, heroHand) {
+  const allIn = history.split('').map((action, player) => action === 'A' ? player : null).filter(player => player !== null);
+
+  if (allIn.length === 0) {
+    // Folded to the big blind
+    return [{ ranking: [history.length - 1], probability: 1 }];
+  }
+  if (allIn.length === 1) {
+    return [{ ranking: allIn, probability: 1 }];
+  }
+
+  // Equity of player a against player b for this history
+  const versus = (a, b) => {
+    if (a === hero && heroHand !== null) {
+      return context.ranges.get(history.slice(0, b)).equities[heroHand];
+    }
+    if (b === hero && heroHand !== null) {
+      return 1 - context.ranges.get(history.slice(0, a)).equities[heroHand];
+    }
+    return pairEquity(context, history, a, b);
+  };
+
+  if (allIn.length === 2) {
+    const [a, b] = allIn;
+    const equity = versus(a, b);
+    return [
+      { ranking: [a, b], probability: equity },
+      { ranking: [b, a], probability: 1 - equity }
+    ];
+  }
+
+  // Three-way: win chances from the product of pairwise equities, then heads-up for second
+  const [a, b, c] = allIn;
+  const ab = versus(a, b);
+  const ac = versus(a, c);
+  const bc = versus(b, c);
+  const winA = ab * ac;
+  const winB = (1 - ab) * bc;
+  const winC = (1 - ac) * (1 - bc);
+  const total = winA + winB + winC || 1;
+
+  return [
+    { ranking: [a, b, c], probability: winA / total * bc },
+    { ranking: [a, c, b], probability: winA / total * (1 - bc) },
+    { ranking: [b, a, c], probability: winB / total * ac },
+    { ranking: [b, c, a], probability: winB / total * (1 - ac) },
+    { ranking: [c, a, b], probability: winC / total * ab },
+    { ranking: [c, b, a], probability: winC / total * (1 - ab) }
+  ];
+}
+
+/**
+ * Expected ICM equity and final stack for one player after a partial history,
+ * averaging over how the remaining players act
+ */
+function nodeValue(solution, context, hero, history, heroHand) {
+  const { players, stacks, posted, payouts, settled } = solution;
+
+  if (history.length < players) {
+    const actor = history.length;
+    // Folded around to the big blind: nothing left to decide
+    if (actor === players - 1 && !history.includes('A')) {
+      return nodeValue(solution, context, hero, history + 'F', heroHand);
+    }
+    const allInProbability = context.ranges.get(history).probability;
+    const fold = nodeValue(solution, context, hero, history + 'F', heroHand);
+    const allIn = nodeValue(solution, context, hero, history + 'A', heroHand);
+    return {
+      icm: fold.icm * (1 - allInProbability) + allIn.icm * allInProbability,
+      chips: fold.chips * (1 - allInProbability) + allIn.chips * allInProbability
+    };
+  }
+
+  let icm = 0;
+  let chips = 0;
+  for (const { ranking, probability } of showdownOrders(context, history, hero, heroHand)) {
+    if (probability === 0) continue;
+    const key = `${history}|${ranking.join('')}`;
+    if (!settled.has(key)) {
+      const finalStacks = settleHand(stacks, posted, history, ranking);
+      settled.set(key, { finalStacks, icm: prizeEquities(stacks, finalStacks, payouts) });
+    }
+    const outcome = settled.get(key);
+    icm += probability * outcome.icm[hero];
+    chips += probability * outcome.finalStacks[hero];
+  }
+  return { icm, chips };
+}
+
+/**
+ * Equilibrium ranges for every node of a solution
+ */
+function describeRanges(solution) {
+  return solution.nodes.map(node => {
+    const strategy = solution.strategies.get(node.key);
+    const range = CLASSES.filter((handClass, index) => strategy[index] >= 0.5);
+    const combos = range.reduce((sum, handClass) => sum + comboCount(handClass), 0);
+    return {
+      node: node.label,
+      position: node.position,
+      action: node.action,
+      range,
+      percentage: Math.round(combos / TOTAL_COMBOS * 1000) / 10
+    };
+  });
+}
+
+/**
+ * ICM and chip EV of each option for a specific hand at a specific node
+ * @param {Object} solution - Result of solvePushFold
+ * @param {string} history - Actions of the players before hero ('F'/'A')
+ * @param {string} handClass - Hero's hand class, e.g. "A5s"
+ * @returns {Array<{action: string, icmEquity: number, chipEv: number}>}
+ */
+function evaluateSpot(solution, history, handClass) {
+  const node = solution.nodes.find(candidate => candidate.key === history);
+  if (!node) {
+    throw new Error(`No push/fold decision for history "${history}"`);
+  }
+  const hand = CLASS_INDEX.get(handClass);
+  const hero = node.actor;
+  const startStack = solution.stacks[hero];
+
+  const allIn = nodeValue(solution, solution.context, hero, history + 'A', hand);
+  const fold = nodeValue(solution, solution.context, hero, history + 'F', hand);
+
+  return [
+    { action: node.action, icmEquity: allIn.icm, chipEv: allIn.chips - startStack },
+    { action: 'FOLD', icmEquity: fold.icm, chipEv: fold.chips - startStack }
+  ];
+}
+
+/**
+ * Push/fold recommendation for a parsed tournament read, or null when the spot
+ * is not a short-stacked heads-up/3-handed preflop decision
+ * @param {Object} handResult - Parsed read with hero_card, hero_position, stacks, actions and big_blind
+ * @param {Object} options - { payouts } to override the winner-take-all default
+ */
+function recommendPushFold(handResult, options = {}) {
+  if (!handResult || (Array.isArray(handResult.board_card) && handResult.board_card.length > 0)) {
+    return null;
+  }
+
+  const heroCards = parseCards(handResult.hero_card);
+  const heroPosition = normalizePosition(handResult.hero_position);
+  if (heroCards.length !== 2 || !heroPosition || !handResult.stacks) {
+    return null;
+  }
+
+  // Stacks keyed by normalized position; heads-up the button is the small blind
+  const bigBlind = parseAmount(handResult.big_blind);
+  const seated = {};
+  for (const [seat, stack] of Object.entries(handResult.stacks)) {
+    const position = normalizePosition(seat);
+    const bigBlinds = toBigBlinds(stack, bigBlind);
+    if (position && bigBlinds > 0) {
+      seated[position] = bigBlinds;
+    }
+  }
+  const players = Object.keys(seated).length;
+  if (players === 2 && seated.BTN && !seated.SB) {
+    seated.SB = seated.BTN;
+    delete seated.BTN;
+  }
+  const order = SEAT_ORDER[players];
+  if (!order || !order.every(position => seated[position])) {
+    return null;
+  }
+
+  const hero = order.indexOf(players === 2 && heroPosition === 'BTN' ? 'SB' : heroPosition);
+  if (hero === -1) {
+    return null;
+  }
+
+  const stacks = order.map(position => Math.round(seated[position] * 2) / 2);
+  const effectiveStack = Math.min(stacks[hero], Math.max(...stacks.filter((stack, player) => player !== hero)));
+  if (effectiveStack > PUSH_FOLD_MAX_BB) {
+    return null;
+  }
+
+  // Earlier players who raised, shoved or called are treated as all-in
+  const aggressors = new Set(
+    (handResult.actions || [])
+      .filter(entry => typeof entry.action === 'string' && /raise|bet|all.?in|shove|call/i.test(entry.action))
+      .map(entry => normalizePosition(String(entry.seat)))
+  );
+  const history = order.slice(0, hero).map(position => aggressors.has(position) ? 'A' : 'F').join('');
+  if (hero === players - 1 && !history.includes('A')) {
+    return null; // Walk in the big blind
+  }
+
+  const payouts = options.payouts || DEFAULT_PAYOUTS;
+  const solution = solvePushFold({ stacks, payouts });
+  const handClass = handClassFromCards(heroCards);
+  const evaluations = evaluateSpot(solution, history, handClass);
+  const best = evaluations[0].icmEquity > evaluations[1].icmEquity ? evaluations[0] : evaluations[1];
+  const prizePool = payouts.reduce((sum, payout) => sum + payout, 0);
+
+  return {
+    action: best.action,
+    handClass,
+    position: order[hero],
+    stacks: Object.fromEntries(order.map((position, player) => [position, stacks[player]])),
+    effectiveStack,
+    payouts,
+    options: evaluations.map(option => ({
+      action: option.action,
+      // Share of the prize pool, and chips won or lost in big blinds
+      icmEquity: Math.round(option.icmEquity / prizePool * 10000) / 100,
+      chipEv: Math.round(option.chipEv * 100) / 100
+    })),
+    ranges: describeRanges(solution)
+  };
+}
+
+module.exports = {
+  PUSH_FOLD_MAX_BB,
+  solvePushFold,
+  evaluateSpot,
+  describeRanges,
+  recommendPushFold
+};
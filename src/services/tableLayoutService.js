@@ -0,0 +1,250 @@
+const { Jimp } = require('jimp');
+const { TABLE_LAYOUTS, POSITIONS_FROM_BUTTON } = require('../config/tableLayouts');
+const { parseAmount } = require('../utils/amounts');
+
+// Profiles scoring below this are treated as "unknown client"
+const MIN_LAYOUT_SCORE = 0.6;
+// Share of button-coloured pixels needed to place the dealer button
+const MIN_BUTTON_SHARE = 0.1;
+// Overview crop sent alongside the detail crops
+const OVERVIEW_MAX_WIDTH = 512;
+
+/**
+ * Convert a fractional box to whole pixels, clamped to the image
+ */
+function toPixelBox(box, width, height) {
+  const x = Math.max(0, Math.floor(box.x * width));
+  const y = Math.max(0, Math.floor(box.y * height));
+  return {
+    x,
+    y,
+    w: Math.max(1, Math.min(width - x, Math.round(box.w * width))),
+    h: Math.max(1, Math.min(height - y, Math.round(box.h * height)))
+  };
+}
+
+/**
+ * Whether a point (in fractions of the image) falls inside a fractional box
+ */
+function boxContains(box, x, y) {
+  return x >= box.x && x <= box.x + box.w && y >= box.y && y <= box.y + box.h;
+}
+
+function colourDistance(r, g, b, colour) {
+  return Math.sqrt((r - colour[0]) ** 2 + (g - colour[1]) ** 2 + (b - colour[2]) ** 2);
+}
+
+/**
+ * Average colour, brightness spread and share of pixels near a colour inside a box
+ */
+function sampleBox(bitmap, box, colour) {
+  const { data, width, height } = bitmap;
+  const { x, y, w, h } = toPixelBox(box, width, height);
+  // Every pixel is not needed; a coarse grid is enough for these statistics
+  const step = Math.max(1, Math.floor(Math.min(w, h) / 20));
+  let count = 0;
+  let near = 0;
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let py = y; py < y + h; py += step) {
+    for (let px = x; px < x + w; px += step) {
+      const offset = (py * width + px) * 4;
+      const r = data[offset];
+      const g = data[offset + 1];
+      const b = data[offset + 2];
+      const brightness = (r + g + b) / 3;
+      sum += brightness;
+      sumSquares += brightness * brightness;
+      if (colour && colourDistance(r, g, b, colour) < 60) near++;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return {
+    spread: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+    nearShare: near / count
+  };
+}
+
+/**
+ * How well a profile fits the screenshot, 0-1
+ */
+function scoreProfile(bitmap, profile) {
+  const aspectRatio = bitmap.width / bitmap.height;
+  const aspectScore = Math.max(0, 1 - Math.abs(aspectRatio - profile.aspectRatio) / 0.3);
+
+  // Felt shows between the seat ring and the board on both sides of the table
+  const feltSamples = [
+    { x: 0.2, y: 0.45, w: 0.06, h: 0.08 },
+    { x: 0.74, y: 0.45, w: 0.06, h: 0.08 },
+    { x: 0.47, y: 0.22, w: 0.06, h: 0.06 }
+  ].map(box => sampleBox(bitmap, box, profile.feltColour).nearShare);
+  const feltScore = feltSamples.reduce((sum, share) => sum + share, 0) / feltSamples.length;
+
+  // A seat plate covers the felt and has text on it
+  const seatsFound = profile.regions.seats
+    .filter(seat => {
+      const { nearShare, spread } = sampleBox(bitmap, seat.plate, profile.feltColour);
+      return nearShare < 0.5 || spread > 25;
+    })
+    .length;
+  const seatScore = seatsFound / profile.maxPlayers;
+
+  return {
+    score: 0.3 * aspectScore + 0.3 * feltScore + 0.4 * seatScore,
+    seatsFound
+  };
+}
+
+/**
+ * Seat with the dealer button in front of it, or null
+ */
+function findDealerSeat(bitmap, profile) {
+  let best = { seat: null, share: MIN_BUTTON_SHARE };
+  for (const seat of profile.regions.seats) {
+    const { nearShare } = sampleBox(bitmap, seat.button, profile.buttonColour);
+    if (nearShare > best.share) {
+      best = { seat: seat.seat, share: nearShare };
+    }
+  }
+  return best.seat;
+}
+
+/**
+ * Position name of every seat once the button is known
+ * @returns {Object} e.g. { 1: 'CO', 2: 'BTN', ... }
+ */
+function seatPositions(maxPlayers, dealerSeat) {
+  const names = POSITIONS_FROM_BUTTON[maxPlayers];
+  const positions = {};
+  for (let i = 0; i < maxPlayers; i++) {
+    positions[((dealerSeat - 1 + i) % maxPlayers) + 1] = names[i];
+  }
+  return positions;
+}
+
+/**
+ * Find the client profile that matches a screenshot
+ * @param {Buffer} imageBuffer - Screenshot
+ * @returns {Promise<Object|null>} Matched profile with image size, score, dealer seat and seat positions
+ */
+async function detectLayout(imageBuffer) {
+  const image = await Jimp.fromBuffer(imageBuffer);
+  const { bitmap } = image;
+
+  const ranked = TABLE_LAYOUTS
+    .map(profile => ({ profile, ...scoreProfile(bitmap, profile) }))
+    // Equal scores go to the profile that explains more seats
+    .sort((a, b) => (b.score - a.score) || (b.seatsFound - a.seatsFound));
+  const best = ranked[0];
+
+  if (!best || best.score < MIN_LAYOUT_SCORE) {
+    return null;
+  }
+
+  const { profile } = best;
+  const dealerSeat = findDealerSeat(bitmap, profile);
+  const positions = dealerSeat ? seatPositions(profile.maxPlayers, dealerSeat) : null;
+
+  return {
+    ...profile,
+    score: Math.round(best.score * 100) / 100,
+    width: bitmap.width,
+    height: bitmap.height,
+    dealerSeat,
+    positions,
+    heroPosition: positions ? positions[1] : null
+  };
+}
+
+/**
+ * Crop the table regions of a detected layout as JPEGs
+ * @returns {Promise<{overview: Buffer, heroCards: Buffer, board: Buffer, pot: Buffer}>}
+ */
+async function cropLayoutRegions(imageBuffer, layout) {
+  const image = await Jimp.fromBuffer(imageBuffer);
+  const { width, height } = image.bitmap;
+
+  const crop = async (box, maxWidth) => {
+    const { x, y, w, h } = toPixelBox(box, width, height);
+    const region = image.clone().crop({ x, y, w, h });
+    if (maxWidth && region.bitmap.width > maxWidth) {
+      region.resize({ w: maxWidth });
+    }
+    return region.getBuffer('image/jpeg', { quality: 85 });
+  };
+
+  return {
+    overview: await crop(layout.regions.table, OVERVIEW_MAX_WIDTH),
+    heroCards: await crop(layout.regions.heroCards),
+    board: await crop(layout.regions.board),
+    pot: await crop(layout.regions.pot)
+  };
+}
+
+/**
+ * Largest amount among OCR words whose centre falls inside a box
+ */
+function amountInBox(words, box, layout) {
+  const amounts = words
+    .filter(word => {
+      const centreX = (word.box.x0 + word.box.x1) / 2 / layout.width;
+      const centreY = (word.box.y0 + word.box.y1) / 2 / layout.height;
+      return boxContains(box, centreX, centreY);
+    })
+    .map(word => parseAmount(word.text))
+    .filter(amount => amount !== null);
+  return amounts.length ? Math.max(...amounts) : null;
+}
+
+/**
+ * Place OCR amounts into the pot and seat regions of a detected layout.
+ * Seats are named by position when the dealer button was found.
+ * @param {Object} read - Partial read from an OCR provider (with ocr_words)
+ * @param {Object} layout - Result of detectLayout
+ * @returns {Object} Read with pot, stacks and hero_position filled in where found
+ */
+function applyLayoutToOcrRead(read, layout) {
+  const words = read.ocr_words || [];
+  const stacks = {};
+
+  for (const seat of layout.regions.seats) {
+    const amount = amountInBox(words, seat.plate, layout);
+    if (amount !== null) {
+      const name = layout.positions ? layout.positions[seat.seat] : `seat${seat.seat}`;
+      stacks[name] = String(amount);
+    }
+  }
+
+  const pot = amountInBox(words, layout.regions.pot, layout);
+  return {
+    ...read,
+    pot: pot !== null ? String(pot) : read.pot,
+    stacks: Object.keys(stacks).length ? stacks : read.stacks,
+    hero_position: layout.heroPosition || read.hero_position || null
+  };
+}
+
+/**
+ * Short description of the layout for results and logs
+ */
+function summarizeLayout(layout) {
+  return layout ? {
+    id: layout.id,
+    site: layout.site,
+    maxPlayers: layout.maxPlayers,
+    score: layout.score,
+    dealerSeat: layout.dealerSeat,
+    heroPosition: layout.heroPosition
+  } : null;
+}
+
+module.exports = {
+  detectLayout,
+  cropLayoutRegions,
+  applyLayoutToOcrRead,
+  summarizeLayout,
+  boxContains
+};
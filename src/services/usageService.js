@@ -0,0 +1,50 @@
+const User = require('../models/User');
+
+/**
+ * Record a finished analysis on the user: recent session for the game format
+ * and, when charged, one use taken from their available usage.
+ * Errors are logged rather than thrown since the analysis itself is already saved.
+ * @param {string} userId
+ * @param {string} gameFormat - 'cash' or 'tournament'
+ * @param {Object} sessionData - { gamePot, recommendedAction, confidence, analysisNotes }
+ * @param {Object} options - { charge: whether the analysis consumes usage }
+ * @returns {Promise<Object|null>} Updated user, or null when not found
+ */
+async function recordUserAnalysis(userId, gameFormat, sessionData, { charge = true } = {}) {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      console.log(`⚠️ User not found with ID: ${userId}`);
+      return null;
+    }
+
+    if (charge) {
+      // Increment user usage counter
+      user.userUsage = (user.userUsage || 0) + 1;
+
+      // Decrement available usage (we already checked it's > 0 before analyzing)
+      user.availableUsage = Math.max(0, (user.availableUsage || 100) - 1);
+    }
+
+    const session = { date: new Date(), ...sessionData };
+
+    // Update based on game format
+    if (gameFormat === 'cash') {
+      user.recentSessionCash = session;
+    } else if (gameFormat === 'tournament') {
+      // For tournament format, we'll treat it as Spin&Go
+      user.recentSessionSpinAndGo = session;
+    }
+
+    await user.save();
+    console.log(`👤 User data updated for user: ${user.fullName} - Usage: ${user.userUsage}, Available: ${user.availableUsage}${charge ? '' : ' (not charged)'}`);
+    return user;
+  } catch (userUpdateError) {
+    console.error('❌ User update error:', userUpdateError);
+    return null;
+  }
+}
+
+module.exports = {
+  recordUserAnalysis
+};
@@ -0,0 +1,56 @@
+const vision = require('@google-cloud/vision');
+const { buildOcrRead } = require('../../utils/ocrParsing');
+
+let visionClient = null;
+
+/**
+ * Lazily create the Vision client (GOOGLE_VISION_KEY_FILE or Application Default Credentials)
+ */
+function getVisionClient() {
+  if (!visionClient) {
+    const keyFilename = process.env.GOOGLE_VISION_KEY_FILE;
+    visionClient = new vision.ImageAnnotatorClient(keyFilename ? { keyFilename } : {});
+  }
+  return visionClient;
+}
+
+/**
+ * Call Google Vision API text detection
+ */
+async function analyzeGoogleVisionBuffer(imageBuffer) {
+  const [result] = await getVisionClient().textDetection({
+    image: { content: imageBuffer }
+  });
+
+  // The first annotation is the full text
+  const fullText = result.textAnnotations?.[0]?.description || '';
+  console.log(`🔤 Google Vision detected ${fullText.length} characters`);
+
+  // The rest are individual words with bounding boxes
+  const words = (result.textAnnotations || []).slice(1).map(annotation => {
+    const vertices = annotation.boundingPoly?.vertices || [];
+    const xs = vertices.map(vertex => vertex.x || 0);
+    const ys = vertices.map(vertex => vertex.y || 0);
+    return {
+      text: annotation.description,
+      box: {
+        x0: Math.min(...xs),
+        y0: Math.min(...ys),
+        x1: Math.max(...xs),
+        y1: Math.max(...ys)
+      }
+    };
+  });
+
+  return buildOcrRead(fullText, words);
+}
+
+/**
+ * Google Vision provider - OCR only, returns a partial read
+ */
+module.exports = {
+  name: 'google',
+  isConfigured: () => Boolean(process.env.GOOGLE_VISION_KEY_FILE || process.env.GOOGLE_APPLICATION_CREDENTIALS),
+  analyze: imageBuffer => analyzeGoogleVisionBuffer(imageBuffer),
+  analyzeGoogleVisionBuffer
+};
@@ -0,0 +1,234 @@
+const openaiProvider = require('./openaiProvider');
+const googleVisionProvider = require('./googleVisionProvider');
+const tesseractProvider = require('./tesseractProvider');
+const { recognizeCards } = require('../cardRecognition');
+const { detectLayout, applyLayoutToOcrRead } = require('../tableLayoutService');
+const { isReplaying, hasRecording, runRecorded } = require('./recording');
+
+const PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [googleVisionProvider.name]: googleVisionProvider,
+  [tesseractProvider.name]: tesseractProvider
+};
+
+const DEFAULT_CHAIN = 'openai,google,tesseract';
+const DEFAULT_TIMEOUT_MS = 30000;
+// How long an aborted provider gets to report the calls it made
+const ABORT_GRACE_MS = 1000;
+
+// In-memory per-provider counters, reset on restart
+const metrics = {};
+
+function getMetrics(name) {
+  if (!metrics[name]) {
+    metrics[name] = {
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      skipped: 0,
+      totalMs: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null
+    };
+  }
+  return metrics[name];
+}
+
+/**
+ * Ordered provider names from VISION_PROVIDERS (e.g. "openai,google,tesseract")
+ */
+function getProviderChain() {
+  const names = (process.env.VISION_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !PROVIDERS[name]);
+  if (unknown.length) {
+    console.log(`⚠️ Unknown vision providers ignored: ${unknown.join(', ')}`);
+  }
+  return names.filter(name => PROVIDERS[name]);
+}
+
+/**
+ * Run a provider, aborting it through its AbortSignal if it does not answer
+ * within the timeout. A read that arrives during the grace period after the
+ * abort is still used. Otherwise the timeout error is marked timedOut and
+ * carries the calls the provider reported before giving up (providerCalls).
+ */
+async function withTimeout(run, ms, name) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  const aborted = new Promise(resolve => controller.signal.addEventListener('abort', () => resolve(null), { once: true }));
+  const attempt = run(controller.signal).then(read => ({ read }), error => ({ error }));
+  try {
+    let outcome = await Promise.race([attempt, aborted]);
+    if (!outcome) {
+      // Providers that honour the signal stop right away and report their calls
+      let graceTimer;
+      outcome = await Promise.race([attempt, new Promise(resolve => { graceTimer = setTimeout(() => resolve({}), ABORT_GRACE_MS); })]);
+      clearTimeout(graceTimer);
+      if (outcome.read) {
+        return outcome.read;
+      }
+      const error = new Error(`${name} timed out after ${ms}ms`);
+      error.timedOut = true;
+      error.providerCalls = outcome.error ? outcome.error.providerCalls : outcome.read && outcome.read.provider_calls;
+      throw error;
+    }
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.read;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Billable call of a provider that does not report its requests: one request with the screenshot
+ */
+function screenshotCall(name, imageBuffer) {
+  return { provider: name, model: null, inputTokens: null, outputTokens: null, imageBytes: imageBuffer.length };
+}
+
+/**
+ * Match the screenshot to a client layout profile; detection problems only
+ * mean the providers work on the whole image
+ */
+async function findLayout(imageBuffer) {
+  try {
+    const layout = await detectLayout(imageBuffer);
+    console.log(layout
+      ? `🗺️ Table layout: ${layout.id} (score ${layout.score}, hero ${layout.heroPosition || 'position unknown'})`
+      : '🗺️ No table layout matched, using the full image');
+    return layout;
+  } catch (error) {
+    console.log(`⚠️ Table layout detection failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * OCR providers cannot read cards; fill them in with local card recognition
+ */
+async function addRecognizedCards(read, imageBuffer, layout) {
+  try {
+    const cards = await recognizeCards(imageBuffer, layout);
+    console.log(`🃏 Card recognition: hero [${cards.hero_card.join(' ')}], board [${cards.board_card.join(' ')}]`);
+    return {
+      ...read,
+      hero_card: cards.hero_card,
+      board_card: cards.board_card,
+      card_detections: cards.detections
+    };
+  } catch (error) {
+    console.log(`⚠️ Card recognition failed: ${error.message}`);
+    return read;
+  }
+}
+
+/**
+ * Run the image through each configured provider in order until one succeeds
+ * @param {Buffer} imageBuffer - Uploaded screenshot
+ * @param {string} gameFormat - 'cash' or 'tournament'
+ * @param {Function} onProgress - Optional (stage, percent, data) callback
+ * @param {Object} options - { prompt }: prompt version and model for providers that use one
+ * @returns {Promise<{read: Object, provider: string, layout: Object|null, calls: Array<Object>}>} Table read, the provider
+ *   that produced it, the matched layout and every billable provider call made (tokens, image bytes), failed ones included
+ */
+async function runVisionPipeline(imageBuffer, gameFormat, onProgress = () => {}, options = {}) {
+  const timeoutMs = parseInt(process.env.VISION_PROVIDER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const failures = [];
+  const calls = [];
+  const layout = await findLayout(imageBuffer);
+
+  for (const name of getProviderChain()) {
+    const provider = PROVIDERS[name];
+    const stats = getMetrics(name);
+    const recordName = provider.usesPrompt && options.prompt
+      ? `${name}@${options.prompt.name}/${options.prompt.version}/${options.prompt.model}`
+      : name;
+
+    // A replay answers for the providers that were configured when it was recorded
+    const available = isReplaying() ? hasRecording(recordName, imageBuffer, gameFormat) : provider.isConfigured();
+    if (!available) {
+      stats.skipped++;
+      continue;
+    }
+
+    stats.calls++;
+    const startTime = Date.now();
+    try {
+      console.log(`👁️ Reading table with ${name}...`);
+      onProgress('provider_called', 25, { provider: name });
+      const { provider_calls: providerCalls, ...read } = await withTimeout(
+        signal => runRecorded(recordName, imageBuffer, gameFormat, () => provider.analyze(imageBuffer, gameFormat, layout, onProgress, options.prompt, signal)),
+        timeoutMs,
+        name
+      );
+      // Providers that do not report their requests made one call with the screenshot
+      calls.push(...(providerCalls || [screenshotCall(name, imageBuffer)]));
+      let finalRead = read;
+      if (!read.complete) {
+        const placedRead = layout ? applyLayoutToOcrRead(read, layout) : read;
+        finalRead = await addRecognizedCards(placedRead, imageBuffer, layout);
+      }
+      const elapsed = Date.now() - startTime;
+      stats.totalMs += elapsed;
+      // The local engine decides partial reads and needs hero's cards; without
+      // them the read is a failure and the next provider may still give one it can analyze
+      if (!finalRead.complete && (!Array.isArray(finalRead.hero_card) || finalRead.hero_card.length !== 2)) {
+        stats.failures++;
+        stats.lastError = 'hero cards not recognized';
+        stats.lastErrorAt = new Date();
+        console.log(`⚠️ ${name} read no hero cards, trying the next provider`);
+        failures.push(`${name}: hero cards not recognized`);
+        continue;
+      }
+      stats.successes++;
+      stats.lastSuccessAt = new Date();
+      console.log(`✅ ${name} read the table in ${(elapsed / 1000).toFixed(2)}s`);
+      return {
+        read: finalRead,
+        provider: name,
+        layout,
+        calls
+      };
+    } catch (error) {
+      // A timed-out provider that does not report its requests still sent the screenshot
+      const failedCalls = error.providerCalls || (error.timedOut ? [screenshotCall(name, imageBuffer)] : []);
+      calls.push(...failedCalls.map(call => ({ ...call, failed: true })));
+      stats.failures++;
+      stats.totalMs += Date.now() - startTime;
+      stats.lastError = error.message;
+      stats.lastErrorAt = new Date();
+      console.log(`⚠️ ${name} failed: ${error.message}`);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All vision providers failed: ${failures.join('; ') || 'none configured'}`);
+}
+
+/**
+ * Snapshot of provider metrics in chain order
+ */
+function getProviderMetrics() {
+  return getProviderChain().map(name => {
+    const stats = getMetrics(name);
+    return {
+      name,
+      configured: PROVIDERS[name].isConfigured(),
+      ...stats,
+      avgMs: stats.calls ? Math.round(stats.totalMs / stats.calls) : null
+    };
+  });
+}
+
+module.exports = {
+  runVisionPipeline,
+  getProviderChain,
+  getProviderMetrics
+};
@@ -0,0 +1,233 @@
+const sharp = require('sharp');
+const OpenAI = require("openai");
+const { parseAndValidateAnalysis } = require('../../utils/analysisValidation');
+const { cropLayoutRegions } = require('../tableLayoutService');
+const { renderPrompt, resolvePrompt } = require('../promptRegistry');
+
+const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+/**
+ * Optimize image for OpenAI API - reduces size by 80-90%
+ */
+async function optimizeImageForOpenAI(imageBuffer) {
+  try {
+    console.log('🔄 Optimizing image for OpenAI...');
+    const startTime = Date.now();
+    
+    // Get original size
+    const originalSize = imageBuffer.length;
+    console.log(`📏 Original image size: ${(originalSize / 1024 / 1024).toFixed(2)} MB`);
+    
+    // Compress and resize image
+    const compressedBuffer = await sharp(imageBuffer)
+      .jpeg({ 
+        quality: 85,           // High quality but smaller size
+        progressive: true,     // Better compression
+        mozjpeg: true         // Better compression algorithm
+      })
+      .resize(1024, 768, {    // Optimal size for OpenAI
+        fit: 'inside',        // Maintain aspect ratio
+        withoutEnlargement: true  // Don't enlarge small images
+      })
+      .toBuffer();
+    
+    const compressedSize = compressedBuffer.length;
+    const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(1);
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    
+    console.log(`✅ Image optimization complete!`);
+    console.log(`📊 Size reduction: ${compressionRatio}% (${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB)`);
+    console.log(`⏱️ Processing time: ${processingTime}s`);
+    
+    return compressedBuffer;
+  } catch (error) {
+    console.error('❌ Image optimization failed:', error);
+    // Return original buffer if optimization fails
+    return imageBuffer;
+  }
+}
+
+function toJpegDataUrl(buffer) {
+  return `data:image/jpeg;base64,${buffer.toString("base64")}`;
+}
+
+/**
+ * Image inputs for a detected layout: a low-detail overview of the table plus
+ * close-ups of the regions that matter, instead of one large high-detail image
+ */
+async function buildLayoutImages(imageBuffer, layout) {
+  const crops = await cropLayoutRegions(imageBuffer, layout);
+  return {
+    content: [
+      { type: "input_text", text: "Whole table:" },
+      { type: "input_image", image_url: toJpegDataUrl(crops.overview), detail: "low" },
+      { type: "input_text", text: "Hero's cards:" },
+      { type: "input_image", image_url: toJpegDataUrl(crops.heroCards), detail: "high" },
+      { type: "input_text", text: "Board:" },
+      { type: "input_image", image_url: toJpegDataUrl(crops.board), detail: "high" },
+      { type: "input_text", text: "Pot:" },
+      { type: "input_image", image_url: toJpegDataUrl(crops.pot), detail: "high" }
+    ],
+    imageBytes: crops.overview.length + crops.heroCards.length + crops.board.length + crops.pot.length
+  };
+}
+
+/**
+ * Call OpenAI API with optimized image and prompt
+ * @param {Object} layout - Detected table layout; when set, cropped regions are sent instead of the full image
+ * @param {Function} onProgress - Optional (stage, percent, data) callback
+ * @param {Object} prompt - Prompt version and model settings (resolvePrompt); the default prompt when omitted
+ * @param {AbortSignal} signal - Optional; aborts the request in flight
+ * @returns {Promise<Object>} Validated read with provider_calls: tokens and image bytes of each request.
+ *   Errors carry the requests made before the failure as providerCalls.
+ */
+async function callOpenAIAPI(imageBuffer, gameFormat, layout = null, onProgress = () => {}, prompt = resolvePrompt(), signal) {
+  // One entry per request, including a validation retry
+  const calls = [];
+  try {
+    const MODEL = prompt.model;
+
+    // Check if API key is available
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    console.log('🤖 Calling OpenAI API...');
+    const apiStartTime = Date.now();
+
+    // Step 1-2: Crop the layout's regions, or optimize the whole image as JPEG
+    let imageContent = null;
+    let imageBytes = 0;
+    if (layout) {
+      try {
+        ({ content: imageContent, imageBytes } = await buildLayoutImages(imageBuffer, layout));
+      } catch (error) {
+        console.log(`⚠️ Layout cropping failed, sending the full image: ${error.message}`);
+      }
+    }
+    if (!imageContent) {
+      const optimizedBuffer = await optimizeImageForOpenAI(imageBuffer);
+      imageContent = [{ type: "input_image", image_url: toJpegDataUrl(optimizedBuffer) }];
+      imageBytes = optimizedBuffer.length;
+    }
+    onProgress('image_optimized', 35, { images: imageContent.filter(item => item.type === "input_image").length });
+    const layoutHint = layout
+      ? `\n      Table: ${layout.site} ${layout.maxPlayers}-max.${layout.heroPosition ? ` Hero is ${layout.heroPosition}.` : ''}`
+      : '';
+
+    // Step 3: Render the prompt version assigned to this analysis
+    const optimizedPrompt = renderPrompt(prompt, gameFormat, { layoutHint });
+
+    // Step 4: Make API call with optimized parameters
+    const input = [
+      {
+        role: "user",
+        content: [
+          { type: "input_text", text: optimizedPrompt },
+          ...imageContent
+        ]
+      }
+    ];
+    const requestAnalysis = async () => {
+      const answer = await client.responses.create({
+        model: MODEL,
+        input,
+        max_output_tokens: prompt.maxOutputTokens,
+        temperature: prompt.temperature
+      }, { signal });
+      calls.push({
+        provider: 'openai',
+        model: answer.model || MODEL,
+        inputTokens: answer.usage ? answer.usage.input_tokens || 0 : null,
+        outputTokens: answer.usage ? answer.usage.output_tokens || 0 : null,
+        imageBytes
+      });
+      return answer;
+    };
+
+    let response = await requestAnalysis();
+
+    // Step 5: Parse and validate response
+    let validation = parseAndValidateAnalysis(response.output_text);
+
+    // Step 6: Re-ask once with the validation errors before giving up
+    if (validation.errors.length > 0) {
+      console.log(`⚠️ OpenAI output failed validation: ${validation.errors.join('; ')}`);
+      console.log('🔁 Re-asking OpenAI with the validation errors...');
+
+      input.push(
+        { role: "assistant", content: response.output_text || '' },
+        {
+          role: "user",
+          content: [{
+            type: "input_text",
+            text: `Your JSON had these problems:\n- ${validation.errors.join('\n- ')}\nRe-read the image and return the corrected JSON in the same format. Return ONLY JSON.`
+          }]
+        }
+      );
+      response = await requestAnalysis();
+      validation = parseAndValidateAnalysis(response.output_text);
+
+      if (validation.errors.length > 0) {
+        throw new Error(`Invalid analysis returned after retry: ${validation.errors.join('; ')}`);
+      }
+    }
+
+    onProgress('validated', 60);
+
+    const apiEndTime = Date.now();
+    const apiProcessingTime = ((apiEndTime - apiStartTime) / 1000).toFixed(2);
+    console.log(`⏱️ OpenAI API processing time: ${apiProcessingTime}s`);
+    console.log(`✅ OpenAI analysis completed in ${apiProcessingTime}s`);
+
+    return { ...validation.value, provider_calls: calls };
+  
+  } catch (error) {
+    console.error('❌ OpenAI API call failed:', error);
+    const failure = describeOpenAIError(error);
+    // Requests answered before the failure were still billed
+    failure.providerCalls = calls;
+    throw failure;
+  }
+}
+
+/**
+ * Readable error for a failed OpenAI call
+ */
+function describeOpenAIError(error) {
+  // Handle specific error types
+  if (error.status === 403 && error.code === 'unsupported_country_region_territory') {
+    return new Error('OpenAI services not available in your region. Please use a VPN or contact support.');
+  }
+
+  if (error.status === 401) {
+    return new Error('Invalid OpenAI API key. Please check your configuration.');
+  }
+
+  if (error.status === 429) {
+    return new Error('OpenAI API rate limit exceeded. Please try again later.');
+  }
+
+  if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
+    return new Error('Network connection issue. Please check your internet connection.');
+  }
+
+  // Generic error
+  return new Error(`OpenAI API error: ${error.message || 'Unknown error occurred'}`);
+}
+
+/**
+ * OpenAI vision provider - reads the table and returns a complete analysis
+ */
+module.exports = {
+  name: 'openai',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  // Reads depend on the prompt version and model, so recordings are kept per prompt
+  usesPrompt: true,
+  analyze: async (imageBuffer, gameFormat, layout, onProgress, prompt, signal) => ({
+    ...(await callOpenAIAPI(imageBuffer, gameFormat, layout, onProgress, prompt, signal)),
+    complete: true
+  }),
+  optimizeImageForOpenAI,
+  callOpenAIAPI
+};
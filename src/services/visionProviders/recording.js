@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/**
+ * Record and replay of vision provider responses, for the offline evaluation
+ * harness. A recording maps provider + screenshot + game format to the read
+ * the provider returned (or the error it failed with) and how long it took,
+ * so a replay runs the rest of the pipeline deterministically with no network.
+ */
+
+let session = null;
+
+function recordingKey(name, imageBuffer, gameFormat) {
+  const sha256 = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  return `${name}:${gameFormat}:${sha256}`;
+}
+
+/**
+ * Record every provider call from now on
+ */
+function startRecording() {
+  session = { mode: 'record', entries: {} };
+}
+
+/**
+ * Answer provider calls from a recording instead of calling the providers
+ * @param {Object} entries - Recording returned by stopRecording
+ */
+function startReplay(entries) {
+  session = { mode: 'replay', entries: entries || {} };
+}
+
+/**
+ * Stop recording or replaying
+ * @returns {Object} The recorded entries
+ */
+function stopRecording() {
+  const entries = session ? session.entries : {};
+  session = null;
+  return entries;
+}
+
+function isReplaying() {
+  return Boolean(session && session.mode === 'replay');
+}
+
+/**
+ * Whether a replay has an answer for this provider call; providers without one
+ * were not configured when the recording was made
+ */
+function hasRecording(name, imageBuffer, gameFormat) {
+  return isReplaying() && Boolean(session.entries[recordingKey(name, imageBuffer, gameFormat)]);
+}
+
+/**
+ * Run a provider call, recording or replaying it when a session is active
+ * @param {Function} analyze - The provider call
+ * @returns {Promise<Object>} The provider's read
+ */
+async function runRecorded(name, imageBuffer, gameFormat, analyze) {
+  if (!session) {
+    return analyze();
+  }
+
+  const key = recordingKey(name, imageBuffer, gameFormat);
+  if (session.mode === 'replay') {
+    const entry = session.entries[key];
+    if (!entry) {
+      throw new Error(`No recorded ${name} response for this screenshot`);
+    }
+    if (entry.error) {
+      const error = new Error(entry.error);
+      error.providerCalls = entry.calls;
+      throw error;
+    }
+    return JSON.parse(JSON.stringify(entry.read));
+  }
+
+  const startTime = Date.now();
+  try {
+    const read = await analyze();
+    session.entries[key] = { read, ms: Date.now() - startTime };
+    return read;
+  } catch (error) {
+    session.entries[key] = { error: error.message, calls: error.providerCalls, ms: Date.now() - startTime };
+    throw error;
+  }
+}
+
+/**
+ * Provider time recorded for a screenshot (ms), summed over the providers tried
+ */
+function recordedProviderMs(imageBuffer, gameFormat) {
+  if (!session) {
+    return null;
+  }
+  const suffix = recordingKey('', imageBuffer, gameFormat);
+  return Object.entries(session.entries)
+    .filter(([key]) => key.endsWith(suffix))
+    .reduce((sum, [, entry]) => sum + (entry.ms || 0), 0);
+}
+
+module.exports = {
+  startRecording,
+  startReplay,
+  stopRecording,
+  isReplaying,
+  hasRecording,
+  runRecorded,
+  recordedProviderMs
+};
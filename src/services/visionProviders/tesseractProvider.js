@@ -0,0 +1,38 @@
+const Tesseract = require('tesseract.js');
+const { buildOcrRead } = require('../../utils/ocrParsing');
+
+/**
+ * Run Tesseract OCR locally
+ */
+async function analyzeTesseractBuffer(imageBuffer) {
+  const worker = await Tesseract.createWorker('eng');
+  try {
+    const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+    console.log(`🔤 Tesseract extracted ${(data.text || '').length} characters`);
+
+    // Flatten blocks → paragraphs → lines → words
+    const words = [];
+    (data.blocks || []).forEach(block => {
+      block.paragraphs.forEach(paragraph => {
+        paragraph.lines.forEach(line => {
+          line.words.forEach(word => {
+            words.push({ text: word.text, box: { ...word.bbox } });
+          });
+        });
+      });
+    });
+
+    return buildOcrRead(data.text, words);
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Tesseract provider - local OCR, always available, returns a partial read
+ */
+module.exports = {
+  name: 'tesseract',
+  isConfigured: () => true,
+  analyze: imageBuffer => analyzeTesseractBuffer(imageBuffer)
+};
@@ -0,0 +1,42 @@
+/**
+ * Parse an amount such as "$12.50", "1,200" or "35bb" into a number
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Round an amount to cents, dropping float noise from sums (0.1 + 0.2)
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert an amount from a table read to big blinds. Amounts already written
+ * in big blinds ("35bb") are kept; chips need the big blind.
+ * @returns {number|null}
+ */
+function toBigBlinds(value, bigBlind) {
+  if (typeof value === 'string' && /bb/i.test(value)) {
+    return parseAmount(value);
+  }
+  const amount = parseAmount(value);
+  if (amount === null || !bigBlind) {
+    return null;
+  }
+  return amount / bigBlind;
+}
+
+module.exports = {
+  parseAmount,
+  round2,
+  toBigBlinds
+};
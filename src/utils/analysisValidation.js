@@ -0,0 +1,116 @@
+const Joi = require('joi');
+const { normalizeCard } = require('./cards');
+
+// Card in any accepted notation, normalized to display notation ("10h" → "T♥")
+const cardSchema = Joi.string().custom((value, helpers) => {
+  try {
+    return normalizeCard(value);
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+}, 'card notation').messages({
+  'any.invalid': '{{#label}} "{{#value}}" is not a valid card (use <RANK><SUIT>, e.g. A♠ or Th)'
+});
+
+const amountSchema = Joi.alternatives().try(Joi.string().allow(''), Joi.number()).allow(null);
+
+// Shape of the table read returned by the vision model
+const analysisResultSchema = Joi.object({
+  hero_card: Joi.array().items(cardSchema).length(2).required(),
+  hero_position: Joi.string().allow('', null),
+  board_card: Joi.array().items(cardSchema).max(5).default([]),
+  pot: amountSchema,
+  big_blind: amountSchema,
+  stacks: Joi.object().pattern(Joi.string(), amountSchema).default({}),
+  actions: Joi.array().items(Joi.object({
+    seat: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    action: Joi.string().trim().min(1).required(),
+    amount: amountSchema
+  }).unknown(true)).default([]),
+  recommended_action: Joi.string().trim().min(1).required(),
+  confidence: Joi.number().min(0).max(100).required(),
+  analysis_notes: Joi.string().allow('').default('')
+}).unknown(true);
+
+/**
+ * Extract the JSON object from a model response, tolerating code fences and
+ * stray text around the object
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed object
+ */
+function parseModelJson(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Response was empty');
+  }
+
+  const cleanJson = text
+    .replace(/```json\s*/i, '') // remove starting ```json
+    .replace(/```\s*$/i, '')    // remove ending ```
+    .trim();
+
+  try {
+    return JSON.parse(cleanJson);
+  } catch (error) {
+    // Fall back to the outermost {...} block
+    const start = cleanJson.indexOf('{');
+    const end = cleanJson.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(cleanJson.slice(start, end + 1));
+      } catch (innerError) {
+        throw new Error(`Response is not valid JSON: ${innerError.message}`);
+      }
+    }
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Validate and normalize a parsed table read
+ * @param {Object} result - Parsed model output
+ * @returns {{value: Object|null, errors: Array<string>}} Normalized result, or the problems found
+ */
+function validateAnalysisResult(result) {
+  const { error, value } = analysisResultSchema.validate(result, { abortEarly: false });
+  if (error) {
+    return { value: null, errors: error.details.map(detail => detail.message) };
+  }
+
+  const errors = [];
+
+  // A board is dealt as flop (3), turn (4) and river (5) - never 1 or 2 cards
+  if (value.board_card.length === 1 || value.board_card.length === 2) {
+    errors.push(`"board_card" has ${value.board_card.length} cards; a board must have 0, 3, 4 or 5 cards`);
+  }
+
+  const seen = new Set();
+  for (const card of value.hero_card.concat(value.board_card)) {
+    if (seen.has(card)) {
+      errors.push(`${card} appears more than once across hero and board cards`);
+    }
+    seen.add(card);
+  }
+
+  return errors.length ? { value: null, errors } : { value, errors };
+}
+
+/**
+ * Parse and validate raw model output in one step
+ * @returns {{value: Object|null, errors: Array<string>}}
+ */
+function parseAndValidateAnalysis(text) {
+  let parsed;
+  try {
+    parsed = parseModelJson(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+  return validateAnalysisResult(parsed);
+}
+
+module.exports = {
+  analysisResultSchema,
+  parseModelJson,
+  validateAnalysisResult,
+  parseAndValidateAnalysis
+};
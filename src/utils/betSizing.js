@@ -0,0 +1,188 @@
+const { normalizeActionType, streetCommitments } = require('./handState');
+
+/**
+ * Bet-sizing math for a normalized hand state.
+ *
+ * The pot is the one shown on the table, including bets in front of players.
+ * Bet and raise amounts are street totals ("raise to"), like the hand state's
+ * actions; "added" is what hero puts in on top of what hero already has in.
+ */
+
+// Bet sizes when nobody has bet, as fractions of the pot
+const BET_FRACTIONS = [
+  ['BET 33%', 1 / 3],
+  ['BET 50%', 1 / 2],
+  ['BET 66%', 2 / 3],
+  ['BET POT', 1]
+];
+// Raise sizes as multiples of the bet hero faces (the big blind when unopened)
+const RAISE_MULTIPLES = [2.5, 3, 3.5];
+
+function round2(value) {
+  return value === null || value === undefined || !Number.isFinite(value) ? null : Math.round(value * 100) / 100;
+}
+
+function percent(value) {
+  return value === null || !Number.isFinite(value) ? null : Math.round(value * 1000) / 10;
+}
+
+/**
+ * Hero's stack behind and the effective stack in chips: the smaller of hero's
+ * stack and the largest stack still in the hand
+ */
+function stacksOf(handState) {
+  const players = handState.players || [];
+  const hero = players.find(player => player.hero);
+  const heroStack = hero && hero.stack !== null && hero.stack !== undefined ? hero.stack : null;
+  const folded = new Set((handState.actions || []).filter(entry => entry.action === 'fold').map(entry => entry.position));
+  const opponents = players
+    .filter(player => !player.hero && !folded.has(player.position) && player.stack !== null && player.stack !== undefined)
+    .map(player => player.stack);
+
+  let effectiveStack = heroStack;
+  if (heroStack !== null && opponents.length) {
+    effectiveStack = Math.min(heroStack, Math.max(...opponents));
+  }
+  return { heroStack, effectiveStack };
+}
+
+/**
+ * Pot odds, stack-to-pot ratio, minimum defence frequency and sized bet/raise
+ * options for hero's decision, with the recommended action's size
+ * @param {Object} handState - Result of buildHandState
+ * @param {string} recommendedAction - e.g. "RAISE 2.5x", "BET", "CALL", "SHOVE"
+ * @returns {Object|null} null when the pot is unknown
+ */
+function calculateBetSizing(handState, recommendedAction) {
+  const pot = handState && handState.pot;
+  if (!pot || pot <= 0) {
+    return null;
+  }
+
+  const { street, bigBlind, heroPosition } = handState;
+  const inBigBlinds = amount => (amount !== null && bigBlind ? round2(amount / bigBlind) : null);
+
+  const streetActions = (handState.actions || []).filter(entry => entry.street === street);
+  const committed = streetCommitments(streetActions, street, bigBlind);
+  const heroCommitted = committed[heroPosition] || 0;
+  const levels = [...new Set(Object.values(committed))].sort((a, b) => b - a);
+  const toCall = handState.toCall !== null && handState.toCall !== undefined
+    ? handState.toCall
+    : Math.max(0, (levels[0] || 0) - heroCommitted);
+  const currentBet = heroCommitted + toCall;
+  // A raise must be at least as large as the last bet or raise on the street
+  const lastIncrement = Math.max(currentBet - (levels.find(level => level < currentBet) || 0), bigBlind || 0);
+
+  const { heroStack, effectiveStack } = stacksOf(handState);
+  const maxTotal = heroStack !== null ? heroCommitted + heroStack : null;
+
+  const sizeOption = (label, action, total) => {
+    const allIn = maxTotal !== null && total >= maxTotal;
+    const amount = round2(allIn ? maxTotal : total);
+    const added = round2(amount - heroCommitted);
+    // A pure bluff risks what hero adds to win the pot
+    const bluffBreakEven = added / (pot + added);
+    const opponentToCall = amount - currentBet;
+    return {
+      label,
+      action: allIn ? 'allin' : action,
+      amount,
+      amountBb: inBigBlinds(amount),
+      added,
+      addedBb: inBigBlinds(added),
+      fractionOfPot: round2(added / pot),
+      bluffBreakEven: percent(bluffBreakEven),
+      opponentMdf: percent(1 - bluffBreakEven),
+      opponentPotOdds: percent(opponentToCall / (pot + added + opponentToCall)),
+      allIn
+    };
+  };
+
+  const options = [];
+  if (currentBet > 0) {
+    options.push(sizeOption('MIN-RAISE', 'raise', currentBet + lastIncrement));
+    for (const multiple of RAISE_MULTIPLES) {
+      options.push(sizeOption(`RAISE ${multiple}x`, 'raise', currentBet * multiple));
+    }
+    // Pot-sized raise: call, then raise the size of the pot after the call
+    options.push(sizeOption('RAISE POT', 'raise', currentBet + pot + toCall));
+  } else {
+    for (const [label, fraction] of BET_FRACTIONS) {
+      options.push(sizeOption(label, 'bet', pot * fraction));
+    }
+  }
+  if (maxTotal !== null && maxTotal > currentBet) {
+    options.push(sizeOption('ALL-IN', 'allin', maxTotal));
+  }
+  // Sizes capped by hero's stack collapse into the all-in
+  const sized = options.filter(option => !option.allIn || option.label === 'ALL-IN');
+
+  return {
+    street,
+    pot: round2(pot),
+    potBb: inBigBlinds(pot),
+    toCall: round2(toCall),
+    toCallBb: inBigBlinds(toCall),
+    effectiveStack: round2(effectiveStack),
+    effectiveStackBb: inBigBlinds(effectiveStack),
+    potOdds: toCall > 0 ? percent(toCall / (pot + toCall)) : null,
+    spr: effectiveStack !== null ? round2(effectiveStack / pot) : null,
+    // Share of hero's range that must continue so a bluff of this size is not automatically profitable
+    mdf: toCall > 0 ? percent((pot - toCall) / pot) : null,
+    options: sized,
+    recommended: recommendedSize(recommendedAction, { sized, sizeOption, street, pot, currentBet, toCall, bigBlind, inBigBlinds })
+  };
+}
+
+/**
+ * Size of the recommended action: the matching option, or a call/check/fold with its price
+ */
+function recommendedSize(recommendedAction, { sized, sizeOption, street, pot, currentBet, toCall, bigBlind, inBigBlinds }) {
+  const text = String(recommendedAction || '').toUpperCase();
+  const action = normalizeActionType(text);
+  if (!action) {
+    return null;
+  }
+
+  if (action === 'fold' || action === 'check') {
+    return { label: text, action, amount: null, amountBb: null };
+  }
+  if (action === 'call') {
+    return { label: text, action, amount: round2(currentBet), amountBb: inBigBlinds(currentBet), added: round2(toCall), addedBb: inBigBlinds(toCall) };
+  }
+
+  const byLabel = label => sized.find(option => option.label === label) || null;
+  if (action === 'allin') {
+    return byLabel('ALL-IN');
+  }
+
+  const multiple = text.match(/(\d+(?:\.\d+)?)\s*X/);
+  const fraction = text.match(/(\d+(?:\.\d+)?)\s*%/);
+  let option = null;
+  if (currentBet > 0) {
+    if (/MIN/.test(text)) {
+      option = byLabel('MIN-RAISE');
+    } else if (/POT/.test(text)) {
+      option = byLabel('RAISE POT');
+    } else if (multiple) {
+      option = byLabel(`RAISE ${parseFloat(multiple[1])}x`) || sizeOption(`RAISE ${parseFloat(multiple[1])}x`, 'raise', currentBet * parseFloat(multiple[1]));
+    } else {
+      // Unsized raise: a standard open, or 3x the bet hero faces
+      const unopened = street === 'preflop' && bigBlind && currentBet <= bigBlind;
+      option = byLabel(unopened ? 'RAISE 2.5x' : 'RAISE 3x');
+    }
+  } else if (/POT/.test(text)) {
+    option = byLabel('BET POT');
+  } else if (fraction) {
+    const share = parseFloat(fraction[1]);
+    option = byLabel(`BET ${Math.round(share)}%`) || sizeOption(`BET ${Math.round(share)}%`, 'bet', pot * share / 100);
+  } else {
+    option = byLabel('BET 66%');
+  }
+  // Sizes beyond hero's stack were folded into the all-in
+  return option || byLabel('ALL-IN');
+}
+
+module.exports = {
+  calculateBetSizing
+};
@@ -0,0 +1,311 @@
+const { RANKS, parseCards, cardRank, cardSuit, buildDeck } = require('./cards');
+const { evaluateHand, scoreCategory, describeScore } = require('./handEvaluator');
+
+/**
+ * Deterministic board texture and hero holding labels.
+ *
+ * Labels are short kebab-case strings so analyses can be filtered by them
+ * ("monotone", "paired", "top-pair", "combo-draw").
+ */
+
+const STREET_BY_SIZE = { 3: 'flop', 4: 'turn', 5: 'river' };
+const ACE = 14;
+
+function rankName(rank) {
+  return RANKS[rank - 2];
+}
+
+function rankMaskOf(cards) {
+  let mask = 0;
+  for (const card of cards) {
+    mask |= 1 << cardRank(card);
+  }
+  // Ace also plays low in the wheel
+  if (mask & (1 << ACE)) {
+    mask |= 1 << 1;
+  }
+  return mask;
+}
+
+/**
+ * Largest number of distinct board ranks inside any five-rank straight window
+ */
+function maxRanksInWindow(cards) {
+  const mask = rankMaskOf(cards);
+  let best = 0;
+  for (let low = 1; low <= 10; low++) {
+    let count = 0;
+    for (let rank = low; rank < low + 5; rank++) {
+      if (mask & (1 << rank)) count++;
+    }
+    best = Math.max(best, count);
+  }
+  return best;
+}
+
+function suitCounts(cards) {
+  const counts = [0, 0, 0, 0];
+  for (const card of cards) {
+    counts[cardSuit(card)]++;
+  }
+  return counts;
+}
+
+/**
+ * Best hand anyone can hold on a board: category and top rank, which is what
+ * a later card has to beat to change the nuts
+ */
+function nutHand(board) {
+  const deck = buildDeck(board);
+  let best = -1;
+  for (let i = 0; i < deck.length; i++) {
+    for (let j = i + 1; j < deck.length; j++) {
+      const score = evaluateHand(board.concat([deck[i], deck[j]]));
+      if (score > best) best = score;
+    }
+  }
+  // Category and primary rank; kickers change on almost every card
+  return {
+    hand: describeScore(best),
+    key: `${scoreCategory(best)}:${Math.floor(best / 0x10000) % 16}`
+  };
+}
+
+/**
+ * Texture of a 3-5 card board of card integers
+ */
+function textureOf(board) {
+  const street = STREET_BY_SIZE[board.length];
+
+  const ranks = board.map(cardRank).sort((a, b) => b - a);
+  const distinctRanks = new Set(ranks).size;
+  const maxSuit = Math.max(...suitCounts(board));
+  const windowRanks = maxRanksInWindow(board);
+
+  let suits;
+  if (maxSuit === board.length) suits = 'monotone';
+  else if (maxSuit >= 3) suits = 'flush-possible';
+  else if (maxSuit === 2) suits = 'two-tone';
+  else suits = 'rainbow';
+
+  const paired = distinctRanks < board.length;
+  const trips = ranks.some(rank => ranks.filter(other => other === rank).length >= 3);
+  // Three ranks in a five-rank window let two hole cards make a straight
+  const connected = windowRanks >= 3;
+  const height = ranks[0] >= 10 ? 'high' : (ranks[0] <= 8 ? 'low' : 'middle');
+
+  // Draws and made flushes/straights make a board wet; pairs make it drier
+  let wetScore = 0;
+  if (suits === 'monotone' || suits === 'flush-possible') wetScore += 2;
+  else if (suits === 'two-tone' && street !== 'river') wetScore += 1;
+  if (connected) wetScore += 2;
+  else if (windowRanks === 2) wetScore += 1;
+  if (paired) wetScore -= 1;
+  const wetness = wetScore >= 3 ? 'wet' : (wetScore <= 1 ? 'dry' : 'semi-wet');
+
+  const nuts = nutHand(board);
+  let nutsChanged = null;
+  if (street !== 'flop') {
+    nutsChanged = nutHand(board.slice(0, -1)).key !== nuts.key;
+  }
+
+  const labels = [
+    suits,
+    paired ? 'paired' : 'unpaired',
+    connected ? 'connected' : 'disconnected',
+    `${rankName(ranks[0])}-high`,
+    `${height}-board`,
+    wetness
+  ];
+  if (trips) labels.push('trips-on-board');
+  if (nutsChanged) labels.push(`${street}-changed-nuts`);
+
+  return {
+    street,
+    suits,
+    paired,
+    trips,
+    connected,
+    highCard: rankName(ranks[0]),
+    height,
+    wetness,
+    nuts: nuts.hand,
+    nutsChanged,
+    labels,
+    // Flop labels let turn and river decisions be found by the flop they came from
+    flopLabels: street === 'flop' ? labels : textureOf(board.slice(0, 3)).labels
+  };
+}
+
+/**
+ * Texture of a 3-5 card board
+ * @param {Array} boardInput - Board cards in any notation parseCards accepts
+ * @returns {Object|null} null before the flop
+ */
+function classifyBoard(boardInput) {
+  const board = parseCards(boardInput || []);
+  return STREET_BY_SIZE[board.length] ? textureOf(board) : null;
+}
+
+/**
+ * Kicker class of a top pair: the best kicker still possible, a good one, or weak
+ */
+function kickerClass(kicker, board, pairedRank) {
+  const taken = new Set(board.map(cardRank).concat(pairedRank));
+  const better = [];
+  for (let rank = ACE; rank > kicker; rank--) {
+    if (!taken.has(rank)) better.push(rank);
+  }
+  if (!better.length) return 'top';
+  return better.length <= 2 && kicker >= 10 ? 'good' : 'weak';
+}
+
+/**
+ * Straight draw from hero's cards: 'open-ended' with two or more completing
+ * ranks (double gutters included), 'gutshot' with one
+ */
+function straightDraw(hero, board) {
+  const cards = hero.concat(board);
+  const boardMask = rankMaskOf(board);
+  const mask = rankMaskOf(cards);
+  let completing = 0;
+  for (let rank = 2; rank <= ACE; rank++) {
+    const withRank = mask | (1 << rank) | (rank === ACE ? 1 << 1 : 0);
+    const boardWithRank = boardMask | (1 << rank) | (rank === ACE ? 1 << 1 : 0);
+    if (hasStraight(withRank) && !hasStraight(boardWithRank)) {
+      completing++;
+    }
+  }
+  if (completing >= 2) return 'open-ended';
+  return completing === 1 ? 'gutshot' : null;
+}
+
+function hasStraight(mask) {
+  for (let low = 1; low <= 10; low++) {
+    const run = 0b11111 << low;
+    if ((mask & run) === run) return true;
+  }
+  return false;
+}
+
+/**
+ * Flush draw: four to a flush with at least one of hero's cards; the nut
+ * flush draw holds the highest card of the suit not on the board
+ */
+function flushDraw(hero, board) {
+  const counts = suitCounts(hero.concat(board));
+  for (let suit = 0; suit < 4; suit++) {
+    const heroSuited = hero.filter(card => cardSuit(card) === suit);
+    if (counts[suit] === 4 && heroSuited.length) {
+      const boardRanks = new Set(board.filter(card => cardSuit(card) === suit).map(cardRank));
+      let highest = ACE;
+      while (boardRanks.has(highest)) highest--;
+      return heroSuited.some(card => cardRank(card) === highest) ? 'nut-flush-draw' : 'flush-draw';
+    }
+  }
+  return null;
+}
+
+/**
+ * Pair class for hero's best one-pair (or board-paired two-pair) hand
+ */
+function pairClass(hero, board) {
+  const heroRanks = hero.map(cardRank);
+  const boardRanks = [...new Set(board.map(cardRank))].sort((a, b) => b - a);
+
+  if (heroRanks[0] === heroRanks[1]) {
+    const pocket = heroRanks[0];
+    if (pocket > boardRanks[0]) return { madeHand: 'overpair', kicker: null };
+    if (pocket < boardRanks[boardRanks.length - 1]) return { madeHand: 'underpair', kicker: null };
+    return { madeHand: 'middle-pair', kicker: null };
+  }
+
+  const paired = heroRanks.filter(rank => boardRanks.includes(rank)).sort((a, b) => b - a)[0];
+  if (paired === undefined) {
+    return null;
+  }
+  if (paired === boardRanks[0]) {
+    const kicker = heroRanks.find(rank => rank !== paired);
+    return { madeHand: 'top-pair', kicker: kickerClass(kicker, board, paired) };
+  }
+  if (paired === boardRanks[boardRanks.length - 1]) {
+    return { madeHand: 'bottom-pair', kicker: null };
+  }
+  return { madeHand: 'middle-pair', kicker: null };
+}
+
+/**
+ * Hero's holding on a 3-5 card board: made hand, kicker class for top pair,
+ * and draws on the flop and turn
+ * @param {Array} heroInput - Hero's two hole cards
+ * @param {Array} boardInput - Board cards
+ * @returns {Object|null} null before the flop or without both hole cards
+ */
+function classifyHolding(heroInput, boardInput) {
+  const hero = parseCards(heroInput || []);
+  const board = parseCards(boardInput || []);
+  if (hero.length !== 2 || !STREET_BY_SIZE[board.length]) {
+    return null;
+  }
+
+  const score = evaluateHand(hero.concat(board));
+  const category = scoreCategory(score);
+  const heroRanks = hero.map(cardRank);
+  const boardRanks = board.map(cardRank);
+  const boardPairs = boardRanks.filter((rank, index) => boardRanks.indexOf(rank) !== index);
+
+  let made = null;
+  // On a full board, a hand no better than the board itself means the board plays
+  if (board.length === 5 && score === evaluateHand(board)) {
+    made = { madeHand: 'board-plays', kicker: null };
+  } else if (category >= 4) {
+    made = { madeHand: ['straight', 'flush', 'full-house', 'quads', 'straight-flush'][category - 4], kicker: null };
+  } else if (category === 3) {
+    const pocketSet = heroRanks[0] === heroRanks[1] && boardRanks.includes(heroRanks[0]);
+    made = { madeHand: pocketSet ? 'set' : (boardPairs.length && !heroRanks.some(rank => boardPairs.includes(rank)) ? 'trips-on-board' : 'trips'), kicker: null };
+  } else if (category === 2 && heroRanks[0] !== heroRanks[1] && heroRanks.every(rank => boardRanks.includes(rank))) {
+    made = { madeHand: 'two-pair', kicker: null };
+  } else if (category >= 1) {
+    made = pairClass(hero, board);
+  }
+
+  const draws = [];
+  if (board.length < 5 && category < 4) {
+    const flush = flushDraw(hero, board);
+    if (flush) draws.push(flush);
+    const straight = straightDraw(hero, board);
+    if (straight) draws.push(straight);
+  }
+  const comboDraw = draws.length === 2;
+  // Overcards still have cards to come
+  const overcards = !made && board.length < 5 && heroRanks.every(rank => rank > Math.max(...boardRanks));
+
+  let holding;
+  if (made && made.madeHand !== 'board-plays' && made.madeHand !== 'trips-on-board') holding = made.madeHand;
+  else if (comboDraw) holding = 'combo-draw';
+  else if (draws.length) holding = draws[0].endsWith('flush-draw') ? 'flush-draw' : 'straight-draw';
+  else if (overcards) holding = 'overcards';
+  else holding = 'air';
+
+  const labels = [holding];
+  if (made && !labels.includes(made.madeHand)) labels.push(made.madeHand);
+  if (made && made.kicker) labels.push(`top-pair-${made.kicker}-kicker`);
+  for (const draw of draws) {
+    if (!labels.includes(draw)) labels.push(draw);
+  }
+  if (comboDraw && !labels.includes('combo-draw')) labels.push('combo-draw');
+  if (overcards && holding !== 'overcards') labels.push('overcards');
+
+  return {
+    holding,
+    madeHand: made ? made.madeHand : null,
+    kicker: made ? made.kicker : null,
+    draws,
+    labels
+  };
+}
+
+module.exports = {
+  classifyBoard,
+  classifyHolding
+};
@@ -0,0 +1,138 @@
+/**
+ * Card helpers shared by the local poker engine.
+ *
+ * A card is stored as an integer 0-51: (rank - 2) * 4 + suit, where rank is
+ * 2-14 (deuce to ace) and suit is the index into SUITS.
+ */
+
+const RANKS = '23456789TJQKA';
+const SUITS = 'shdc';
+
+const SUIT_SYMBOLS = {
+  '♠': 's',
+  '♥': 'h',
+  '♦': 'd',
+  '♣': 'c',
+  // Outline variants the model sometimes returns
+  '♤': 's',
+  '♡': 'h',
+  '♢': 'd',
+  '♧': 'c'
+};
+
+// Canonical display symbol per suit letter, as used in the analysis JSON
+const SUIT_DISPLAY = {
+  s: '♠',
+  h: '♥',
+  d: '♦',
+  c: '♣'
+};
+
+/**
+ * Parse a single card such as "A♠", "Kh", "10d", "tc" or "Q ♥️"
+ * @param {string} input - Card notation
+ * @returns {number} Card integer (0-51)
+ */
+function parseCard(input) {
+  if (typeof input !== 'string') {
+    throw new Error(`Invalid card: ${input}`);
+  }
+
+  // Drop whitespace and emoji variation selectors (e.g. "♥️" is "♥" + U+FE0F)
+  let text = input.replace(/[\s\uFE0E\uFE0F]/g, '');
+  for (const [symbol, letter] of Object.entries(SUIT_SYMBOLS)) {
+    text = text.replace(symbol, letter);
+  }
+  text = text.replace(/^10/, 'T');
+
+  if (text.length !== 2) {
+    throw new Error(`Invalid card: ${input}`);
+  }
+
+  const rankIndex = RANKS.indexOf(text[0].toUpperCase());
+  const suitIndex = SUITS.indexOf(text[1].toLowerCase());
+
+  if (rankIndex === -1 || suitIndex === -1) {
+    throw new Error(`Invalid card: ${input}`);
+  }
+
+  return rankIndex * 4 + suitIndex;
+}
+
+/**
+ * Parse a list of cards, ignoring empty entries
+ * @param {Array<string>} list - Card notations
+ * @returns {Array<number>} Card integers
+ */
+function parseCards(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .filter(card => typeof card === 'string' && card.trim() !== '')
+    .map(parseCard);
+}
+
+/**
+ * Convert a card integer back to "<RANK><suit>" notation (e.g. "As")
+ */
+function cardToString(card) {
+  return RANKS[cardRank(card) - 2] + SUITS[cardSuit(card)];
+}
+
+/**
+ * Convert a card integer to display notation with a suit symbol (e.g. "A♠")
+ */
+function formatCard(card) {
+  return RANKS[cardRank(card) - 2] + SUIT_DISPLAY[SUITS[cardSuit(card)]];
+}
+
+/**
+ * Normalize any accepted card notation to display notation ("10h" → "T♥")
+ */
+function normalizeCard(input) {
+  return formatCard(parseCard(input));
+}
+
+/**
+ * Rank of a card, 2-14
+ */
+function cardRank(card) {
+  return (card >> 2) + 2;
+}
+
+/**
+ * Suit index of a card, 0-3
+ */
+function cardSuit(card) {
+  return card & 3;
+}
+
+/**
+ * Build the 52-card deck minus any dead cards
+ * @param {Array<number>} deadCards - Cards to exclude
+ * @returns {Array<number>}
+ */
+function buildDeck(deadCards = []) {
+  const dead = new Set(deadCards);
+  const deck = [];
+  for (let card = 0; card < 52; card++) {
+    if (!dead.has(card)) {
+      deck.push(card);
+    }
+  }
+  return deck;
+}
+
+module.exports = {
+  RANKS,
+  SUITS,
+  parseCard,
+  parseCards,
+  cardToString,
+  formatCard,
+  normalizeCard,
+  cardRank,
+  cardSuit,
+  buildDeck
+};
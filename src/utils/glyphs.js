@@ -0,0 +1,95 @@
+/**
+ * Pixel-mask helpers for reading glyphs out of screenshots
+ */
+
+// Size every rank glyph is resampled to before template matching
+const TEMPLATE_GRID = { width: 12, height: 16 };
+
+/**
+ * Label 4-connected components of a mask
+ * @param {Uint8Array} mask - 1 for pixels that belong to a component
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {Array<{x0: number, y0: number, x1: number, y1: number, area: number, pixels: Array<number>}>}
+ */
+function findComponents(mask, width, height, { keepPixels = false } = {}) {
+  const seen = new Uint8Array(mask.length);
+  const stack = new Int32Array(mask.length);
+  const components = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    const component = { x0: width, y0: height, x1: 0, y1: 0, area: 0, pixels: [] };
+    let top = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      component.area++;
+      if (keepPixels) component.pixels.push(index);
+      if (x < component.x0) component.x0 = x;
+      if (x > component.x1) component.x1 = x;
+      if (y < component.y0) component.y0 = y;
+      if (y > component.y1) component.y1 = y;
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && mask[next] && !seen[next]) {
+          seen[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+    components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Resample a glyph's ink mask to the template grid as a string of 0/1 cells
+ * @param {Uint8Array} mask - Ink mask of the glyph's bounding box
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {{width: number, height: number}} grid - Template grid size
+ * @returns {string}
+ */
+function glyphToGrid(mask, width, height, grid = TEMPLATE_GRID) {
+  const { width: gridWidth, height: gridHeight } = grid;
+  let cells = '';
+
+  for (let gy = 0; gy < gridHeight; gy++) {
+    const y0 = Math.floor(gy * height / gridHeight);
+    const y1 = Math.max(y0 + 1, Math.floor((gy + 1) * height / gridHeight));
+    for (let gx = 0; gx < gridWidth; gx++) {
+      const x0 = Math.floor(gx * width / gridWidth);
+      const x1 = Math.max(x0 + 1, Math.floor((gx + 1) * width / gridWidth));
+      let ink = 0;
+      let total = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          ink += mask[y * width + x];
+          total++;
+        }
+      }
+      cells += ink * 2 >= total ? '1' : '0';
+    }
+  }
+
+  return cells;
+}
+
+module.exports = {
+  TEMPLATE_GRID,
+  findComponents,
+  glyphToGrid
+};
@@ -0,0 +1,165 @@
+const { cardRank, cardSuit } = require('./cards');
+
+/**
+ * Hand categories, weakest to strongest
+ */
+const HAND_CATEGORIES = [
+  'High Card',
+  'One Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush'
+];
+
+/**
+ * Highest straight in a rank bitmask (bit n set = rank n present), or 0
+ */
+function straightHigh(mask) {
+  // Ace also plays low in the wheel (A-2-3-4-5)
+  if (mask & (1 << 14)) {
+    mask |= 1 << 1;
+  }
+  for (let high = 14; high >= 5; high--) {
+    const run = 0b11111 << (high - 4);
+    if ((mask & run) === run) {
+      return high;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Pack a category and up to five kicker ranks into one comparable integer
+ */
+function packScore(category, kickers) {
+  let score = category;
+  for (let i = 0; i < 5; i++) {
+    score = score * 16 + (kickers[i] || 0);
+  }
+  return score;
+}
+
+/**
+ * Ranks present in a bitmask, highest first
+ */
+function ranksFromMask(mask, limit) {
+  const ranks = [];
+  for (let rank = 14; rank >= 2 && ranks.length < limit; rank--) {
+    if (mask & (1 << rank)) {
+      ranks.push(rank);
+    }
+  }
+  return ranks;
+}
+
+/**
+ * Evaluate the best five-card hand out of 5 to 7 cards
+ * @param {Array<number>} cards - Card integers from utils/cards
+ * @returns {number} Score - a higher score always beats a lower one
+ */
+function evaluateHand(cards) {
+  if (cards.length < 5 || cards.length > 7) {
+    throw new Error(`Hand evaluation needs 5 to 7 cards, got ${cards.length}`);
+  }
+
+  const rankCounts = new Array(15).fill(0);
+  const suitCounts = [0, 0, 0, 0];
+  const suitMasks = [0, 0, 0, 0];
+  let rankMask = 0;
+
+  for (const card of cards) {
+    const rank = cardRank(card);
+    const suit = cardSuit(card);
+    rankCounts[rank]++;
+    suitCounts[suit]++;
+    suitMasks[suit] |= 1 << rank;
+    rankMask |= 1 << rank;
+  }
+
+  // Flushes and straight flushes
+  let flushMask = 0;
+  for (let suit = 0; suit < 4; suit++) {
+    if (suitCounts[suit] >= 5) {
+      flushMask = suitMasks[suit];
+      break;
+    }
+  }
+  if (flushMask) {
+    const straightFlush = straightHigh(flushMask);
+    if (straightFlush) {
+      return packScore(8, [straightFlush]);
+    }
+  }
+
+  // Group ranks by multiplicity, highest rank first
+  const quads = [];
+  const trips = [];
+  const pairs = [];
+  for (let rank = 14; rank >= 2; rank--) {
+    if (rankCounts[rank] === 4) quads.push(rank);
+    else if (rankCounts[rank] === 3) trips.push(rank);
+    else if (rankCounts[rank] === 2) pairs.push(rank);
+  }
+
+  if (quads.length) {
+    const kicker = ranksFromMask(rankMask & ~(1 << quads[0]), 1);
+    return packScore(7, [quads[0], ...kicker]);
+  }
+
+  if (trips.length && (trips.length > 1 || pairs.length)) {
+    // A second set of trips can fill the pair slot
+    const pairRank = Math.max(trips[1] || 0, pairs[0] || 0);
+    return packScore(6, [trips[0], pairRank]);
+  }
+
+  if (flushMask) {
+    return packScore(5, ranksFromMask(flushMask, 5));
+  }
+
+  const straight = straightHigh(rankMask);
+  if (straight) {
+    return packScore(4, [straight]);
+  }
+
+  if (trips.length) {
+    const kickers = ranksFromMask(rankMask & ~(1 << trips[0]), 2);
+    return packScore(3, [trips[0], ...kickers]);
+  }
+
+  if (pairs.length >= 2) {
+    const kicker = ranksFromMask(rankMask & ~(1 << pairs[0]) & ~(1 << pairs[1]), 1);
+    return packScore(2, [pairs[0], pairs[1], ...kicker]);
+  }
+
+  if (pairs.length) {
+    const kickers = ranksFromMask(rankMask & ~(1 << pairs[0]), 3);
+    return packScore(1, [pairs[0], ...kickers]);
+  }
+
+  return packScore(0, ranksFromMask(rankMask, 5));
+}
+
+/**
+ * Category index (0-8) of a score returned by evaluateHand
+ */
+function scoreCategory(score) {
+  return Math.floor(score / 0x100000);
+}
+
+/**
+ * Human readable category name for a score, e.g. "Two Pair"
+ */
+function describeScore(score) {
+  return HAND_CATEGORIES[scoreCategory(score)];
+}
+
+module.exports = {
+  HAND_CATEGORIES,
+  evaluateHand,
+  scoreCategory,
+  describeScore
+};
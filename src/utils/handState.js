@@ -0,0 +1,278 @@
+const { parseCards, formatCard } = require('./cards');
+const { parseAmount, toBigBlinds } = require('./amounts');
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const ACTION_TYPES = ['post', 'fold', 'check', 'call', 'bet', 'raise', 'allin'];
+
+// Position labels from screenshots, the model and hand histories, mapped onto one set of names
+const POSITION_ALIASES = {
+  UTG: 'UTG',
+  EP: 'UTG',
+  'UTG+1': 'UTG+1',
+  UTG1: 'UTG+1',
+  'UTG+2': 'UTG+2',
+  UTG2: 'UTG+2',
+  MP: 'MP',
+  MP1: 'MP',
+  MP2: 'LJ',
+  LJ: 'LJ',
+  LOJACK: 'LJ',
+  HJ: 'HJ',
+  HIJACK: 'HJ',
+  CO: 'CO',
+  CUTOFF: 'CO',
+  'CUT-OFF': 'CO',
+  BTN: 'BTN',
+  BU: 'BTN',
+  BUTTON: 'BTN',
+  DEALER: 'BTN',
+  SB: 'SB',
+  'SMALL BLIND': 'SB',
+  BB: 'BB',
+  'BIG BLIND': 'BB'
+};
+
+// Blinds already in front of a player when preflop action starts, in big blinds
+const POSTED_BLINDS = { SB: 0.5, BB: 1 };
+
+function round2(value) {
+  return value === null || value === undefined || !Number.isFinite(value) ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Canonical position name, or the label upper-cased when it is not a known position (e.g. "SEAT3")
+ */
+function canonicalPosition(label) {
+  if (label === null || label === undefined || String(label).trim() === '') {
+    return null;
+  }
+  const text = String(label).trim().toUpperCase();
+  return POSITION_ALIASES[text] || text;
+}
+
+/**
+ * Map a free-text action ("Raises to", "3-bet", "shove", "checks") to one of ACTION_TYPES
+ */
+function normalizeActionType(action) {
+  const text = String(action || '').toLowerCase();
+  if (/all.?in|shove|jam/.test(text)) return 'allin';
+  if (/fold/.test(text)) return 'fold';
+  if (/raise|\d-?bet/.test(text)) return 'raise';
+  if (/check/.test(text)) return 'check';
+  if (/call|limp/.test(text)) return 'call';
+  if (/bet/.test(text)) return 'bet';
+  if (/post|blind|ante|straddle/.test(text)) return 'post';
+  return null;
+}
+
+// Actions that play the same line: checking and calling keep the pot small, betting and raising grow it
+const ACTION_LINES = {
+  fold: 'fold',
+  check: 'passive',
+  call: 'passive',
+  bet: 'aggressive',
+  raise: 'aggressive',
+  allin: 'aggressive'
+};
+
+/**
+ * Line ('fold', 'passive' or 'aggressive') of a free-text or normalized action,
+ * used to compare what hero did with the recommendation
+ */
+function actionLine(action) {
+  return ACTION_LINES[normalizeActionType(action)] || null;
+}
+
+/**
+ * Street for a board of 0, 3, 4 or 5 cards
+ */
+function streetFromBoard(board) {
+  return STREETS[Math.max(0, board.length - 2)] || 'preflop';
+}
+
+function normalizeCards(list) {
+  try {
+    return parseCards(list).map(formatCard);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Chips each player has put in on a street, blinds included preflop. Bet and
+ * raise amounts are street totals.
+ * @param {Array<Object>} streetActions - Normalized actions of the street
+ * @param {string} street
+ * @param {number|null} bigBlind
+ * @returns {Object} Amount per position
+ */
+function streetCommitments(streetActions, street, bigBlind) {
+  const committed = {};
+  if (street === 'preflop' && bigBlind) {
+    for (const [position, blinds] of Object.entries(POSTED_BLINDS)) {
+      committed[position] = blinds * bigBlind;
+    }
+  }
+  for (const entry of streetActions) {
+    if (entry.amount !== null && entry.amount !== undefined && entry.position) {
+      committed[entry.position] = Math.max(committed[entry.position] || 0, entry.amount);
+    }
+  }
+  return committed;
+}
+
+/**
+ * What hero can do next, from the action on the current street
+ */
+function legalActionsFor({ street, heroPosition, streetActions, toCall, heroStack }) {
+  const aggressive = streetActions.filter(entry =>
+    ['bet', 'raise', 'allin'].includes(entry.action) && entry.position !== heroPosition);
+  const facingBet = toCall !== null
+    ? toCall > 0
+    : aggressive.length > 0 || (street === 'preflop' && heroPosition !== 'BB');
+
+  if (facingBet) {
+    // Calling puts hero all-in when the bet covers the stack
+    const canRaise = heroStack === null || toCall === null || heroStack > toCall;
+    return canRaise ? ['fold', 'call', 'raise'] : ['fold', 'call'];
+  }
+  const betMade = street === 'preflop' || streetActions.some(entry => ['bet', 'raise', 'allin'].includes(entry.action));
+  return ['check', betMade ? 'raise' : 'bet'];
+}
+
+/**
+ * Fill the read of a later street with what earlier snapshots of the same hand
+ * established: hero's cards and position, the big blind, stacks when the read
+ * has none, and the action on previous streets the read does not cover
+ * @param {Object} read - Table read in the analysis JSON shape
+ * @param {Object|null} context - Same shape; every action carries its street
+ * @returns {Object} Read with the context merged in
+ */
+function applyHandContext(read, context) {
+  if (!context) {
+    return read;
+  }
+
+  const street = streetFromBoard(normalizeCards(read.board_card));
+  const earlierStreets = STREETS.slice(0, STREETS.indexOf(street));
+  const readActions = read.actions || [];
+  const coveredStreets = new Set(readActions.map(entry => entry.street).filter(Boolean));
+  const contextActions = (context.actions || [])
+    .filter(entry => earlierStreets.includes(entry.street) && !coveredStreets.has(entry.street));
+  const hasStacks = read.stacks && Object.keys(read.stacks).length > 0;
+
+  return {
+    ...read,
+    hero_card: normalizeCards(read.hero_card).length === 2 ? read.hero_card : (context.hero_card || read.hero_card),
+    hero_position: read.hero_position || context.hero_position || null,
+    big_blind: read.big_blind || context.big_blind || null,
+    stacks: hasStacks ? read.stacks : (context.stacks || {}),
+    // Actions without a street belong to the street the read shows
+    actions: contextActions.concat(readActions)
+  };
+}
+
+/**
+ * Normalized hand state from a table read or a parsed hand history
+ * @param {Object} handResult - Read in the analysis JSON shape (hero_card, board_card,
+ *   hero_position, pot, big_blind, stacks, actions). Actions may carry their own street.
+ * @param {Object} options - { source: 'image' | 'hand_history' | 'snapshot', site, handId }, and for
+ *   hand histories what hero actually did ({ action, amount }), the showdown
+ *   ([{ position, cards, won }]) and hero's net result in chips
+ * @returns {Object} Hand state stored on PokerAnalysis
+ */
+function buildHandState(handResult, { source = 'image', site = null, handId = null, heroAction = null, showdown = null, result = null } = {}) {
+  const heroCards = normalizeCards(handResult.hero_card);
+  const board = normalizeCards(handResult.board_card);
+  const street = streetFromBoard(board);
+  const bigBlind = parseAmount(handResult.big_blind);
+  const heroPosition = canonicalPosition(handResult.hero_position);
+  const inBigBlinds = value => round2(toBigBlinds(value, bigBlind));
+
+  const players = Object.entries(handResult.stacks || {}).map(([seat, stack]) => {
+    const position = canonicalPosition(seat);
+    return {
+      position,
+      stack: parseAmount(stack),
+      stackBb: inBigBlinds(stack),
+      hero: position === heroPosition
+    };
+  });
+
+  const actions = (handResult.actions || [])
+    .map(entry => ({
+      street: STREETS.includes(entry.street) ? entry.street : street,
+      position: canonicalPosition(entry.seat),
+      action: normalizeActionType(entry.action),
+      amount: parseAmount(entry.amount),
+      amountBb: inBigBlinds(entry.amount)
+    }))
+    .filter(entry => entry.action);
+
+  const streetActions = actions.filter(entry => entry.street === street);
+  const committed = streetCommitments(streetActions, street, bigBlind);
+  const amounts = Object.values(committed);
+  const toCall = amounts.length && heroPosition
+    ? Math.max(0, Math.max(...amounts) - (committed[heroPosition] || 0))
+    : null;
+
+  const hero = players.find(player => player.hero) || null;
+  const folded = new Set(actions.filter(entry => entry.action === 'fold').map(entry => entry.position));
+  const opponentStacks = players
+    .filter(player => !player.hero && !folded.has(player.position) && player.stackBb !== null)
+    .map(player => player.stackBb);
+  const effectiveStackBb = hero && hero.stackBb !== null && opponentStacks.length
+    ? Math.min(hero.stackBb, Math.max(...opponentStacks))
+    : (hero ? hero.stackBb : null);
+
+  return {
+    source,
+    site,
+    handId,
+    street,
+    heroPosition,
+    heroCards,
+    board,
+    bigBlind,
+    pot: parseAmount(handResult.pot),
+    potBb: inBigBlinds(handResult.pot),
+    effectiveStackBb: round2(effectiveStackBb),
+    toCall: round2(toCall),
+    toCallBb: bigBlind && toCall !== null ? round2(toCall / bigBlind) : null,
+    players,
+    actions,
+    legalActions: legalActionsFor({
+      street,
+      heroPosition,
+      streetActions,
+      toCall,
+      heroStack: hero ? hero.stack : null
+    }),
+    heroAction: heroAction ? {
+      action: normalizeActionType(heroAction.action),
+      amount: parseAmount(heroAction.amount),
+      amountBb: inBigBlinds(heroAction.amount)
+    } : null,
+    showdown: (showdown || []).map(entry => ({
+      position: canonicalPosition(entry.position),
+      cards: normalizeCards(entry.cards),
+      won: parseAmount(entry.won)
+    })),
+    result: result !== null && result !== undefined ? {
+      net: round2(result),
+      netBb: inBigBlinds(result)
+    } : null
+  };
+}
+
+module.exports = {
+  STREETS,
+  ACTION_TYPES,
+  canonicalPosition,
+  normalizeActionType,
+  actionLine,
+  streetFromBoard,
+  streetCommitments,
+  applyHandContext,
+  buildHandState
+};
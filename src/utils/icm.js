@@ -0,0 +1,36 @@
+/**
+ * Independent Chip Model (Malmuth-Harville)
+ *
+ * Each remaining player finishes in the next paid place with probability
+ * proportional to their stack, recursively for every paid place.
+ * @param {Array<number>} stacks - Chip stacks (any unit); 0 means already busted
+ * @param {Array<number>} payouts - Prize for 1st, 2nd, ... place
+ * @returns {Array<number>} Expected prize for each player, in payout units
+ */
+function calculateIcm(stacks, payouts) {
+  const equities = new Array(stacks.length).fill(0);
+  const places = Math.min(payouts.length, stacks.filter(stack => stack > 0).length);
+
+  function distribute(remaining, place, probability) {
+    if (place >= places) {
+      return;
+    }
+    const total = remaining.reduce((sum, player) => sum + stacks[player], 0);
+    if (total <= 0) {
+      return;
+    }
+    for (const player of remaining) {
+      const finishHere = probability * stacks[player] / total;
+      if (finishHere === 0) continue;
+      equities[player] += finishHere * payouts[place];
+      distribute(remaining.filter(other => other !== player), place + 1, finishHere);
+    }
+  }
+
+  distribute(stacks.map((stack, player) => player).filter(player => stacks[player] > 0), 0, 1);
+  return equities;
+}
+
+module.exports = {
+  calculateIcm
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { Jimp } = require('jimp');
+
+// Width each layout region is scaled to before comparing; large enough that a
+// single pot or stack digit covers several pixels
+const REGION_WIDTH = 96;
+const MAX_REGION_HEIGHT = 96;
+// Largest per-pixel difference two crops of the same spot may have (re-encoding, scaling)
+const MAX_PIXEL_DIFFERENCE = 40;
+
+/**
+ * Exact and perceptual fingerprints of a screenshot. The perceptual hash only
+ * finds candidates: screenshots that differ by a single pot or stack digit
+ * have the same hash, so candidates are confirmed with compareRegions.
+ * @param {Buffer} imageBuffer
+ * @returns {Promise<{sha256: string, pHash: string|null}>} pHash is null when the image cannot be decoded
+ */
+async function fingerprintImage(imageBuffer) {
+  const sha256 = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  let pHash = null;
+  try {
+    pHash = (await Jimp.fromBuffer(imageBuffer)).pHash();
+  } catch (error) {
+    console.log(`⚠️ Perceptual hash unavailable: ${error.message}`);
+  }
+  return { sha256, pHash };
+}
+
+/**
+ * Number of differing bits between two pHash strings
+ */
+function hashDistance(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return Infinity;
+  }
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Layout boxes that decide the spot: the pot, the board, hero's cards and
+ * the stack half of every seat plate
+ */
+function decisionBoxes(layout) {
+  return [
+    ['pot', layout.regions.pot],
+    ['board', layout.regions.board],
+    ['heroCards', layout.regions.heroCards],
+    ...layout.regions.seats.map(seat => [
+      `stack${seat.seat}`,
+      { ...seat.plate, y: seat.plate.y + seat.plate.h / 2, h: seat.plate.h / 2 }
+    ])
+  ];
+}
+
+/**
+ * Greyscale crops of a screenshot's pot, board, hero card and stack regions,
+ * scaled to a fixed width so re-encoded or resized copies can be compared
+ * @param {Buffer} imageBuffer
+ * @param {Object} layout - Table layout profile (regions in fractions)
+ * @returns {Promise<Array<{name: string, width: number, height: number, pixels: Buffer}>>}
+ */
+async function cropRegions(imageBuffer, layout) {
+  const image = await Jimp.fromBuffer(imageBuffer);
+  const { width, height } = image.bitmap;
+
+  return decisionBoxes(layout).map(([name, box]) => {
+    const x = Math.max(0, Math.floor(box.x * width));
+    const y = Math.max(0, Math.floor(box.y * height));
+    const w = Math.max(1, Math.min(width, Math.ceil((box.x + box.w) * width)) - x);
+    const h = Math.max(1, Math.min(height, Math.ceil((box.y + box.h) * height)) - y);
+    // From the unrounded box, so crops of a resized copy get the same size
+    const regionHeight = Math.max(1, Math.min(MAX_REGION_HEIGHT, Math.round(REGION_WIDTH * (box.h * height) / (box.w * width))));
+
+    const { data } = image.clone()
+      .crop({ x, y, w, h })
+      .resize({ w: REGION_WIDTH, h: regionHeight })
+      // Softens sub-pixel shifts of text edges between scaled copies
+      .blur(1)
+      .greyscale()
+      .bitmap;
+    const pixels = Buffer.alloc(REGION_WIDTH * regionHeight);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = data[i * 4];
+    }
+    return { name, width: REGION_WIDTH, height: regionHeight, pixels };
+  });
+}
+
+/**
+ * Whether two sets of region crops show the same pot, stacks and cards. Every
+ * pixel is compared: one changed digit is a different spot.
+ */
+function compareRegions(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || !a.length || a.length !== b.length) {
+    return false;
+  }
+  return a.every((region, index) => {
+    const other = b[index];
+    if (region.name !== other.name || region.width !== other.width || region.height !== other.height) {
+      return false;
+    }
+    const pixels = Buffer.from(region.pixels);
+    const otherPixels = Buffer.from(other.pixels);
+    if (pixels.length !== otherPixels.length) {
+      return false;
+    }
+    for (let i = 0; i < pixels.length; i++) {
+      if (Math.abs(pixels[i] - otherPixels[i]) > MAX_PIXEL_DIFFERENCE) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  fingerprintImage,
+  hashDistance,
+  cropRegions,
+  compareRegions
+};
@@ -0,0 +1,35 @@
+const { parseAmount } = require('./amounts');
+
+/**
+ * Build a partial table read from OCR output.
+ *
+ * OCR can read the numbers on the table but not card ranks and suits, so the
+ * read has empty hero_card/board_card (filled in later by card recognition)
+ * and is marked incomplete.
+ * @param {string} text - Full recognized text
+ * @param {Array<{text: string, box: {x0: number, y0: number, x1: number, y1: number}}>} words - Recognized words with bounding boxes
+ * @returns {Object} Partial read in the analysis JSON shape
+ */
+function buildOcrRead(text, words = []) {
+  const fullText = text || '';
+  const potMatch = fullText.match(/pot\s*:?\s*\$?\s*([\d,]+(?:\.\d+)?)/i);
+  const amounts = words
+    .map(word => ({ ...word, amount: parseAmount(word.text) }))
+    .filter(word => word.amount !== null && /\d/.test(word.text));
+
+  return {
+    complete: false,
+    hero_card: [],
+    board_card: [],
+    pot: potMatch ? potMatch[1].replace(/,/g, '') : null,
+    stacks: {},
+    actions: [],
+    ocr_text: fullText,
+    ocr_words: words,
+    ocr_amounts: amounts
+  };
+}
+
+module.exports = {
+  buildOcrRead
+};
@@ -0,0 +1,208 @@
+const { RANKS, SUITS, cardRank, cardSuit } = require('./cards');
+
+/**
+ * Range notation helpers.
+ *
+ * A hand class is the usual 169-class shorthand: "AA" for a pair, "AKs" for
+ * suited and "AKo" for offsuit, higher rank first.
+ */
+
+function rankValue(char) {
+  const index = RANKS.indexOf(char.toUpperCase());
+  if (index === -1) {
+    throw new Error(`Invalid rank: ${char}`);
+  }
+  return index + 2;
+}
+
+function rankChar(value) {
+  return RANKS[value - 2];
+}
+
+/**
+ * Build a hand class string from two rank values and a suitedness flag
+ */
+function makeHandClass(high, low, suited) {
+  if (high === low) {
+    return rankChar(high) + rankChar(low);
+  }
+  const [a, b] = high > low ? [high, low] : [low, high];
+  return rankChar(a) + rankChar(b) + (suited ? 's' : 'o');
+}
+
+/**
+ * Split a single range token (e.g. "AKs", "T9", "22") into its parts
+ */
+function parseToken(token) {
+  const match = token.match(/^([2-9TJQKA])([2-9TJQKA])([so])?$/i);
+  if (!match) {
+    throw new Error(`Invalid range token: ${token}`);
+  }
+  let high = rankValue(match[1]);
+  let low = rankValue(match[2]);
+  if (low > high) {
+    [high, low] = [low, high];
+  }
+  const suitedness = match[3] ? match[3].toLowerCase() : null;
+  if (high === low && suitedness) {
+    throw new Error(`Pairs cannot be suited or offsuit: ${token}`);
+  }
+  return { high, low, suitedness };
+}
+
+/**
+ * Hand classes for one parsed token, expanding "AK" into both AKs and AKo
+ */
+function classesFor({ high, low, suitedness }) {
+  if (high === low) {
+    return [makeHandClass(high, low)];
+  }
+  if (suitedness === 's') return [makeHandClass(high, low, true)];
+  if (suitedness === 'o') return [makeHandClass(high, low, false)];
+  return [makeHandClass(high, low, true), makeHandClass(high, low, false)];
+}
+
+/**
+ * Expand one comma-separated range entry ("22+", "A2s+", "T9s-76s", "KQo")
+ */
+function expandEntry(entry) {
+  const classes = [];
+
+  if (entry.includes('-')) {
+    const [fromText, toText] = entry.split('-').map(part => part.trim());
+    const from = parseToken(fromText);
+    const to = parseToken(toText);
+    if (from.suitedness !== to.suitedness) {
+      throw new Error(`Range ends must have the same suitedness: ${entry}`);
+    }
+
+    if (from.high === from.low && to.high === to.low) {
+      // Pair span, e.g. 99-66
+      const top = Math.max(from.high, to.high);
+      const bottom = Math.min(from.high, to.high);
+      for (let rank = top; rank >= bottom; rank--) {
+        classes.push(...classesFor({ high: rank, low: rank, suitedness: null }));
+      }
+    } else if (from.high === to.high) {
+      // Fixed top card, e.g. A5s-A2s
+      const top = Math.max(from.low, to.low);
+      const bottom = Math.min(from.low, to.low);
+      for (let low = top; low >= bottom; low--) {
+        classes.push(...classesFor({ high: from.high, low, suitedness: from.suitedness }));
+      }
+    } else if (from.high - from.low === to.high - to.low) {
+      // Same gap on both ends, e.g. T9s-76s or J9s-75s
+      const gap = from.high - from.low;
+      const top = Math.max(from.high, to.high);
+      const bottom = Math.min(from.high, to.high);
+      for (let high = top; high >= bottom; high--) {
+        classes.push(...classesFor({ high, low: high - gap, suitedness: from.suitedness }));
+      }
+    } else {
+      throw new Error(`Unsupported range span: ${entry}`);
+    }
+    return classes;
+  }
+
+  if (entry.endsWith('+')) {
+    const base = parseToken(entry.slice(0, -1));
+    if (base.high === base.low) {
+      // 22+ means every pair from 22 up to AA
+      for (let rank = base.high; rank <= 14; rank++) {
+        classes.push(...classesFor({ high: rank, low: rank, suitedness: null }));
+      }
+    } else {
+      // A2s+ keeps the top card and raises the kicker up to just below it
+      for (let low = base.low; low < base.high; low++) {
+        classes.push(...classesFor({ high: base.high, low, suitedness: base.suitedness }));
+      }
+    }
+    return classes;
+  }
+
+  return classesFor(parseToken(entry));
+}
+
+/**
+ * Parse range notation such as "AKs, 22+, T9s-76s" into hand classes
+ * @param {string} notation - Comma separated range
+ * @returns {Array<string>} Unique hand classes in the order they appear
+ */
+function parseRange(notation) {
+  if (!notation || typeof notation !== 'string') {
+    return [];
+  }
+  const seen = new Set();
+  notation
+    .split(/[,\s]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      expandEntry(entry).forEach(handClass => seen.add(handClass));
+    });
+  return Array.from(seen);
+}
+
+/**
+ * Hand class for two hole cards (card integers), e.g. "AKs"
+ */
+function handClassFromCards(cards) {
+  const [first, second] = cards;
+  return makeHandClass(cardRank(first), cardRank(second), cardSuit(first) === cardSuit(second));
+}
+
+/**
+ * Every specific two-card combo of a hand class, as pairs of card integers
+ * @param {string} handClass - e.g. "AKs" (4 combos), "AKo" (12) or "AA" (6)
+ * @returns {Array<Array<number>>}
+ */
+function expandHandClass(handClass) {
+  const { high, low, suitedness } = parseToken(handClass);
+  const combos = [];
+  for (let s1 = 0; s1 < SUITS.length; s1++) {
+    for (let s2 = 0; s2 < SUITS.length; s2++) {
+      if (high === low && s2 <= s1) continue;
+      if (high !== low) {
+        if (suitedness === 's' && s1 !== s2) continue;
+        if (suitedness === 'o' && s1 === s2) continue;
+      }
+      combos.push([(high - 2) * 4 + s1, (low - 2) * 4 + s2]);
+    }
+  }
+  return combos;
+}
+
+/**
+ * All 169 hand classes, pairs and suited/offsuit hands from the top down
+ * (AA, AKs, AKo, ..., 32o, 22)
+ */
+function allHandClasses() {
+  const classes = [];
+  for (let high = 14; high >= 2; high--) {
+    for (let low = high; low >= 2; low--) {
+      if (high === low) {
+        classes.push(makeHandClass(high, low));
+      } else {
+        classes.push(makeHandClass(high, low, true), makeHandClass(high, low, false));
+      }
+    }
+  }
+  return classes;
+}
+
+/**
+ * Number of specific combos in a hand class (6 for pairs, 4 suited, 12 offsuit)
+ */
+function comboCount(handClass) {
+  if (handClass.length === 2) return 6;
+  return handClass[2] === 's' ? 4 : 12;
+}
+
+module.exports = {
+  parseRange,
+  handClassFromCards,
+  expandHandClass,
+  makeHandClass,
+  allHandClasses,
+  comboCount
+};